@@ -58,7 +58,11 @@ export class ConfigManager {
     this.git = {
       defaultTimeout: parseInt(process.env.GIT_TIMEOUT) || 30000,
       maxConcurrentOperations: parseInt(process.env.GIT_MAX_CONCURRENT) || 10,
-      cacheResults: process.env.GIT_CACHE_RESULTS !== 'false'
+      cacheResults: process.env.GIT_CACHE_RESULTS !== 'false',
+      watchInterval: parseInt(process.env.GIT_WATCH_INTERVAL) || 5000, // Ref/status polling for subscriptions
+      journalMaxEntries: parseInt(process.env.GIT_MEMORY_JOURNAL_MAX_ENTRIES) || 500, // Undo journal entries kept per repository
+      journalMaxAgeDays: parseInt(process.env.GIT_MEMORY_JOURNAL_MAX_AGE_DAYS) || 90,
+      toolsDirectory: process.env.GIT_MEMORY_TOOLS_DIR || null // Extra tool modules loaded at startup
     };
     
     // Logging configuration
@@ -1,12 +1,12 @@
 import validator from 'validator';
 import xss from 'xss';
-import { createLogger } from 'winston';
+import { createLogger, format } from 'winston';
 
 const logger = createLogger({
   level: 'info',
-  format: logger.format.combine(
-    logger.format.timestamp(),
-    logger.format.json()
+  format: format.combine(
+    format.timestamp(),
+    format.json()
   )
 });
 
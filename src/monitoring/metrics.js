@@ -337,6 +337,43 @@ export class MetricsCollector extends EventEmitter {
     this.emit('customMetric', { name, value, metadata, timestamp });
   }
 
+  // Count a tool call, whichever transport it came from
+  incrementToolCalls(name) {
+    this.incrementCounter('totalToolCalls');
+  }
+
+  // Record how long a tool or git CLI command took
+  recordToolDuration(name, duration) {
+    this.recordCustomMetric('toolDuration', duration, { tool: name });
+  }
+
+  // Count a failed tool or git CLI command
+  incrementToolErrors(name) {
+    this.incrementCounter('totalToolErrors');
+    this.recordCustomMetric('toolErrors', 1, { tool: name });
+  }
+
+  // WebSocket connections opened and closed by the server
+  incrementConnections() {
+    this.counters.totalConnections++;
+    this.counters.activeConnections++;
+  }
+
+  decrementConnections() {
+    this.counters.activeConnections = Math.max(0, this.counters.activeConnections - 1);
+  }
+
+  // Events pushed to WebSocket subscribers
+  incrementWebSocketEvents() {
+    this.incrementCounter('totalWebSocketEvents');
+  }
+
+  // Webhook deliveries received, by event type
+  incrementWebhookEvents(eventType) {
+    this.incrementCounter('totalWebhookEvents');
+    this.recordCustomMetric('webhookEvents', 1, { eventType });
+  }
+
   // Increment counter
   incrementCounter(name, value = 1) {
     if (!this.counters[name]) {
@@ -509,6 +546,11 @@ export class MetricsCollector extends EventEmitter {
     return metrics.join('\n');
   }
 
+  // Served by GET /metrics
+  getPrometheusMetrics() {
+    return this.exportPrometheusMetrics();
+  }
+
   // Stop metrics collection
   stop() {
     if (this.collectionInterval) {
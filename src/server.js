@@ -2,18 +2,45 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+  RootsListChangedNotificationSchema,
+  isInitializeRequest
+} from '@modelcontextprotocol/sdk/types.js';
 import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
 import helmet from 'helmet';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
 import rateLimit from 'express-rate-limit';
 import { createLogger, format, transports } from 'winston';
 import path from 'path';
 import { GitMemoryService } from './services/git-memory.js';
 import { GitMemoryCLIService } from './services/git-memory-cli.js';
+import { GitResourcesService } from './services/git-resources.js';
+import { GitPromptsService } from './services/git-prompts.js';
+import { GitCompletionsService } from './services/git-completions.js';
+import { RepoWatcher } from './services/repo-watcher.js';
+import { ToolRegistry } from './services/tool-registry.js';
+import { createGitTools } from './services/git-tools.js';
+import { GitOperationsService, GitApiEndpoints } from './services/git-operations.js';
+import { UndoJournal } from './services/undo-journal.js';
+import { ConfirmationManager, ConfirmationRequiredError } from './services/confirmations.js';
+import { RepoAccess } from './services/repo-access.js';
 import { ConnectionManager } from './services/connection-manager.js';
 import { MetricsCollector } from './monitoring/metrics.js';
 import { HealthCheck } from './monitoring/health-check.js';
@@ -40,44 +67,87 @@ const logger = createLogger({
   ]
 });
 
+// Git progress as carried in tool_execution_event data
+function progressEventData({ phase, percent, processed, total, message }) {
+  return { status: 'progress', phase, percent, processed, total, message };
+}
+
 class HighPerformanceMCPServer {
   constructor() {
     this.config = new ConfigManager();
-    this.server = new Server(
-      {
-        name: 'git-memory-mcp-server-3000',
-        version: '2.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-          resources: {},
-          prompts: {},
-        },
-      }
-    );
 
     // Initialize cache
     this.cache = new Map();
 
+    // Monitoring and connection limits
+    this.metrics = new MetricsCollector();
+    this.healthCheck = new HealthCheck({ maxConnections: this.config.maxConnections });
+    this.connectionManager = new ConnectionManager(this.config.maxConnections);
+    this.rateLimiter = new RateLimiter({
+      windowMs: this.config.rateLimit.duration * 1000,
+      max: this.config.rateLimit.points
+    });
+
     // Services
-    this.allowedRepos = (process.env.GIT_MEMORY_ALLOWED_REPOS || '')
-      .split(path.delimiter)
-      .map(entry => entry.trim())
-      .filter(Boolean)
-      .map(entry => path.resolve(entry));
+    // Server allowlist; MCP sessions narrow it further to their client's roots (see refreshClientRoots)
+    this.repoAccess = new RepoAccess(process.env.GIT_MEMORY_ALLOWED_REPOS || '');
+    this.allowedRepos = this.repoAccess.allowedRepos;
+    this.mcpAccess = new WeakMap(); // Map<Server, Promise<RepoAccess>>
 
     this.gitMemoryService = new GitMemoryService();
     this.apiKey = process.env.GIT_MEMORY_API_KEY || '';
     this.gitMemoryCLI = new GitMemoryCLIService({
-      allowedRepos: this.allowedRepos,
+      access: this.repoAccess,
       metrics: this.metrics
     });
+    // Writes share the read service so its caches are dropped when a tool changes a repository
+    this.gitOperations = new GitOperationsService({
+      gitMemoryService: this.gitMemoryService,
+      journal: new UndoJournal({
+        maxEntries: this.config.git.journalMaxEntries,
+        maxAgeDays: this.config.git.journalMaxAgeDays
+      })
+    });
+    // Every tool is declared once here; MCP, REST and WebSocket all read from the registry,
+    // which journals each write for undo_operation
+    this.toolRegistry = new ToolRegistry({ journal: this.gitOperations.journal });
+    this.toolRegistry.registerAll(createGitTools({
+      gitMemoryService: this.gitMemoryService,
+      gitMemoryCLI: this.gitMemoryCLI,
+      gitOperations: this.gitOperations
+    }));
+    // Destructive operations need a human confirmation (MCP elicitation or a REST/WebSocket token)
+    this.confirmations = new ConfirmationManager();
+    this.gitResources = new GitResourcesService({
+      gitMemoryService: this.gitMemoryService,
+      access: this.repoAccess
+    });
+    this.gitPrompts = new GitPromptsService({
+      gitMemoryService: this.gitMemoryService,
+      gitResources: this.gitResources,
+      access: this.repoAccess
+    });
+    this.gitCompletions = new GitCompletionsService({
+      gitMemoryService: this.gitMemoryService,
+      gitResources: this.gitResources,
+      access: this.repoAccess
+    });
 
     // WebSocket subscriptions for real-time updates
     this.repoSubscriptions = new Map(); // Map<connectionId, Set<repoPath>>
     this.toolExecutionSubscriptions = new Map(); // Map<toolName, Set<connectionId>>
 
+    // MCP resource subscriptions, fed by the same repository events
+    this.resourceSubscriptions = new Map(); // Map<repoPath + uri, { uri, repoPath, ref, servers: Set<Server> }>
+
+    // Remote MCP sessions over Streamable HTTP or legacy SSE
+    this.mcpSessions = new Map(); // Map<sessionId, { server, transport }>
+    this.repoWatcher = new RepoWatcher({
+      gitMemoryService: this.gitMemoryService,
+      interval: this.config.git.watchInterval
+    });
+    this.repoWatcher.on('change', (change) => this.handleRepoChange(change));
+
     // Express app for HTTP endpoints
     this.app = express();
     this.httpServer = createServer(this.app);
@@ -91,24 +161,12 @@ class HighPerformanceMCPServer {
 
     this.setupExpress();
     this.setupWebSocket();
-    this.setupMCPHandlers();
+    this.server = this.createMCPServer();
     this.setupGracefulShutdown();
   }
 
   setupExpress() {
-    const sanitizeRepoPath = (repoPath) => {
-      if (!repoPath || typeof repoPath !== 'string') {
-        throw new Error('Invalid repoPath');
-      }
-      const resolved = path.resolve(repoPath);
-      if (this.allowedRepos.length > 0) {
-        const isAllowed = this.allowedRepos.some(base => resolved === base || resolved.startsWith(`${base}${path.sep}`));
-        if (!isAllowed) {
-          throw new Error(`Repository path not permitted: ${resolved}`);
-        }
-      }
-      return resolved;
-    };
+    const sanitizeRepoPath = (repoPath) => this.repoAccess.assertAllowed(repoPath);
 
     const sanitizeFlags = (value) => Boolean(value);
 
@@ -134,7 +192,10 @@ class HighPerformanceMCPServer {
     }));
     
     // Performance middleware
-    this.app.use(compression());
+    // Compression would buffer MCP event streams, so /mcp is left uncompressed
+    this.app.use(compression({
+      filter: (req, res) => !req.path.startsWith('/mcp') && compression.filter(req, res)
+    }));
     this.app.use(cors({
       origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
       credentials: true
@@ -150,7 +211,7 @@ class HighPerformanceMCPServer {
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       const health = this.healthCheck.getStatus();
-      res.status(health.status === 'healthy' ? 200 : 503).json(health);
+      res.status(health.overall === 'healthy' ? 200 : 503).json(health);
     });
 
     // Metrics endpoint
@@ -180,11 +241,19 @@ class HighPerformanceMCPServer {
         const { arguments: args } = req.body || {};
 
         const start = Date.now();
-        const result = await this.executeTool(toolName, args);
+        const result = await this.executeTool(toolName, args, {
+          confirm: (request) => this.confirmWithToken(request),
+          caller: { transport: 'http', address: req.ip, userAgent: req.get('user-agent') || null }
+        });
         this.metrics.recordToolDuration(`http_${toolName}`, Date.now() - start);
         res.json(result);
       } catch (error) {
-        const statusCode = error.message.includes('API key') ? 401 : 500;
+        if (error instanceof ConfirmationRequiredError) {
+          return res.status(428).json({ error: error.message, confirmation: error.confirmation });
+        }
+        const statusCode = error.message.includes('API key') ? 401 :
+                          error.message.startsWith('Unknown tool') ? 404 :
+                          error.message.startsWith('Invalid arguments') ? 400 : 500;
         logger.error('Error executing tool:', error);
         this.metrics.incrementToolErrors('http_tool_execution');
         res.status(statusCode).json({ error: error.message });
@@ -195,11 +264,23 @@ class HighPerformanceMCPServer {
     const handleGitRequest = async (metricName, req, res, runner) => {
       try {
         enforceApiKey(req);
+
+        // Stop the CLI when the client disconnects before the response is sent
+        const controller = new AbortController();
+        res.on('close', () => {
+          if (!res.writableFinished) {
+            controller.abort();
+          }
+        });
+
         const start = Date.now();
-        const payload = await runner();
+        const payload = await runner(controller.signal);
         this.metrics.recordToolDuration(metricName, Date.now() - start);
         res.json({ success: true, ...payload });
       } catch (error) {
+        if (error instanceof ConfirmationRequiredError) {
+          return res.status(428).json({ error: error.message, confirmation: error.confirmation });
+        }
         logger.error(`${metricName} error:`, error);
         this.metrics.incrementToolErrors(metricName);
         const statusCode = error.message.includes('API key') ? 401 : 500;
@@ -233,13 +314,14 @@ class HighPerformanceMCPServer {
         return res.status(400).json({ error: 'repoPath is required' });
       }
 
-      await handleGitRequest('http_git_fetch_cli', req, res, async () => {
+      await handleGitRequest('http_git_fetch_cli', req, res, async (signal) => {
         const resolvedRepo = sanitizeRepoPath(repoPath);
         const result = await this.gitMemoryCLI.fetch(resolvedRepo, {
           remote: all ? undefined : remote,
           prune: sanitizeFlags(prune),
           tags: sanitizeFlags(tags),
-          all: sanitizeFlags(all)
+          all: sanitizeFlags(all),
+          signal
         });
         return { stdout: result.stdout, stderr: result.stderr };
       });
@@ -260,20 +342,153 @@ class HighPerformanceMCPServer {
         return res.status(400).json({ error: 'repoPath is required' });
       }
 
-      await handleGitRequest('http_git_rebase_cli', req, res, async () => {
+      // Through the registry, so the rebase is confirmed and journaled like a git_rebase_cli call
+      await handleGitRequest('http_git_rebase_cli', req, res, async (signal) => {
         const resolvedRepo = sanitizeRepoPath(repoPath);
-        const result = await this.gitMemoryCLI.rebase(resolvedRepo, {
-          upstream,
-          branch,
+        const { result } = await this.runTool('git_rebase_cli', {
+          repoPath: resolvedRepo,
+          ...(upstream !== undefined && { upstream }),
+          ...(branch !== undefined && { branch }),
           continueRebase: sanitizeFlags(continueRebase),
           abort: sanitizeFlags(abort),
           skip: sanitizeFlags(skip),
-          autostash: sanitizeFlags(autostash)
+          autostash: sanitizeFlags(autostash),
+          ...(req.body.confirmToken !== undefined && { confirmToken: req.body.confirmToken })
+        }, {
+          signal,
+          confirm: (request) => this.confirmWithToken(request),
+          caller: { transport: 'http', address: req.ip, userAgent: req.get('user-agent') || null }
         });
         return { stdout: result.stdout, stderr: result.stderr };
       });
     });
 
+    // Undo journal of a repository: every write made through a tool, newest first
+    this.app.get('/git/operations', async (req, res) => {
+      const { repoPath, limit = 50 } = req.query;
+      if (!repoPath) {
+        return res.status(400).json({ error: 'repoPath is required' });
+      }
+
+      await handleGitRequest('http_git_operations', req, res, async () => {
+        const resolvedRepo = sanitizeRepoPath(repoPath);
+        return await this.gitOperations.listOperations(resolvedRepo, {
+          limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500)
+        });
+      });
+    });
+
+    // Clone, push, pull, merge, branch and stash endpoints; force push and branch deletion
+    // use the same confirmation tokens as the tools, and every write lands in the undo journal.
+    // Clone/push/pull progress goes to WebSocket subscribers of the endpoint, e.g. '/git/push'
+    this.gitApiEndpoints = new GitApiEndpoints(this.app, this.gitMemoryCLI, {
+      gitOperations: this.gitOperations,
+      apiKey: this.apiKey,
+      access: this.repoAccess,
+      confirmations: this.confirmations,
+      onProgress: (endpoint, event) => this.broadcastToolExecutionEvent(endpoint, progressEventData(event))
+    });
+
+    // MCP Streamable HTTP endpoint
+    const sendJsonRpcError = (res, statusCode, message) => {
+      res.status(statusCode).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message },
+        id: null
+      });
+    };
+
+    const getSessionTransport = (req, TransportClass) => {
+      const sessionId = req.headers['mcp-session-id'] || req.query.sessionId;
+      const session = sessionId && this.mcpSessions.get(sessionId);
+      return session && session.transport instanceof TransportClass ? session.transport : null;
+    };
+
+    this.app.post('/mcp', async (req, res) => {
+      try {
+        enforceApiKey(req);
+
+        let transport = getSessionTransport(req, StreamableHTTPServerTransport);
+        if (!transport) {
+          if (req.headers['mcp-session-id'] || !isInitializeRequest(req.body)) {
+            return sendJsonRpcError(res, 400, 'Bad Request: no valid MCP session');
+          }
+
+          const server = this.createMCPServer();
+          transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (sessionId) => {
+              this.mcpSessions.set(sessionId, { server, transport });
+              logger.info(`MCP HTTP session started: ${sessionId}`);
+            }
+          });
+          transport.onclose = () => this.closeMCPSession(transport.sessionId);
+          await server.connect(transport);
+        }
+
+        await transport.handleRequest(req, res, req.body);
+      } catch (error) {
+        logger.error('MCP HTTP request error:', error);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, error.message.includes('API key') ? 401 : 500, error.message);
+        }
+      }
+    });
+
+    // Server-to-client stream (GET) and session termination (DELETE)
+    const handleSessionRequest = async (req, res) => {
+      try {
+        enforceApiKey(req);
+        const transport = getSessionTransport(req, StreamableHTTPServerTransport);
+        if (!transport) {
+          return sendJsonRpcError(res, 400, 'Bad Request: no valid MCP session');
+        }
+        await transport.handleRequest(req, res);
+      } catch (error) {
+        logger.error('MCP HTTP session error:', error);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, error.message.includes('API key') ? 401 : 500, error.message);
+        }
+      }
+    };
+
+    this.app.get('/mcp', handleSessionRequest);
+    this.app.delete('/mcp', handleSessionRequest);
+
+    // Legacy HTTP+SSE transport for clients that predate Streamable HTTP
+    this.app.get('/mcp/sse', async (req, res) => {
+      try {
+        enforceApiKey(req);
+        const server = this.createMCPServer();
+        const transport = new SSEServerTransport('/mcp/messages', res);
+        this.mcpSessions.set(transport.sessionId, { server, transport });
+        res.on('close', () => this.closeMCPSession(transport.sessionId));
+        logger.info(`MCP SSE session started: ${transport.sessionId}`);
+        await server.connect(transport);
+      } catch (error) {
+        logger.error('MCP SSE connection error:', error);
+        if (!res.headersSent) {
+          res.status(error.message.includes('API key') ? 401 : 500).json({ error: error.message });
+        }
+      }
+    });
+
+    this.app.post('/mcp/messages', async (req, res) => {
+      try {
+        enforceApiKey(req);
+        const transport = getSessionTransport(req, SSEServerTransport);
+        if (!transport) {
+          return res.status(400).json({ error: 'No SSE session for sessionId' });
+        }
+        await transport.handlePostMessage(req, res, req.body);
+      } catch (error) {
+        logger.error('MCP SSE message error:', error);
+        if (!res.headersSent) {
+          res.status(error.message.includes('API key') ? 401 : 500).json({ error: error.message });
+        }
+      }
+    });
+
     // Connection info endpoint
     this.app.get('/connections', (req, res) => {
       if (!this.connectionManager) {
@@ -311,6 +526,7 @@ class HighPerformanceMCPServer {
       });
 
       ws.on('close', () => {
+        this.clearConnectionSubscriptions(connectionId);
         this.connectionManager.removeConnection(connectionId);
         this.metrics.decrementConnections();
         logger.info(`WebSocket connection closed: ${connectionId}`);
@@ -318,6 +534,7 @@ class HighPerformanceMCPServer {
 
       ws.on('error', (error) => {
         logger.error(`WebSocket error for ${connectionId}:`, error);
+        this.clearConnectionSubscriptions(connectionId);
         this.connectionManager.removeConnection(connectionId);
         this.metrics.decrementConnections();
       });
@@ -335,212 +552,176 @@ class HighPerformanceMCPServer {
     });
   }
 
-  setupMCPHandlers() {
+  // Each MCP transport (stdio or one HTTP session) gets its own Server sharing the same handlers
+  createMCPServer() {
+    const server = new Server(
+      {
+        name: 'git-memory-mcp-server-3000',
+        version: '2.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
+          completions: {},
+        },
+      }
+    );
+
+    this.setupMCPHandlers(server);
+
+    // Ask for the client's workspace roots once it is ready, and again whenever they change
+    server.oninitialized = () => {
+      this.refreshClientRoots(server);
+    };
+    server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+      await this.refreshClientRoots(server);
+      server.sendResourceListChanged().catch((error) => {
+        logger.warn(`Failed to send resource list change: ${error.message}`);
+      });
+    });
+
+    return server;
+  }
+
+  // Access policy of one MCP session; waits for roots/list when a request races the initial fetch
+  async getMCPAccess(server) {
+    return (await this.mcpAccess.get(server)) || this.repoAccess;
+  }
+
+  refreshClientRoots(server) {
+    const capabilities = server.getClientCapabilities() || {};
+    if (!capabilities.roots) {
+      return Promise.resolve(this.repoAccess);
+    }
+
+    const pending = server.listRoots()
+      .then(({ roots }) => {
+        const rootPaths = roots
+          .filter(root => root.uri.startsWith('file://'))
+          .map(root => fileURLToPath(root.uri));
+        logger.info(`MCP client roots: ${rootPaths.join(', ') || '(none)'}`);
+        return this.repoAccess.withRoots(rootPaths);
+      })
+      .catch((error) => {
+        // The client said it has roots but would not list them; expose nothing rather than everything
+        logger.warn(`Failed to list MCP client roots: ${error.message}`);
+        return this.repoAccess.withRoots([]);
+      })
+      .then((access) => {
+        this.dropForbiddenSubscriptions(server, access);
+        return access;
+      });
+
+    this.mcpAccess.set(server, pending);
+    return pending;
+  }
+
+  closeMCPSession(sessionId) {
+    const session = sessionId && this.mcpSessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    this.mcpSessions.delete(sessionId);
+    this.clearServerSubscriptions(session.server);
+    logger.info(`MCP session closed: ${sessionId}`);
+  }
+
+  setupMCPHandlers(server) {
     // List tools handler
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return await this.listTools();
     });
 
-    // Call tool handler with enhanced real-time updates
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    // Call tool handler with enhanced real-time updates; notifications/cancelled aborts extra.signal
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args, _meta: meta } = request.params;
+      const progressToken = meta && meta.progressToken;
+
+      const reportProgress = progressToken === undefined ? null : (event) => {
+        extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress: event.progress, message: event.message }
+        }).catch(error => logger.warn(`Failed to send progress for ${name}: ${error.message}`));
+      };
+
+      const client = server.getClientVersion() || {};
+      return await this.executeToolWithUpdates(name, args, {
+        access: await this.getMCPAccess(server),
+        caller: { transport: 'mcp', sessionId: extra.sessionId || null, client: client.name || null },
+        signal: extra.signal,
+        reportProgress,
+        confirm: (confirmRequest) => this.confirmWithElicitation(server, confirmRequest, extra)
+      });
+    });
+
+    // Repository resources (files, trees and commits at any revision)
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return this.gitResources.listResources(await this.getMCPAccess(server));
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return this.gitResources.listResourceTemplates();
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await this.gitResources.readResource(request.params.uri, await this.getMCPAccess(server));
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscribeToResource(request.params.uri, server, await this.getMCPAccess(server));
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.unsubscribeFromResource(request.params.uri, server);
+      return {};
+    });
+
+    // Prompt templates for common git workflows
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return this.gitPrompts.listPrompts();
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
-      return await this.executeToolWithUpdates(name, args);
+      return await this.gitPrompts.getPrompt(name, args, await this.getMCPAccess(server));
+    });
+
+    // Argument completion for prompts and resource templates
+    server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      return await this.gitCompletions.complete(request.params, await this.getMCPAccess(server));
     });
   }
 
   async listTools() {
-    const cacheKey = 'tools_list';
-    let tools = this.cache.get(cacheKey);
-    
-    if (!tools) {
-      tools = {
-        tools: [
-          {
-            name: 'get_current_branch',
-            description: 'Get the current Git branch',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' }
-              },
-              required: ['repoPath']
-            }
-          },
-          {
-            name: 'get_recent_commits',
-            description: 'Get recent commits from the repository',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' },
-                limit: { type: 'number', description: 'Number of commits to retrieve', default: 10 }
-              },
-              required: ['repoPath']
-            }
-          },
-          {
-            name: 'get_repo_status',
-            description: 'Get the current repository status',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' }
-              },
-              required: ['repoPath']
-            }
-          },
-          {
-            name: 'list_branches',
-            description: 'List all branches in the repository',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' }
-              },
-              required: ['repoPath']
-            }
-          },
-          {
-            name: 'search_commits',
-            description: 'Search commits by message or author',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' },
-                query: { type: 'string', description: 'Search query' },
-                limit: { type: 'number', description: 'Number of results', default: 20 }
-              },
-              required: ['repoPath', 'query']
-            }
-          },
-          {
-            name: 'get_file_history',
-            description: 'Get commit history for a specific file',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' },
-                filePath: { type: 'string', description: 'File path' },
-                limit: { type: 'number', description: 'Number of commits', default: 10 }
-              },
-              required: ['repoPath', 'filePath']
-            }
-          }
-          ,
-          {
-            name: 'git_status_cli',
-            description: 'Run git-memory CLI status command and return JSON',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' },
-                json: { type: 'boolean', description: 'Return JSON output', default: true }
-              },
-              required: ['repoPath']
-            }
-          },
-          {
-            name: 'git_fetch_cli',
-            description: 'Run git-memory CLI fetch command for the repository',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' },
-                remote: { type: 'string', description: 'Remote name', default: 'origin' },
-                prune: { type: 'boolean', description: 'Use --prune flag', default: false },
-                tags: { type: 'boolean', description: 'Fetch tags as well', default: false },
-                all: { type: 'boolean', description: 'Fetch all remotes', default: false }
-              },
-              required: ['repoPath']
-            }
-          },
-          {
-            name: 'git_rebase_cli',
-            description: 'Run git-memory CLI rebase command for the repository',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                repoPath: { type: 'string', description: 'Repository path' },
-                upstream: { type: 'string', description: 'Upstream branch to rebase onto' },
-                branch: { type: 'string', description: 'Branch to rebase' },
-                continueRebase: { type: 'boolean', description: 'Continue existing rebase', default: false },
-                abort: { type: 'boolean', description: 'Abort existing rebase', default: false },
-                skip: { type: 'boolean', description: 'Skip current patch', default: false },
-                autostash: { type: 'boolean', description: 'Use --autostash during rebase', default: false }
-              },
-              required: ['repoPath']
-            }
-          }
-        ]
-      };
-      this.cache.set(cacheKey, tools);
-    }
-    
-    return tools;
+    return { tools: this.toolRegistry.list() };
   }
 
-  async executeTool(name, args) {
+  async executeTool(name, args, context = {}) {
+    const { result } = await this.runTool(name, args, context);
+    return this.formatToolResult(result);
+  }
+
+  // Validates and runs a registered tool with metrics; context reaches the handler ({ access, caller, signal, onProgress, confirm })
+  async runTool(name, args, context = {}) {
     const startTime = Date.now();
     this.metrics.incrementToolCalls(name);
-    
+
     try {
-      let result;
-      
-      switch (name) {
-        case 'get_current_branch':
-          result = await this.gitMemoryService.getCurrentBranch(args.repoPath);
-          break;
-        case 'get_recent_commits':
-          result = await this.gitMemoryService.getRecentCommits(args.repoPath, args.limit);
-          break;
-        case 'get_repo_status':
-          result = await this.gitMemoryService.getRepoStatus(args.repoPath);
-          break;
-        case 'list_branches':
-          result = await this.gitMemoryService.listBranches(args.repoPath);
-          break;
-        case 'search_commits':
-          result = await this.gitMemoryService.searchCommits(args.repoPath, args.query, args.limit);
-          break;
-        case 'get_file_history':
-          result = await this.gitMemoryService.getFileHistory(args.repoPath, args.filePath, args.limit);
-          break;
-        case 'git_status_cli':
-          result = await this.gitMemoryCLI.status(args.repoPath, { json: args.json ?? true });
-          break;
-        case 'git_fetch_cli':
-          result = await this.gitMemoryCLI.fetch(args.repoPath, {
-            remote: args.all ? undefined : args.remote,
-            prune: args.prune,
-            tags: args.tags,
-            all: args.all
-          });
-          break;
-        case 'git_rebase_cli':
-          result = await this.gitMemoryCLI.rebase(args.repoPath, {
-            upstream: args.upstream,
-            branch: args.branch,
-            continueRebase: args.continueRebase,
-            abort: args.abort,
-            skip: args.skip,
-            autostash: args.autostash
-          });
-          break;
-        default:
-          throw new Error(`Unknown tool: ${name}`);
+      // Every tool that touches a repository names it in repoPath; REST and WebSocket callers use the server allowlist
+      if (args && args.repoPath !== undefined) {
+        (context.access || this.repoAccess).assertAllowed(args.repoPath);
       }
 
+      const result = await this.toolRegistry.execute(name, args, context);
+
       const duration = Date.now() - startTime;
       this.metrics.recordToolDuration(name, duration);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+
+      return { result, duration };
     } catch (error) {
       this.metrics.incrementToolErrors(name);
       logger.error(`Tool execution error for ${name}:`, error);
@@ -548,16 +729,55 @@ class HighPerformanceMCPServer {
     }
   }
 
+  // Text for clients that only read content, structuredContent for programmatic ones (see outputSchema)
+  formatToolResult(result) {
+    const response = {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+    if (result !== null && typeof result === 'object' && !Array.isArray(result)) {
+      response.structuredContent = result;
+    }
+    return response;
+  }
+
+  // Ask the MCP client's user through elicitation; agents cannot answer it on their own
+  async confirmWithElicitation(server, { name, message }, extra = {}) {
+    const capabilities = server.getClientCapabilities() || {};
+    if (!capabilities.elicitation) {
+      throw new Error(`${name} requires confirmation, but this MCP client does not support elicitation: ${message}`);
+    }
+
+    const result = await server.elicitInput({
+      message: `${message}. Do you want to proceed?`,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: { type: 'boolean', title: 'Confirm', description: `Run ${name}` }
+        },
+        required: ['confirm']
+      }
+    }, { relatedRequestId: extra.requestId, signal: extra.signal });
+
+    return result.action === 'accept' && result.content?.confirm === true;
+  }
+
+  // Two-phase flow for REST and WebSocket callers: refuse with a token, run when it comes back
+  confirmWithToken({ name, message, args }) {
+    return this.confirmations.require(`tool:${name}`, args, message);
+  }
+
   // WebSocket subscription management methods
   subscribeToRepoEvents(connectionId, repoPath) {
     try {
       // Validate repository path
       const resolved = path.resolve(repoPath);
-      if (this.allowedRepos.length > 0) {
-        const isAllowed = this.allowedRepos.some(base => resolved === base || resolved.startsWith(`${base}${path.sep}`));
-        if (!isAllowed) {
-          return { type: 'error', message: `Repository path not permitted: ${resolved}` };
-        }
+      if (!this.repoAccess.isAllowed(resolved)) {
+        return { type: 'error', message: `Repository path not permitted: ${resolved}` };
       }
 
       // Initialize subscriptions for this connection if not exists
@@ -566,7 +786,11 @@ class HighPerformanceMCPServer {
       }
 
       // Add repository subscription
-      this.repoSubscriptions.get(connectionId).add(resolved);
+      const subscriptions = this.repoSubscriptions.get(connectionId);
+      if (!subscriptions.has(resolved)) {
+        subscriptions.add(resolved);
+        this.repoWatcher.watch(resolved);
+      }
 
       logger.info(`Connection ${connectionId} subscribed to repo events for: ${resolved}`);
 
@@ -586,7 +810,9 @@ class HighPerformanceMCPServer {
       const resolved = path.resolve(repoPath);
 
       if (this.repoSubscriptions.has(connectionId)) {
-        this.repoSubscriptions.get(connectionId).delete(resolved);
+        if (this.repoSubscriptions.get(connectionId).delete(resolved)) {
+          this.repoWatcher.unwatch(resolved);
+        }
 
         // Clean up empty subscription sets
         if (this.repoSubscriptions.get(connectionId).size === 0) {
@@ -607,6 +833,99 @@ class HighPerformanceMCPServer {
     }
   }
 
+  clearConnectionSubscriptions(connectionId) {
+    for (const repoPath of this.repoSubscriptions.get(connectionId) || []) {
+      this.repoWatcher.unwatch(repoPath);
+    }
+    this.repoSubscriptions.delete(connectionId);
+
+    for (const [toolName, connections] of this.toolExecutionSubscriptions.entries()) {
+      connections.delete(connectionId);
+      if (connections.size === 0) {
+        this.toolExecutionSubscriptions.delete(toolName);
+      }
+    }
+  }
+
+  // MCP resource subscription management methods
+  subscribeToResource(uri, server = this.server, access = this.repoAccess) {
+    // The same URI can name different repositories in sessions with different roots
+    const { repoPath, ref } = this.gitResources.parseUri(uri, access);
+    const key = `${repoPath}\0${uri}`;
+    let subscription = this.resourceSubscriptions.get(key);
+    if (!subscription) {
+      subscription = { uri, repoPath, ref, servers: new Set() };
+      this.resourceSubscriptions.set(key, subscription);
+    }
+
+    if (subscription.servers.has(server)) {
+      return;
+    }
+    subscription.servers.add(server);
+    this.repoWatcher.watch(subscription.repoPath);
+
+    logger.info(`MCP client subscribed to resource: ${uri}`);
+  }
+
+  unsubscribeFromResource(uri, server = this.server) {
+    for (const [key, subscription] of Array.from(this.resourceSubscriptions.entries())) {
+      if (subscription.uri === uri) {
+        this.removeResourceSubscription(key, server);
+      }
+    }
+  }
+
+  removeResourceSubscription(key, server) {
+    const subscription = this.resourceSubscriptions.get(key);
+    if (!subscription || !subscription.servers.delete(server)) {
+      return;
+    }
+
+    this.repoWatcher.unwatch(subscription.repoPath);
+    if (subscription.servers.size === 0) {
+      this.resourceSubscriptions.delete(key);
+    }
+
+    logger.info(`MCP client unsubscribed from resource: ${subscription.uri}`);
+  }
+
+  clearServerSubscriptions(server) {
+    for (const key of Array.from(this.resourceSubscriptions.keys())) {
+      this.removeResourceSubscription(key, server);
+    }
+  }
+
+  // After the client's roots change, stop updates for repositories it can no longer see
+  dropForbiddenSubscriptions(server, access) {
+    for (const [key, subscription] of Array.from(this.resourceSubscriptions.entries())) {
+      if (subscription.servers.has(server) && !access.isAllowed(subscription.repoPath)) {
+        this.removeResourceSubscription(key, server);
+      }
+    }
+  }
+
+  notifyResourceSubscribers(repoPath) {
+    for (const subscription of this.resourceSubscriptions.values()) {
+      // Resources pinned to a full commit hash can never change
+      if (subscription.repoPath !== repoPath || /^[0-9a-f]{40}$/.test(subscription.ref)) {
+        continue;
+      }
+
+      for (const server of subscription.servers) {
+        server.sendResourceUpdated({ uri: subscription.uri }).catch((error) => {
+          logger.warn(`Failed to notify resource update for ${subscription.uri}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  // Local ref moves and working-tree changes detected by the repository watcher
+  handleRepoChange(change) {
+    const { repoPath, ...data } = change;
+    const eventType = data.refs.length > 0 || data.headChanged ? 'refs_updated' : 'working_tree_changed';
+    this.broadcastRepoEvent(repoPath, eventType, data);
+  }
+
   getActiveSubscriptions(connectionId) {
     const repos = this.repoSubscriptions.get(connectionId) || new Set();
     const tools = this.toolExecutionSubscriptions.get(connectionId) || new Set();
@@ -626,7 +945,7 @@ class HighPerformanceMCPServer {
     for (const [connectionId, subscribedRepos] of this.repoSubscriptions.entries()) {
       if (subscribedRepos.has(resolved)) {
         // Find the WebSocket connection
-        const ws = this.connectionManager.getConnection(connectionId);
+        const ws = this.connectionManager.getConnection(connectionId)?.socket;
         if (ws && ws.readyState === ws.OPEN) {
           const event = {
             type: 'repo_event',
@@ -641,6 +960,8 @@ class HighPerformanceMCPServer {
         }
       }
     }
+
+    this.notifyResourceSubscribers(resolved);
   }
 
   broadcastToolExecutionEvent(toolName, executionData) {
@@ -648,7 +969,7 @@ class HighPerformanceMCPServer {
     const subscribedConnections = this.toolExecutionSubscriptions.get(toolName) || new Set();
 
     for (const connectionId of subscribedConnections) {
-      const ws = this.connectionManager.getConnection(connectionId);
+      const ws = this.connectionManager.getConnection(connectionId)?.socket;
       if (ws && ws.readyState === ws.OPEN) {
         const event = {
           type: 'tool_execution_event',
@@ -711,9 +1032,17 @@ class HighPerformanceMCPServer {
   }
 
   // Enhanced tool execution with real-time updates
-  async executeToolWithUpdates(name, args) {
+  async executeToolWithUpdates(name, args, { access, caller, signal, reportProgress, confirm } = {}) {
     const executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    // Git progress goes to WebSocket subscribers and, when requested, to the MCP client
+    const onProgress = (event) => {
+      this.broadcastToolExecutionEvent(name, { executionId, ...progressEventData(event) });
+      if (reportProgress) {
+        reportProgress(event);
+      }
+    };
+
     // Broadcast execution start
     this.broadcastToolExecutionEvent(name, {
       executionId,
@@ -722,58 +1051,8 @@ class HighPerformanceMCPServer {
       args
     });
 
-    const startTime = Date.now();
-    this.metrics.incrementToolCalls(name);
-
     try {
-      let result;
-
-      switch (name) {
-        case 'get_current_branch':
-          result = await this.gitMemoryService.getCurrentBranch(args.repoPath);
-          break;
-        case 'get_recent_commits':
-          result = await this.gitMemoryService.getRecentCommits(args.repoPath, args.limit);
-          break;
-        case 'get_repo_status':
-          result = await this.gitMemoryService.getRepoStatus(args.repoPath);
-          break;
-        case 'list_branches':
-          result = await this.gitMemoryService.listBranches(args.repoPath);
-          break;
-        case 'search_commits':
-          result = await this.gitMemoryService.searchCommits(args.repoPath, args.query, args.limit);
-          break;
-        case 'get_file_history':
-          result = await this.gitMemoryService.getFileHistory(args.repoPath, args.filePath, args.limit);
-          break;
-        case 'git_status_cli':
-          result = await this.gitMemoryCLI.status(args.repoPath, { json: args.json ?? true });
-          break;
-        case 'git_fetch_cli':
-          result = await this.gitMemoryCLI.fetch(args.repoPath, {
-            remote: args.all ? undefined : args.remote,
-            prune: args.prune,
-            tags: args.tags,
-            all: args.all
-          });
-          break;
-        case 'git_rebase_cli':
-          result = await this.gitMemoryCLI.rebase(args.repoPath, {
-            upstream: args.upstream,
-            branch: args.branch,
-            continueRebase: args.continueRebase,
-            abort: args.abort,
-            skip: args.skip,
-            autostash: args.autostash
-          });
-          break;
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-
-      const duration = Date.now() - startTime;
-      this.metrics.recordToolDuration(name, duration);
+      const { result, duration } = await this.runTool(name, args, { access, caller, signal, onProgress, confirm });
 
       // Broadcast execution success
       this.broadcastToolExecutionEvent(name, {
@@ -783,25 +1062,15 @@ class HighPerformanceMCPServer {
         result
       });
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+      return this.formatToolResult(result);
     } catch (error) {
-      this.metrics.incrementToolErrors(name);
-
       // Broadcast execution failure
       this.broadcastToolExecutionEvent(name, {
         executionId,
-        status: 'failed',
+        status: signal && signal.aborted ? 'cancelled' : 'failed',
         error: error.message
       });
 
-      logger.error(`Tool execution error for ${name}:`, error);
       throw error;
     }
   }
@@ -814,8 +1083,19 @@ class HighPerformanceMCPServer {
         return { type: 'tools_response', data: await this.listTools() };
       case 'execute_tool':
         // Use enhanced tool execution with real-time updates
-        const result = await this.executeToolWithUpdates(data.name, data.arguments);
-        return { type: 'tool_response', data: result };
+        try {
+          const result = await this.executeToolWithUpdates(data.name, data.arguments, {
+            confirm: (request) => this.confirmWithToken(request),
+            caller: { transport: 'websocket', connectionId }
+          });
+          return { type: 'tool_response', data: result };
+        } catch (error) {
+          if (error instanceof ConfirmationRequiredError) {
+            // Resend execute_tool with arguments.confirmToken to proceed
+            return { type: 'confirmation_required', toolName: data.name, data: error.confirmation };
+          }
+          throw error;
+        }
       case 'ping':
         return { type: 'pong', timestamp: Date.now() };
       case 'subscribe_repo_events':
@@ -851,6 +1131,11 @@ class HighPerformanceMCPServer {
       this.wss.clients.forEach((ws) => {
         ws.close(1001, 'Server shutting down');
       });
+
+      // Close remote MCP sessions
+      for (const { transport } of this.mcpSessions.values()) {
+        await transport.close().catch(() => {});
+      }
       
       // Wait for existing operations to complete
       await new Promise(resolve => setTimeout(resolve, 5000));
@@ -863,10 +1148,27 @@ class HighPerformanceMCPServer {
     process.on('SIGINT', () => shutdown('SIGINT'));
   }
 
+  // Third-party tools from GIT_MEMORY_TOOLS_DIR, registered before any client can list tools
+  async loadToolModules() {
+    const directory = this.config.git.toolsDirectory;
+    if (!directory) {
+      return [];
+    }
+    return await this.toolRegistry.loadFromDirectory(directory, {
+      gitMemoryService: this.gitMemoryService,
+      gitMemoryCLI: this.gitMemoryCLI,
+      gitOperations: this.gitOperations,
+      allowedRepos: this.allowedRepos,
+      repoAccess: this.repoAccess
+    });
+  }
+
   async start() {
     const port = this.config.port;
     
     try {
+      await this.loadToolModules();
+
       // Start HTTP server
       // Debug: Starting listen
       console.log('Starting HTTP server listen on port ' + port);
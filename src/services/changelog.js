@@ -0,0 +1,227 @@
+/**
+ * Changelog Builder for Git Memory MCP Server
+ *
+ * Reads Conventional Commit messages ("feat(api)!: add paging"), groups them
+ * by type and scope, collects breaking changes and issue references, and
+ * renders the result as Markdown or in the Keep a Changelog layout. Commits
+ * that do not follow the convention are kept under "Other Changes" rather
+ * than dropped, so nothing in the range disappears from the notes.
+ */
+
+const HEADER = /^(\w+)(?:\(([^()\r\n]*)\))?(!)?: +(.+)$/;
+// "BREAKING CHANGE: text", "Closes: #12", "Refs #3" or "Signed-off-by: Name <mail>"
+const FOOTER = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(: | #)(.*)$/;
+const ISSUE_REFERENCE = /(?:\b[\w.-]+\/[\w.-]+)?#\d+\b/g;
+
+// Section order and titles for Markdown output
+export const COMMIT_TYPES = [
+  { type: 'feat', title: 'Features' },
+  { type: 'fix', title: 'Bug Fixes' },
+  { type: 'perf', title: 'Performance Improvements' },
+  { type: 'revert', title: 'Reverts' },
+  { type: 'refactor', title: 'Code Refactoring' },
+  { type: 'docs', title: 'Documentation' },
+  { type: 'style', title: 'Styles' },
+  { type: 'test', title: 'Tests' },
+  { type: 'build', title: 'Build System' },
+  { type: 'ci', title: 'Continuous Integration' },
+  { type: 'chore', title: 'Chores' },
+  { type: 'other', title: 'Other Changes' }
+];
+
+// Keep a Changelog has fixed categories; types missing here are not user facing and are left out
+const KEEP_A_CHANGELOG_CATEGORIES = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  refactor: 'Changed',
+  revert: 'Removed'
+};
+const KEEP_A_CHANGELOG_ORDER = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Footers start at the first trailer-looking line of the last paragraph and may continue over several lines
+function parseFooters(body) {
+  const lines = body.split('\n');
+  const footers = [];
+  let current = null;
+  for (const line of lines) {
+    const match = line.match(FOOTER);
+    if (match) {
+      const [, token, separator, value] = match;
+      current = {
+        token: token.startsWith('BREAKING') ? 'BREAKING CHANGE' : token,
+        value: separator === ' #' ? `#${value}` : value
+      };
+      footers.push(current);
+    } else if (current && line.trim()) {
+      current.value += `\n${line}`;
+    } else if (current) {
+      // A blank line ends the footer block; anything after it was body text after all
+      footers.length = 0;
+      current = null;
+    }
+  }
+  return footers;
+}
+
+/**
+ * Parse a full commit message into
+ * { conventional, type, scope, breaking, breakingNotes, description, body, issues }
+ */
+export function parseConventionalCommit(message) {
+  const [subject = '', ...rest] = String(message || '').replace(/\r\n/g, '\n').split('\n');
+  const body = rest.join('\n').trim();
+  const header = subject.match(HEADER);
+  const footers = parseFooters(body);
+
+  const breakingNotes = footers
+    .filter(footer => footer.token === 'BREAKING CHANGE')
+    .map(footer => footer.value.trim())
+    .filter(Boolean);
+  const issues = Array.from(new Set([
+    ...(subject.match(ISSUE_REFERENCE) || []),
+    ...footers.flatMap(footer => footer.value.match(ISSUE_REFERENCE) || [])
+  ]));
+
+  return {
+    conventional: Boolean(header),
+    type: header ? header[1].toLowerCase() : 'other',
+    scope: header && header[2] ? header[2].trim() : null,
+    breaking: Boolean(header && header[3]) || breakingNotes.length > 0,
+    breakingNotes,
+    description: header ? header[4].trim() : subject.trim(),
+    body,
+    issues
+  };
+}
+
+function parseVersion(value) {
+  const match = String(value || '').match(/(\d+)\.(\d+)\.(\d+)(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/);
+  return match ? match.slice(1, 4).map(Number) : null;
+}
+
+/**
+ * Next semver version for a set of entries: breaking -> major, feat -> minor, anything else -> patch.
+ * Before 1.0.0 a breaking change only bumps the minor version. Returns { bump, version }; version is
+ * null when the current version is unknown, and bump is null when there is nothing to release.
+ */
+export function suggestNextVersion(currentVersion, entries) {
+  const hasBreaking = entries.some(entry => entry.breaking);
+  const hasFeature = entries.some(entry => entry.type === 'feat');
+  const parsed = parseVersion(currentVersion);
+  let bump = entries.length === 0 ? null : hasBreaking ? 'major' : hasFeature ? 'minor' : 'patch';
+  if (bump === 'major' && parsed && parsed[0] === 0) {
+    bump = 'minor';
+  }
+  if (!bump || !parsed) {
+    return { bump, version: null };
+  }
+
+  const [major, minor, patch] = parsed;
+  const prefix = String(currentVersion).startsWith('v') ? 'v' : '';
+  const next = bump === 'major' ? [major + 1, 0, 0] : bump === 'minor' ? [major, minor + 1, 0] : [major, minor, patch + 1];
+  return { bump, version: `${prefix}${next.join('.')}` };
+}
+
+/**
+ * Group parsed entries into sections (COMMIT_TYPES order, unknown types after chores) and
+ * collect breaking changes. Entries keep whatever commit fields they were given.
+ */
+export function groupChangelogEntries(entries) {
+  const present = new Set(entries.map(entry => entry.type));
+  const known = COMMIT_TYPES.map(section => section.type).filter(type => type !== 'other');
+  const unknown = Array.from(present).filter(type => !known.includes(type) && type !== 'other').sort();
+  const types = [...known, ...unknown, 'other'].filter(type => present.has(type));
+
+  const sections = types.map(type => {
+    const typeEntries = entries.filter(entry => entry.type === type);
+    // Unscoped entries first, then scopes alphabetically
+    const scopes = Array.from(new Set(typeEntries.map(entry => entry.scope)))
+      .sort((a, b) => (a === null ? -1 : b === null ? 1 : a.localeCompare(b)));
+    return {
+      type,
+      title: (COMMIT_TYPES.find(section => section.type === type) || { title: type }).title,
+      scopes: scopes.map(scope => ({ scope, entries: typeEntries.filter(entry => entry.scope === scope) }))
+    };
+  });
+
+  const breakingChanges = entries
+    .filter(entry => entry.breaking)
+    .map(entry => ({
+      hash: entry.hash,
+      shortHash: entry.shortHash,
+      scope: entry.scope,
+      description: entry.description,
+      notes: entry.breakingNotes.length > 0 ? entry.breakingNotes : [entry.description]
+    }));
+
+  return { sections, breakingChanges };
+}
+
+function formatEntry(entry) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : '';
+  const issues = entry.issues.length > 0 ? ` (${entry.issues.join(', ')})` : '';
+  const hash = entry.shortHash ? ` (${entry.shortHash})` : '';
+  return `- ${scope}${entry.description}${issues}${hash}`;
+}
+
+function sectionEntries(section) {
+  return section.scopes.flatMap(group => group.entries);
+}
+
+/**
+ * Conventional-changelog style Markdown: one section per type, breaking changes first
+ */
+export function renderMarkdown({ sections, breakingChanges }, { version = null, date = null } = {}) {
+  const lines = [`## ${[version || 'Unreleased', date].filter(Boolean).join(' - ')}`, ''];
+  if (breakingChanges.length > 0) {
+    lines.push('### ⚠ BREAKING CHANGES', '');
+    for (const change of breakingChanges) {
+      for (const note of change.notes) {
+        lines.push(`- ${change.scope ? `**${change.scope}:** ` : ''}${note.replace(/\n/g, '\n  ')}`);
+      }
+    }
+    lines.push('');
+  }
+  for (const section of sections) {
+    lines.push(`### ${section.title}`, '');
+    lines.push(...sectionEntries(section).map(formatEntry), '');
+  }
+  if (sections.length === 0) {
+    lines.push('No changes.', '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Keep a Changelog (https://keepachangelog.com) categories; breaking entries are marked in place
+ */
+export function renderKeepAChangelog({ sections }, { version = null, date = null } = {}) {
+  const categories = new Map();
+  for (const section of sections) {
+    for (const entry of sectionEntries(section)) {
+      const category = entry.scope === 'security' && entry.type === 'fix'
+        ? 'Security'
+        : /^deprecat/i.test(entry.description) ? 'Deprecated' : KEEP_A_CHANGELOG_CATEGORIES[entry.type];
+      if (!category && !entry.breaking) {
+        continue;
+      }
+      const name = category || 'Changed';
+      if (!categories.has(name)) {
+        categories.set(name, []);
+      }
+      categories.get(name).push(entry);
+    }
+  }
+
+  const lines = [version ? `## [${version}]${date ? ` - ${date}` : ''}` : '## [Unreleased]', ''];
+  for (const name of KEEP_A_CHANGELOG_ORDER.filter(category => categories.has(category))) {
+    lines.push(`### ${name}`, '');
+    for (const entry of categories.get(name)) {
+      const line = formatEntry(entry);
+      lines.push(entry.breaking ? line.replace(/^- /, '- **BREAKING** ') : line);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
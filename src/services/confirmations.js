@@ -0,0 +1,95 @@
+/**
+ * Confirmation Tokens for Git Memory MCP Server
+ *
+ * Two-phase confirmation for operations that can destroy history or work
+ * (force push, branch deletion, hard reset, rebase). The first request is
+ * refused with a single-use token bound to the exact operation and
+ * arguments; repeating the request with that token runs it. MCP clients
+ * that support elicitation are asked directly instead (see server.js).
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Key order must not change the fingerprint of otherwise identical arguments
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export class ConfirmationRequiredError extends Error {
+  constructor(message, confirmation) {
+    super(message);
+    this.name = 'ConfirmationRequiredError';
+    this.confirmation = confirmation;
+  }
+}
+
+/**
+ * Confirmation Manager
+ */
+export class ConfirmationManager {
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.pending = new Map(); // Map<token, { action, fingerprint, expiresAt }>
+  }
+
+  fingerprint(action, params = {}) {
+    const { confirmToken, ...rest } = params;
+    return crypto.createHash('sha256').update(`${action}\0${stableStringify(rest)}`).digest('hex');
+  }
+
+  /**
+   * Issue a single-use token for an action with these exact parameters
+   */
+  issue(action, params, message) {
+    this.prune();
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.ttl;
+    this.pending.set(token, { action, fingerprint: this.fingerprint(action, params), expiresAt });
+    return { token, action, message, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Redeem a token; it is deleted on success so it cannot be replayed
+   */
+  consume(token, action, params) {
+    this.prune();
+    const entry = token && this.pending.get(token);
+    if (!entry || entry.action !== action || entry.fingerprint !== this.fingerprint(action, params)) {
+      return false;
+    }
+    this.pending.delete(token);
+    return true;
+  }
+
+  /**
+   * Pass when params.confirmToken redeems, otherwise throw ConfirmationRequiredError with a fresh token
+   */
+  require(action, params, message) {
+    if (this.consume(params.confirmToken, action, params)) {
+      return true;
+    }
+    const confirmation = this.issue(action, params, message);
+    throw new ConfirmationRequiredError(`Confirmation required: ${message}`, confirmation);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt <= now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Unified Diff Parser for Git Memory MCP Server
+ *
+ * Turns the patch text printed by `git diff`, `git show` and `git log -p/-L`
+ * into files, hunks and typed lines, so tools can return structured diffs
+ * instead of raw text. Hunk bodies are consumed by their line counts, which
+ * keeps removed lines such as "-- comment" from being read as file headers.
+ * `--word-diff=porcelain` output is supported too: its segments are grouped
+ * into lines (each ended by "~") with the changed words listed per line.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+// Paths with special characters are C-quoted by git: "a/caf\303\251.txt"
+function unquoteGitPath(value) {
+  if (!value.startsWith('"')) {
+    return value;
+  }
+  const bytes = [];
+  const escapes = { n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11, '"': 34, '\\': 92 };
+  for (let i = 1; i < value.length - 1; i++) {
+    const char = value[i];
+    if (char !== '\\') {
+      bytes.push(...Buffer.from(char, 'utf8'));
+      continue;
+    }
+    const next = value[++i];
+    if (/[0-7]/.test(next)) {
+      bytes.push(parseInt(value.slice(i, i + 3), 8));
+      i += 2;
+    } else {
+      bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// "--- a/file" / "+++ b/file" / "rename from file"; /dev/null means the side does not exist
+function parseHeaderPath(value, prefix) {
+  const unquoted = unquoteGitPath(value.replace(/\t$/, ''));
+  if (unquoted === '/dev/null') {
+    return null;
+  }
+  return prefix && unquoted.startsWith(prefix) ? unquoted.slice(prefix.length) : unquoted;
+}
+
+// "diff --git a/x b/x" is ambiguous when paths contain spaces; without a rename both halves are equal
+function parseDiffGitLine(rest) {
+  if (rest.startsWith('"')) {
+    const match = rest.match(/^("(?:[^"\\]|\\.)*") (.+)$/);
+    if (match) {
+      return [parseHeaderPath(match[1], 'a/'), parseHeaderPath(match[2], 'b/')];
+    }
+  }
+  const half = (rest.length - 1) / 2;
+  if (Number.isInteger(half) && rest.slice(0, half).slice(2) === rest.slice(half + 1).slice(2)) {
+    return [rest.slice(2, half), rest.slice(half + 3)];
+  }
+  const match = rest.match(/^a\/(.+?) b\/(.+)$/);
+  return match ? [match[1], match[2]] : [null, null];
+}
+
+function createFile(oldPath, newPath) {
+  return {
+    oldPath,
+    newPath,
+    status: 'modified',
+    similarity: null,
+    binary: false,
+    additions: 0,
+    deletions: 0,
+    hunks: []
+  };
+}
+
+// One "~"-terminated run of word-diff segments; a line with both kinds of segment was modified in place
+function createWordDiffLine(segments, oldLine, newLine) {
+  const added = segments.some(segment => segment.type === 'added');
+  const deleted = segments.some(segment => segment.type === 'deleted');
+  const type = added && deleted ? 'modified' : added ? 'added' : deleted ? 'deleted' : 'context';
+  const content = segments
+    .filter(segment => segment.type !== (type === 'deleted' ? 'added' : 'deleted'))
+    .map(segment => segment.text)
+    .join('');
+
+  return {
+    type,
+    content,
+    oldLine: type === 'added' ? null : oldLine,
+    newLine: type === 'deleted' ? null : newLine,
+    segments
+  };
+}
+
+/**
+ * Parse unified diff text into [{ oldPath, newPath, status, similarity, binary, additions, deletions, hunks }]
+ * Pass { wordDiff: true } for `git diff --word-diff=porcelain` output.
+ */
+export function parseUnifiedDiff(text, { wordDiff = false } = {}) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  let oldLine = 0;
+  let newLine = 0;
+  let segments = [];
+
+  for (const line of String(text || '').split('\n')) {
+    if (wordDiff && hunk && /^[ +\-~]/.test(line)) {
+      if (line !== '~') {
+        const type = line[0] === '+' ? 'added' : line[0] === '-' ? 'deleted' : 'context';
+        segments.push({ type, text: line.slice(1) });
+        continue;
+      }
+      const wordLine = createWordDiffLine(segments, oldLine, newLine);
+      hunk.lines.push(wordLine);
+      segments = [];
+      if (wordLine.oldLine !== null) {
+        oldLine++;
+      }
+      if (wordLine.newLine !== null) {
+        newLine++;
+      }
+      if (wordLine.type === 'added' || wordLine.type === 'modified') {
+        file.additions++;
+      }
+      if (wordLine.type === 'deleted' || wordLine.type === 'modified') {
+        file.deletions++;
+      }
+      continue;
+    }
+
+    if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+      const marker = line[0];
+      const content = line.slice(1);
+      if (marker === '+') {
+        hunk.lines.push({ type: 'added', content, oldLine: null, newLine: newLine++ });
+        newRemaining--;
+        file.additions++;
+        continue;
+      }
+      if (marker === '-') {
+        hunk.lines.push({ type: 'deleted', content, oldLine: oldLine++, newLine: null });
+        oldRemaining--;
+        file.deletions++;
+        continue;
+      }
+      if (marker === ' ' || line === '') {
+        hunk.lines.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++ });
+        oldRemaining--;
+        newRemaining--;
+        continue;
+      }
+    }
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" belongs to the line before it
+      const previous = hunk && hunk.lines[hunk.lines.length - 1];
+      if (previous) {
+        previous.noNewline = true;
+      }
+      continue;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      const [oldPath, newPath] = parseDiffGitLine(line.slice('diff --git '.length));
+      file = createFile(oldPath, newPath);
+      files.push(file);
+      hunk = null;
+      segments = [];
+      continue;
+    }
+
+    if (!file) {
+      continue;
+    }
+
+    const match = line.match(HUNK_HEADER);
+    if (match) {
+      const [, oldStart, oldCount, newStart, newCount, header] = match;
+      hunk = {
+        oldStart: parseInt(oldStart),
+        oldLines: oldCount === undefined ? 1 : parseInt(oldCount),
+        newStart: parseInt(newStart),
+        newLines: newCount === undefined ? 1 : parseInt(newCount),
+        header,
+        lines: []
+      };
+      oldRemaining = hunk.oldLines;
+      newRemaining = hunk.newLines;
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      segments = [];
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (line.startsWith('--- ')) {
+      file.oldPath = parseHeaderPath(line.slice(4), 'a/');
+      if (file.oldPath === null) {
+        file.status = 'added';
+      }
+    } else if (line.startsWith('+++ ')) {
+      file.newPath = parseHeaderPath(line.slice(4), 'b/');
+      if (file.newPath === null) {
+        file.status = 'deleted';
+      }
+    } else if (line.startsWith('new file mode')) {
+      file.status = 'added';
+      file.oldPath = null;
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'deleted';
+      file.newPath = null;
+    } else if (line.startsWith('rename from ')) {
+      file.status = 'renamed';
+      file.oldPath = parseHeaderPath(line.slice('rename from '.length));
+    } else if (line.startsWith('rename to ')) {
+      file.newPath = parseHeaderPath(line.slice('rename to '.length));
+    } else if (line.startsWith('copy from ')) {
+      file.status = 'copied';
+      file.oldPath = parseHeaderPath(line.slice('copy from '.length));
+    } else if (line.startsWith('copy to ')) {
+      file.newPath = parseHeaderPath(line.slice('copy to '.length));
+    } else if (line.startsWith('similarity index ')) {
+      file.similarity = parseInt(line.slice('similarity index '.length));
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    }
+  }
+
+  return files;
+}
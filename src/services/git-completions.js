@@ -0,0 +1,144 @@
+/**
+ * Git Completions Service for Git Memory MCP Server
+ *
+ * Implements MCP `completion/complete` for prompt arguments and resource
+ * template variables. Values come from the repository: branch names from
+ * listBranches, file paths from ls-tree at HEAD and repository paths from
+ * the allowlist.
+ */
+
+import path from 'path';
+import { RepoAccess } from './repo-access.js';
+
+// MCP caps a completion response at 100 values
+const MAX_COMPLETIONS = 100;
+
+// Prompt argument names mapped to the source of their values
+const ARGUMENT_SOURCES = {
+  repoPath: 'repoPath',
+  branch: 'ref',
+  upstream: 'ref',
+  base: 'ref',
+  ref: 'ref',
+  filePath: 'file'
+};
+
+// Resource template variables mapped to the source of their values
+const TEMPLATE_VARIABLE_SOURCES = {
+  repo: 'repoId',
+  ref: 'ref',
+  sha: 'ref',
+  path: 'file'
+};
+
+/**
+ * Git Completions Service
+ */
+export class GitCompletionsService {
+  constructor(options = {}) {
+    this.gitMemoryService = options.gitMemoryService;
+    this.gitResources = options.gitResources;
+    this.access = options.access || new RepoAccess(options.allowedRepos || []);
+  }
+
+  /**
+   * Answer a completion/complete request; access narrows suggestions to one MCP session's roots
+   */
+  async complete({ ref, argument, context = {} }, access = this.access) {
+    const contextArguments = context.arguments || {};
+    let source;
+    let repoPath;
+
+    if (ref.type === 'ref/resource') {
+      source = TEMPLATE_VARIABLE_SOURCES[argument.name];
+      repoPath = this.resolveRepo(contextArguments.repo, access);
+    } else {
+      source = ARGUMENT_SOURCES[argument.name];
+      repoPath = this.resolveRepo(contextArguments.repoPath && path.resolve(contextArguments.repoPath), access);
+    }
+
+    let candidates = [];
+    try {
+      candidates = await this.getCandidates(source, repoPath, access);
+    } catch (error) {
+      // Completion is best effort: a bad repository just yields no suggestions
+      candidates = [];
+    }
+
+    const values = this.filterCandidates(candidates, argument.value || '');
+
+    return {
+      completion: {
+        values: values.slice(0, MAX_COMPLETIONS),
+        total: values.length,
+        hasMore: values.length > MAX_COMPLETIONS
+      }
+    };
+  }
+
+  async getCandidates(source, repoPath, access = this.access) {
+    switch (source) {
+      case 'repoPath':
+        return access.listRepos();
+      case 'repoId':
+        return access.listRepos().map(repo => decodeURIComponent(this.gitResources.getRepoId(repo, access)));
+      case 'ref': {
+        if (!repoPath) {
+          return [];
+        }
+        const branches = await this.gitMemoryService.listBranches(repoPath);
+        return [
+          ...branches.local.map(branch => branch.name),
+          ...branches.remote.map(branch => branch.name).filter(name => !name.endsWith('/HEAD'))
+        ];
+      }
+      case 'file': {
+        if (!repoPath) {
+          return [];
+        }
+        const { files } = await this.gitMemoryService.listFiles(repoPath, 'HEAD');
+        return files;
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Prefix matches first, then substring matches (so "server" finds "src/server.js")
+   */
+  filterCandidates(candidates, value) {
+    const needle = value.toLowerCase();
+    const prefixMatches = [];
+    const substringMatches = [];
+
+    for (const candidate of new Set(candidates)) {
+      const haystack = candidate.toLowerCase();
+      if (haystack.startsWith(needle)) {
+        prefixMatches.push(candidate);
+      } else if (haystack.includes(needle)) {
+        substringMatches.push(candidate);
+      }
+    }
+
+    return [...prefixMatches.sort(), ...substringMatches.sort()];
+  }
+
+  // Accepts a resource repo id or an absolute path; both are checked against the allowlist
+  resolveRepo(repo, access = this.access) {
+    if (!repo) {
+      return this.getDefaultRepo(access);
+    }
+    try {
+      return this.gitResources.resolveRepoId(repo, access);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Without an explicit repository, suggestions are only unambiguous for a single allowed repo
+  getDefaultRepo(access = this.access) {
+    const repos = access.listRepos();
+    return repos.length === 1 ? repos[0] : null;
+  }
+}
@@ -2,6 +2,8 @@ import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { MetricsCollector } from '../monitoring/metrics.js';
+import { GitProgressParser } from './git-progress.js';
+import { RepoAccess } from './repo-access.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,12 +12,9 @@ export class GitMemoryCLIService {
   constructor(options = {}) {
     this.pythonBin = options.pythonBin || process.env.GIT_MEMORY_PYTHON || process.env.PYTHON_BIN || 'python';
     this.moduleRoot = options.moduleRoot || process.env.GIT_MEMORY_PY_ROOT || path.resolve(__dirname, '../../..');
-    this.allowedRepos = (options.allowedRepos || process.env.GIT_MEMORY_ALLOWED_REPOS || '')
-      .split(path.delimiter)
-      .map(entry => entry.trim())
-      .filter(Boolean)
-      .map(entry => path.resolve(entry));
+    this.access = options.access || new RepoAccess(options.allowedRepos || process.env.GIT_MEMORY_ALLOWED_REPOS || '');
     this.metrics = options.metrics || new MetricsCollector();
+    this.optionSupport = new Map(); // Map<"command option", Promise<boolean>>
   }
 
   buildPythonPath() {
@@ -25,24 +24,47 @@ export class GitMemoryCLIService {
   }
 
   assertRepoAllowed(repoPath) {
-    const resolved = path.resolve(repoPath);
-    if (this.allowedRepos.length === 0) {
-      return resolved;
-    }
-    const isAllowed = this.allowedRepos.some(base => resolved === base || resolved.startsWith(`${base}${path.sep}`));
-    if (!isAllowed) {
-      throw new Error(`Repository path is not allowed: ${resolved}`);
+    return this.access.assertAllowed(repoPath);
+  }
+
+  /**
+   * Whether the installed CLI lists an option in the --help of a subcommand; asked once per option.
+   * The CLI is not part of this repository, so flags beyond its documented ones are only passed when offered.
+   */
+  supportsOption(command, option) {
+    const key = `${command} ${option}`;
+    if (!this.optionSupport.has(key)) {
+      this.optionSupport.set(key, new Promise((resolve) => {
+        const child = spawn(this.pythonBin, ['-m', 'git_memory.cli', command, '--help'], {
+          env: {
+            ...process.env,
+            PYTHONPATH: this.buildPythonPath()
+          },
+          stdio: ['ignore', 'pipe', 'ignore']
+        });
+        let help = '';
+        child.stdout.on('data', (data) => {
+          help += data.toString();
+        });
+        child.on('error', () => resolve(false));
+        child.on('close', (code) => resolve(code === 0 && help.split(/[\s,=[\]|]+/).includes(option)));
+      }));
     }
-    return resolved;
+    return this.optionSupport.get(key);
   }
 
-  runCLI(args, repoPath, { expectJson = false } = {}) {
+  runCLI(args, repoPath, { expectJson = false, signal, onProgress } = {}) {
     return new Promise((resolve, reject) => {
       if (!repoPath) {
         reject(new Error('Repository path is required'));
         return;
       }
 
+      if (signal && signal.aborted) {
+        reject(new Error('git_memory CLI was cancelled'));
+        return;
+      }
+
       let resolvedRepo;
       try {
         resolvedRepo = this.assertRepoAllowed(repoPath);
@@ -58,11 +80,32 @@ export class GitMemoryCLIService {
           ...process.env,
           PYTHONPATH: pythonPath
         },
-        stdio: ['ignore', 'pipe', 'pipe']
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group, so cancelling also stops the git processes the CLI spawns
+        detached: process.platform !== 'win32'
       });
 
       let stdout = '';
       let stderr = '';
+      let cancelled = false;
+      const progressParser = onProgress ? new GitProgressParser(onProgress) : null;
+
+      const cancel = () => {
+        cancelled = true;
+        try {
+          if (process.platform !== 'win32') {
+            process.kill(-child.pid, 'SIGTERM');
+          } else {
+            child.kill('SIGTERM');
+          }
+        } catch (error) {
+          // Process already exited
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
 
       child.stdout.on('data', (data) => {
         stdout += data.toString();
@@ -70,16 +113,28 @@ export class GitMemoryCLIService {
 
       child.stderr.on('data', (data) => {
         stderr += data.toString();
+        if (progressParser) {
+          progressParser.write(data);
+        }
       });
 
       child.on('error', (error) => {
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
         reject(error);
       });
 
       const startTime = Date.now();
 
       child.on('close', (code) => {
-        if (code === 0) {
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+
+        if (cancelled) {
+          reject(new Error('git_memory CLI was cancelled'));
+        } else if (code === 0) {
           const trimmedStdout = stdout.trim();
           if (expectJson) {
             try {
@@ -113,7 +168,7 @@ export class GitMemoryCLIService {
     return { output: result.stdout };
   }
 
-  async fetch(repoPath, { remote = 'origin', prune = false, tags = false, all = false } = {}) {
+  async fetch(repoPath, { remote = 'origin', prune = false, tags = false, all = false, signal, onProgress } = {}) {
     const args = ['fetch'];
     if (all) {
       args.push('--all');
@@ -126,7 +181,11 @@ export class GitMemoryCLIService {
     if (tags) {
       args.push('--tags');
     }
-    return this.runCLI(args, repoPath);
+    if (onProgress && await this.supportsOption('fetch', '--progress')) {
+      // git only reports progress to a terminal unless asked explicitly
+      args.push('--progress');
+    }
+    return this.runCLI(args, repoPath, { signal, onProgress });
   }
 
   async rebase(
@@ -137,7 +196,9 @@ export class GitMemoryCLIService {
       continueRebase = false,
       abort = false,
       skip = false,
-      autostash = false
+      autostash = false,
+      signal,
+      onProgress
     } = {}
   ) {
     const args = ['rebase'];
@@ -146,15 +207,16 @@ export class GitMemoryCLIService {
     }
     if (abort) {
       args.push('--abort');
+      // Never interrupt an abort half way; it is what restores the branch
       return this.runCLI(args, repoPath);
     }
     if (continueRebase) {
       args.push('--continue');
-      return this.runCLI(args, repoPath);
+      return this.runCLI(args, repoPath, { signal, onProgress });
     }
     if (skip) {
       args.push('--skip');
-      return this.runCLI(args, repoPath);
+      return this.runCLI(args, repoPath, { signal, onProgress });
     }
 
     if (upstream) {
@@ -164,6 +226,6 @@ export class GitMemoryCLIService {
       args.push(branch);
     }
 
-    return this.runCLI(args, repoPath);
+    return this.runCLI(args, repoPath, { signal, onProgress });
   }
 }
@@ -1,17 +1,351 @@
 import simpleGit from 'simple-git';
 import { createLogger } from 'winston';
 import { promisify } from 'util';
-import { exec } from 'child_process';
+import { exec, spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs/promises';
+import crypto from 'crypto';
+import { parseUnifiedDiff } from './diff-parser.js';
+import {
+  groupChangelogEntries,
+  parseConventionalCommit,
+  renderKeepAChangelog,
+  renderMarkdown,
+  suggestNextVersion
+} from './changelog.js';
+import { parseConflictMarkers, parseMergeTreeOutput } from './merge-conflicts.js';
+import { InputValidator } from '../middleware/input-validator.js';
 
 const execAsync = promisify(exec);
 const logger = createLogger({
   level: process.env.LOG_LEVEL || 'info'
 });
 
+// Refs and paths are passed straight to git, so anything that could be read as an option is rejected
+function assertSafeRef(ref) {
+  if (!ref || typeof ref !== 'string' || ref.startsWith('-') || /[\s\0]/.test(ref)) {
+    throw new Error(`Invalid ref: ${ref}`);
+  }
+  return ref;
+}
+
+// Tags via for-each-ref, NUL-separated since messages span lines; version sort compares v1.10 after v1.9
+async function readTags(git, { sort, order, pattern, contains, limit }) {
+  const sortKey = sort === 'version' ? 'v:refname' : 'creatordate';
+  const args = [
+    'for-each-ref',
+    `--sort=${order === 'asc' ? '' : '-'}${sortKey}`,
+    `--count=${limit}`,
+    // *field is the peeled target of an annotated tag; empty for lightweight tags
+    '--format=%(refname:short)%00%(objecttype)%00%(objectname)%00%(*objectname)%00' +
+      '%(taggername)%00%(taggeremail)%00%(creatordate:iso)%00%(contents:subject)%00%(contents:body)%00'
+  ];
+  if (contains) {
+    args.push(`--contains=${contains}`);
+  }
+  args.push(`refs/tags/${pattern || ''}`);
+
+  const fields = (await git.raw(args)).split('\0');
+  const tags = [];
+  for (let i = 0; i + 8 < fields.length; i += 9) {
+    const [name, type, sha, target, taggerName, taggerEmail, date, subject, body] = fields.slice(i, i + 9);
+    const annotated = type === 'tag';
+    tags.push({
+      name: name.replace(/^\n/, ''),
+      annotated,
+      sha,
+      commit: annotated ? target : sha,
+      message: annotated ? subject : null,
+      body: annotated ? body.trim() : null,
+      tagger: annotated ? { name: taggerName, email: taggerEmail.replace(/^<|>$/g, '') } : null,
+      date,
+      timestamp: new Date(date).getTime()
+    });
+  }
+  return tags;
+}
+
+function normalizeRepoRelativePath(filePath = '') {
+  const normalized = path.posix.normalize(String(filePath).replace(/\\/g, '/')).replace(/\/$/, '');
+  if (normalized === '.' || normalized === '') {
+    return '';
+  }
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') || normalized.includes('\0')) {
+    throw new Error(`Path escapes repository: ${filePath}`);
+  }
+  return normalized;
+}
+
+// Git treats a blob as binary when it has a NUL byte in its first 8000 bytes
+export function isBinaryBuffer(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Porcelain output carries epoch seconds and a +hhmm zone; render them like %ai
+function formatGitDate(epochSeconds, zone) {
+  const sign = zone.startsWith('-') ? -1 : 1;
+  const offsetMinutes = sign * (parseInt(zone.slice(1, 3)) * 60 + parseInt(zone.slice(3, 5)));
+  const local = new Date((epochSeconds + offsetMinutes * 60) * 1000).toISOString();
+  return `${local.slice(0, 10)} ${local.slice(11, 19)} ${zone}`;
+}
+
+// Parse `git blame --porcelain`: commit details are printed once, the first time a commit appears
+function parseBlamePorcelain(output) {
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const row of output.split('\n')) {
+    if (!current) {
+      if (!row) {
+        continue;
+      }
+      const [hash, originalLine, finalLine] = row.split(' ');
+      if (!commits.has(hash)) {
+        commits.set(hash, { hash, boundary: false });
+      }
+      current = { hash, originalLine: parseInt(originalLine), line: parseInt(finalLine) };
+      continue;
+    }
+
+    if (row.startsWith('\t')) {
+      const commit = commits.get(current.hash);
+      const timestamp = commit.authorTime * 1000;
+      lines.push({
+        line: current.line,
+        originalLine: current.originalLine,
+        originalPath: commit.filename,
+        hash: commit.hash,
+        shortHash: commit.hash.substring(0, 7),
+        summary: commit.summary,
+        author: {
+          name: commit.authorName,
+          email: commit.authorEmail
+        },
+        date: formatGitDate(commit.authorTime, commit.authorZone),
+        timestamp,
+        boundary: commit.boundary,
+        content: row.slice(1)
+      });
+      current = null;
+      continue;
+    }
+
+    const separator = row.indexOf(' ');
+    const key = separator === -1 ? row : row.slice(0, separator);
+    const value = separator === -1 ? '' : row.slice(separator + 1);
+    const commit = commits.get(current.hash);
+    switch (key) {
+      case 'author': commit.authorName = value; break;
+      case 'author-mail': commit.authorEmail = value.replace(/^<|>$/g, ''); break;
+      case 'author-time': commit.authorTime = parseInt(value); break;
+      case 'author-tz': commit.authorZone = value; break;
+      case 'summary': commit.summary = value; break;
+      case 'boundary': commit.boundary = true; break;
+      case 'filename': commit.filename = value; break;
+      default: break;
+    }
+  }
+
+  return lines;
+}
+
+// Merge consecutive lines that come from the same commit and the same run of original lines
+function groupBlameHunks(lines) {
+  const hunks = [];
+  for (const { line, originalLine, content, ...commit } of lines) {
+    const last = hunks[hunks.length - 1];
+    if (last && last.hash === commit.hash && last.originalPath === commit.originalPath &&
+        last.endLine + 1 === line && last.originalStartLine + last.lines.length === originalLine) {
+      last.endLine = line;
+      last.lines.push(content);
+      continue;
+    }
+    hunks.push({ startLine: line, endLine: line, originalStartLine: originalLine, ...commit, lines: [content] });
+  }
+  return hunks;
+}
+
+const BLAME_IGNORE_REVS_FILE = '.git-blame-ignore-revs';
+
+// Record layout for `git log -p/-L`: commit fields separated by NUL, then the patch
+const LOG_PATCH_FORMAT = '--format=%x00%H%x00%P%x00%an%x00%ae%x00%ai%x00%s%x00';
+
+// Split log output printed with LOG_PATCH_FORMAT into commits (getRecentCommits shape) and their parsed files
+function parseLogWithPatches(output) {
+  const fields = output.split('\0').slice(1);
+  const records = [];
+  for (let i = 0; i + 6 < fields.length; i += 7) {
+    const [hash, parents, authorName, authorEmail, date, message, patch] = fields.slice(i, i + 7);
+    records.push({
+      commit: {
+        hash,
+        shortHash: hash.substring(0, 7),
+        message,
+        author: {
+          name: authorName,
+          email: authorEmail
+        },
+        date,
+        timestamp: new Date(date).getTime(),
+        parents: parents ? parents.split(' ') : []
+      },
+      files: parseUnifiedDiff(patch)
+    });
+  }
+  return records;
+}
+
+// Date filters become a single --since=/--until= argument; reject anything git could not read as a date
+function assertSafeDate(value, name) {
+  if (typeof value !== 'string' || !value.trim() || /[\0\n]/.test(value)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return value;
+}
+
+// Run git and pass each stdout line to onLine; returning false from onLine stops git early
+function streamGitLines(cwd, args, onLine) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd });
+    let buffer = '';
+    let stderr = '';
+    let stopped = false;
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      if (stopped) {
+        return;
+      }
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (onLine(line) === false) {
+          stopped = true;
+          child.kill();
+          return;
+        }
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (!stopped && buffer) {
+        onLine(buffer);
+      }
+      resolve({ code, stopped, stderr: stderr.trim() });
+    });
+  });
+}
+
+// Stream a blob through `git cat-file` keeping only bytes [start, end) and the first 8000 bytes
+// (for isBinaryBuffer); git is stopped once both are in, so memory stays bounded by the window
+function readBlobRange(cwd, sha, start, end) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['cat-file', 'blob', sha], { cwd });
+    const stop = Math.max(end, 8000);
+    const head = [];
+    const range = [];
+    let position = 0;
+    let stopped = false;
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => {
+      if (stopped) {
+        return;
+      }
+      const chunkStart = position;
+      position += chunk.length;
+      if (chunkStart < 8000) {
+        head.push(chunk.subarray(0, 8000 - chunkStart));
+      }
+      if (position > start && chunkStart < end) {
+        range.push(chunk.subarray(Math.max(0, start - chunkStart), end - chunkStart));
+      }
+      if (position >= stop) {
+        stopped = true;
+        child.kill();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (!stopped && code !== 0) {
+        reject(new Error(stderr.trim() || `git cat-file exited with code ${code}`));
+        return;
+      }
+      resolve({ head: Buffer.concat(head), content: Buffer.concat(range) });
+    });
+  });
+}
+
+// Count the lines of a blob through `git cat-file` without holding it in memory; a last line
+// without a trailing newline still counts
+function countBlobLines(cwd, sha) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['cat-file', 'blob', sha], { cwd });
+    let lines = 0;
+    let last = 0x0a;
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => {
+      for (let i = chunk.indexOf(0x0a); i !== -1; i = chunk.indexOf(0x0a, i + 1)) {
+        lines++;
+      }
+      last = chunk[chunk.length - 1];
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(stderr.trim() || `git cat-file exited with code ${code}`));
+        return;
+      }
+      resolve(last === 0x0a ? lines : lines + 1);
+    });
+  });
+}
+
+// Blobs and trees are addressed by their object id and never go stale; the TTL only bounds memory use
+const OBJECT_CACHE_TTL = 24 * 60 * 60;
+
+// Diffing a root commit against the empty tree lists every file as added
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+const WHITESPACE_FLAGS = {
+  none: null,
+  all: '--ignore-all-space',
+  change: '--ignore-space-change',
+  eol: '--ignore-space-at-eol'
+};
+
+// Cut diff text at maxBytes on a line boundary, counting the files that did not make it
+function truncateDiff(diff, maxBytes) {
+  const buffer = Buffer.from(diff, 'utf8');
+  if (!maxBytes || buffer.length <= maxBytes) {
+    return { text: diff, truncated: false, totalBytes: buffer.length, omittedFiles: 0, partialFile: false };
+  }
+
+  const cut = buffer.lastIndexOf(10, maxBytes - 1) + 1;
+  const text = buffer.subarray(0, cut).toString('utf8');
+  const rest = buffer.subarray(cut).toString('utf8');
+  const omittedFiles = (rest.match(/^diff --git /gm) || []).length;
+  return { text, truncated: true, totalBytes: buffer.length, omittedFiles, partialFile: !rest.startsWith('diff --git ') };
+}
+
 export class GitMemoryService {
-  constructor() {
+  constructor(options = {}) {
+    // Path traversal patterns and size limits for reads of repository content
+    this.inputValidator = options.inputValidator || new InputValidator();
+
     // Simple cache using Map with TTL
     this.cache = new Map();
     this.cacheTTL = new Map();
@@ -251,6 +585,160 @@ export class GitMemoryService {
     }, cacheKey, 180); // Cache for 3 minutes
   }
 
+  // List tags with annotated tag metadata; `contains` keeps only tags whose history includes that commit
+  async listTags(repoPath, { sort = 'version', order = 'desc', pattern = null, contains = null, limit = 100 } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    if (sort !== 'version' && sort !== 'date') {
+      throw new Error(`Invalid sort: ${sort}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error(`Invalid order: ${order}`);
+    }
+    if (pattern !== null) {
+      assertSafeRef(pattern);
+    }
+    const containsHash = contains ? await this.resolveRef(validatedPath, contains) : null;
+    const cacheKey = `tags:${validatedPath}:${sort}:${order}:${pattern}:${containsHash}:${limit}`;
+
+    return this.executeGitOperation(async () => {
+      const tags = await readTags(this.getGitInstance(validatedPath), { sort, order, pattern, contains: containsHash, limit });
+
+      return {
+        sort,
+        order,
+        pattern,
+        contains: containsHash,
+        tags,
+        total: tags.length,
+        timestamp: Date.now()
+      };
+    }, cacheKey, 120); // Cache for 2 minutes
+  }
+
+  // Describe a commit relative to tags: the nearest tag before it and the first tag that shipped it
+  async describeCommit(repoPath, ref = 'HEAD', { match = null } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    if (match !== null) {
+      assertSafeRef(match);
+    }
+    const hash = await this.resolveRef(validatedPath, ref);
+    const cacheKey = `describe:${validatedPath}:${hash}:${match}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const matchArgs = match ? [`--match=${match}`] : [];
+
+      // Both forms fail when no tag qualifies, which is an answer rather than an error
+      const describeWith = async (args) => {
+        try {
+          return (await git.raw(['describe', '--tags', ...matchArgs, ...args, hash])).trim();
+        } catch (error) {
+          return null;
+        }
+      };
+      const describe = await describeWith(['--long', '--abbrev=7']);
+      const containedIn = await describeWith(['--contains']);
+      const [firstTag = null] = await readTags(git, { sort: 'version', order: 'asc', pattern: match, contains: hash, limit: 1 });
+
+      const parsed = describe && describe.match(/^(.*)-(\d+)-g([0-9a-f]+)$/);
+      return {
+        ref,
+        commit: hash,
+        describe: parsed && parsed[2] === '0' ? parsed[1] : describe,
+        tag: parsed ? parsed[1] : null,
+        distance: parsed ? parseInt(parsed[2]) : null,
+        containedIn,
+        firstTag,
+        timestamp: Date.now()
+      };
+    }, cacheKey, 120);
+  }
+
+  // Release notes for a range such as v1.2.0..HEAD; without a start, everything since the latest tag
+  async generateChangelog(repoPath, { range = null, format = 'markdown', version = null, limit = 1000 } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    if (!['markdown', 'json', 'keep-a-changelog'].includes(format)) {
+      throw new Error(`Invalid format: ${format}`);
+    }
+    if (range !== null && (typeof range !== 'string' || range.includes('...'))) {
+      throw new Error(`Invalid range: ${range}`);
+    }
+
+    const git = this.getGitInstance(validatedPath);
+    // Fails when no tag is reachable, which just means there is no earlier release
+    const latestTag = async (hash) => {
+      try {
+        return (await git.raw(['describe', '--tags', '--abbrev=0', hash])).trim();
+      } catch (error) {
+        return null;
+      }
+    };
+
+    // A lone ref ("HEAD", "v2.0.0") is the end of the range and starts at the latest tag before it;
+    // when the end is tagged itself, that tag is the release being described, so look past it
+    const [rangeFrom, rangeTo] = range && range.includes('..') ? range.split('..') : [null, range];
+    const to = assertSafeRef(rangeTo || 'HEAD');
+    const toCommit = await this.resolveRef(validatedPath, to);
+    let from;
+    if (rangeFrom !== null) {
+      from = assertSafeRef(rangeFrom);
+    } else {
+      const tagged = (await git.raw(['tag', '--points-at', toCommit])).trim() !== '';
+      from = await latestTag(tagged ? `${toCommit}^` : toCommit);
+    }
+    const fromCommit = from ? await this.resolveRef(validatedPath, from) : null;
+    const cacheKey = `changelog:${validatedPath}:${fromCommit}:${toCommit}:${format}:${version}:${limit}`;
+
+    return this.executeGitOperation(async () => {
+      const output = await git.raw([
+        'log', '--no-merges', `--max-count=${limit + 1}`,
+        '--format=%x00%H%x00%an%x00%ae%x00%ai%x00%B',
+        fromCommit ? `${fromCommit}..${toCommit}` : toCommit
+      ]);
+      const fields = output.split('\0').slice(1);
+      // One commit past the limit tells a cut-off range from one that fits exactly
+      const truncated = fields.length / 5 > limit;
+      const entries = [];
+      for (let i = 0; i + 4 < fields.length && entries.length < limit; i += 5) {
+        const [hash, authorName, authorEmail, date, message] = fields.slice(i, i + 5);
+        const { body, ...parsed } = parseConventionalCommit(message.trim());
+        entries.push({
+          hash,
+          shortHash: hash.substring(0, 7),
+          ...parsed,
+          author: {
+            name: authorName,
+            email: authorEmail
+          },
+          date,
+          timestamp: new Date(date).getTime()
+        });
+      }
+
+      const currentVersion = fromCommit ? await latestTag(fromCommit) : null;
+      const { bump, version: nextVersion } = suggestNextVersion(currentVersion, entries);
+      const grouped = groupChangelogEntries(entries);
+      const releaseDate = (await git.raw(['show', '-s', '--format=%cs', toCommit])).trim();
+      const render = format === 'markdown' ? renderMarkdown : format === 'keep-a-changelog' ? renderKeepAChangelog : null;
+
+      return {
+        from,
+        to,
+        fromCommit,
+        toCommit,
+        format,
+        currentVersion,
+        bump,
+        nextVersion,
+        ...grouped,
+        total: entries.length,
+        truncated,
+        content: render ? render(grouped, { version, date: version ? releaseDate : null }) : null,
+        timestamp: Date.now()
+      };
+    }, cacheKey, 120); // Cache for 2 minutes; tags can move
+  }
+
   // Search commits
   async searchCommits(repoPath, query, limit = 20) {
     const validatedPath = await this.validateRepository(repoPath);
@@ -262,7 +750,7 @@ export class GitMemoryService {
       // Search in commit messages
       const messageResults = await git.log({
         maxCount: limit,
-        grep: query,
+        '--grep': query,
         format: {
           hash: '%H',
           date: '%ai',
@@ -275,7 +763,7 @@ export class GitMemoryService {
       // Search in author names
       const authorResults = await git.log({
         maxCount: limit,
-        author: query,
+        '--author': query,
         format: {
           hash: '%H',
           date: '%ai',
@@ -377,6 +865,922 @@ export class GitMemoryService {
     }, cacheKey, 600); // Cache for 10 minutes
   }
 
+  // Get commits reachable from `to` but not from `from` (git log from..to)
+  async getCommitsBetween(repoPath, from, to = 'HEAD', limit = 100) {
+    const validatedPath = await this.validateRepository(repoPath);
+    assertSafeRef(from);
+    assertSafeRef(to);
+    const cacheKey = `commits_between:${validatedPath}:${from}:${to}:${limit}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const log = await git.log({
+        from,
+        to,
+        maxCount: limit,
+        format: {
+          hash: '%H',
+          date: '%ai',
+          message: '%s',
+          author_name: '%an',
+          author_email: '%ae'
+        }
+      });
+
+      return {
+        from,
+        to,
+        commits: log.all.map(commit => ({
+          hash: commit.hash,
+          shortHash: commit.hash.substring(0, 7),
+          message: commit.message,
+          author: {
+            name: commit.author_name,
+            email: commit.author_email
+          },
+          date: commit.date,
+          timestamp: new Date(commit.date).getTime()
+        })),
+        total: log.total,
+        timestamp: Date.now()
+      };
+    }, cacheKey, 120); // Cache for 2 minutes
+  }
+
+  // Compare two refs: merge base, ahead/behind, commits unique to each side and the diffstat of head since the merge base
+  async compareRefs(repoPath, base, head = 'HEAD', { limit = 50 } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const baseCommit = await this.resolveRef(validatedPath, base);
+    const headCommit = await this.resolveRef(validatedPath, head);
+    const cacheKey = `compare:${validatedPath}:${baseCommit}:${headCommit}:${limit}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+
+      let mergeBase = null;
+      try {
+        mergeBase = (await git.raw(['merge-base', baseCommit, headCommit])).trim() || null;
+      } catch (error) {
+        // Exit status 1 without output: the histories share no commit
+      }
+
+      const [behind, ahead] = (await git.raw(['rev-list', '--left-right', '--count', `${baseCommit}...${headCommit}`]))
+        .trim()
+        .split(/\s+/)
+        .map(Number);
+
+      const uniqueCommits = async (from, to) => {
+        const log = await git.log({
+          from,
+          to,
+          // simple-git defaults to from...to, which would list both sides
+          symmetric: false,
+          maxCount: limit,
+          format: {
+            hash: '%H',
+            date: '%ai',
+            message: '%s',
+            author_name: '%an',
+            author_email: '%ae'
+          }
+        });
+        return log.all.map(commit => ({
+          hash: commit.hash,
+          shortHash: commit.hash.substring(0, 7),
+          message: commit.message,
+          author: {
+            name: commit.author_name,
+            email: commit.author_email
+          },
+          date: commit.date,
+          timestamp: new Date(commit.date).getTime()
+        }));
+      };
+
+      // -z numstat: "added\tdeleted\tpath\0", or "added\tdeleted\t\0old\0new\0" for renames; "-" counts mean binary
+      const numstat = (await git.raw([
+        'diff', '--numstat', '-z', '--find-renames', mergeBase || baseCommit, headCommit
+      ])).split('\0');
+      const files = [];
+      for (let i = 0; i < numstat.length && numstat[i]; i++) {
+        const [added, deleted, filePath] = numstat[i].split('\t');
+        const renamed = filePath === '';
+        const binary = added === '-';
+        files.push({
+          path: renamed ? numstat[i + 2] : filePath,
+          oldPath: renamed ? numstat[i + 1] : null,
+          additions: binary ? 0 : parseInt(added),
+          deletions: binary ? 0 : parseInt(deleted),
+          binary
+        });
+        if (renamed) {
+          i += 2;
+        }
+      }
+
+      const relation = !mergeBase
+        ? 'unrelated'
+        : ahead === 0 && behind === 0
+          ? 'identical'
+          : behind === 0 ? 'ahead' : ahead === 0 ? 'behind' : 'diverged';
+
+      return {
+        base,
+        head,
+        baseCommit,
+        headCommit,
+        mergeBase,
+        relation,
+        ahead,
+        behind,
+        // base can move to head without a merge commit
+        canFastForward: mergeBase === baseCommit,
+        aheadCommits: ahead > 0 ? await uniqueCommits(baseCommit, headCommit) : [],
+        behindCommits: behind > 0 ? await uniqueCommits(headCommit, baseCommit) : [],
+        diffstat: {
+          files,
+          filesChanged: files.length,
+          additions: files.reduce((total, file) => total + file.additions, 0),
+          deletions: files.reduce((total, file) => total + file.deletions, 0)
+        },
+        timestamp: Date.now()
+      };
+    }, cacheKey, 600); // Cache for 10 minutes; both sides are pinned to commits
+  }
+
+  // Merge `source` into `target` in memory with merge-tree; HEAD, the index and the working tree stay untouched
+  async previewMerge(repoPath, source, target = 'HEAD', { includeHunks = false, allowUnrelatedHistories = false } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const sourceCommit = await this.resolveRef(validatedPath, source);
+    const targetCommit = await this.resolveRef(validatedPath, target);
+    const cacheKey = `merge_preview:${validatedPath}:${targetCommit}:${sourceCommit}:${includeHunks}:${allowUnrelatedHistories}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const args = ['merge-tree', '--write-tree', '-z'];
+      if (allowUnrelatedHistories) {
+        args.push('--allow-unrelated-histories');
+      }
+
+      // Exit status 1 means conflicts and still prints the result; real failures land on stderr and throw
+      let output;
+      try {
+        output = await git.raw([...args, targetCommit, sourceCommit]);
+      } catch (error) {
+        if (/usage: git merge-tree|unknown option/.test(error.message)) {
+          throw new Error('Merge preview requires git 2.38 or newer (merge-tree --write-tree)');
+        }
+        throw error;
+      }
+      const { tree, conflicts, messages } = parseMergeTreeOutput(output);
+
+      if (includeHunks) {
+        for (const conflict of conflicts) {
+          conflict.hunks = [];
+          if (!conflict.stages.ours || !conflict.stages.theirs) {
+            continue; // modify/delete and similar leave one side's file without markers
+          }
+          try {
+            const content = await git.binaryCatFile(['blob', `${tree}:${conflict.path}`]);
+            if (!isBinaryBuffer(content)) {
+              conflict.hunks = parseConflictMarkers(content.toString('utf8'));
+            }
+          } catch (error) {
+            logger.debug(`No merged content for ${conflict.path}: ${error.message}`);
+          }
+        }
+      }
+
+      return {
+        source,
+        target,
+        sourceCommit,
+        targetCommit,
+        clean: conflicts.length === 0,
+        tree,
+        conflicts,
+        messages,
+        timestamp: Date.now()
+      };
+    }, cacheKey, 600); // Cache for 10 minutes; both sides are pinned to commits
+  }
+
+  // Get a unified diff between revisions, or of the index / working tree
+  async getDiff(repoPath, {
+    from = null,
+    to = null,
+    staged = false,
+    mergeBase = false,
+    stat = false,
+    paths = [],
+    excludePaths = [],
+    ignoreWhitespace = 'none',
+    contextLines = null,
+    wordDiff = false
+  } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const args = ['diff', '--no-color', '--no-ext-diff', '--find-renames'];
+
+    if (staged) {
+      args.push('--cached');
+    }
+    if (stat) {
+      args.push('--stat');
+    }
+    if (!(ignoreWhitespace in WHITESPACE_FLAGS)) {
+      throw new Error(`Invalid ignoreWhitespace: ${ignoreWhitespace}`);
+    }
+    if (WHITESPACE_FLAGS[ignoreWhitespace]) {
+      args.push(WHITESPACE_FLAGS[ignoreWhitespace]);
+    }
+    if (contextLines !== null) {
+      args.push(`--unified=${Math.max(0, parseInt(contextLines) || 0)}`);
+    }
+    if (wordDiff) {
+      args.push('--word-diff=porcelain');
+    }
+    if (from && to && mergeBase) {
+      args.push(`${assertSafeRef(from)}...${assertSafeRef(to)}`);
+    } else {
+      if (from) {
+        args.push(assertSafeRef(from));
+      }
+      if (to) {
+        args.push(assertSafeRef(to));
+      }
+    }
+    args.push(
+      '--',
+      ...paths.map(normalizeRepoRelativePath).filter(Boolean),
+      ...excludePaths.map(normalizeRepoRelativePath).filter(Boolean).map(excluded => `:(exclude)${excluded}`)
+    );
+
+    // Not cached: index and working-tree diffs change without any ref moving
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const diff = await git.raw(args);
+
+      return {
+        from,
+        to,
+        staged,
+        diff,
+        timestamp: Date.now()
+      };
+    });
+  }
+
+  // Same diff parsed into files, hunks and typed lines; `commit` diffs one commit against its first parent
+  async getStructuredDiff(repoPath, { commit = null, maxBytes = null, ...options } = {}) {
+    if (commit) {
+      const { hash, parents } = await this.getCommit(repoPath, commit);
+      options = { ...options, from: parents[0] || EMPTY_TREE, to: hash, staged: false, mergeBase: false };
+    }
+
+    const { diff, from, to, staged } = await this.getDiff(repoPath, { ...options, stat: false });
+    const { text, truncated, totalBytes, omittedFiles, partialFile } = truncateDiff(diff, maxBytes);
+    const files = parseUnifiedDiff(text, { wordDiff: options.wordDiff });
+
+    // The file and hunk the cut landed in are incomplete; say so rather than let them pass as whole
+    if (partialFile && files.length > 0) {
+      const lastFile = files[files.length - 1];
+      lastFile.truncated = true;
+      if (lastFile.hunks.length > 0) {
+        lastFile.hunks[lastFile.hunks.length - 1].truncated = true;
+      }
+    }
+
+    return {
+      from,
+      to,
+      staged,
+      commit,
+      files,
+      summary: {
+        files: files.length + omittedFiles,
+        additions: files.reduce((total, file) => total + file.additions, 0),
+        deletions: files.reduce((total, file) => total + file.deletions, 0)
+      },
+      truncated,
+      ...(truncated ? { truncation: { maxBytes, totalBytes, omittedFiles } } : {}),
+      timestamp: Date.now()
+    };
+  }
+
+  // Resolve any revision (branch, tag, HEAD~2, short sha) to a full commit hash
+  async resolveRef(repoPath, ref = 'HEAD') {
+    const validatedPath = await this.validateRepository(repoPath);
+    assertSafeRef(ref);
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const hash = await git.revparse(['--verify', `${ref}^{commit}`]);
+      return hash.trim();
+    });
+  }
+
+  // Get a single commit with its parents and changed files
+  async getCommit(repoPath, ref = 'HEAD') {
+    const validatedPath = await this.validateRepository(repoPath);
+    const hash = await this.resolveRef(validatedPath, ref);
+    const cacheKey = `commit:${validatedPath}:${hash}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const header = await git.raw([
+        'show', '-s', '--format=%H%x00%P%x00%an%x00%ae%x00%ai%x00%cn%x00%ce%x00%ci%x00%s%x00%b', hash
+      ]);
+      const [fullHash, parents, authorName, authorEmail, date, committerName, committerEmail, committerDate, message, body] =
+        header.split('\0');
+
+      const nameStatus = await git.raw(['diff-tree', '--no-commit-id', '-r', '-M', '--root', '--name-status', hash]);
+      const files = nameStatus.split('\n').filter(Boolean).map(line => {
+        const [status, ...paths] = line.split('\t');
+        return paths.length > 1
+          ? { status: status[0], similarity: parseInt(status.slice(1)) || null, oldPath: paths[0], path: paths[1] }
+          : { status, path: paths[0] };
+      });
+
+      return {
+        hash: fullHash,
+        shortHash: fullHash.substring(0, 7),
+        parents: parents ? parents.split(' ') : [],
+        message,
+        body: (body || '').trim(),
+        author: {
+          name: authorName,
+          email: authorEmail
+        },
+        committer: {
+          name: committerName,
+          email: committerEmail,
+          date: committerDate
+        },
+        date,
+        timestamp: new Date(date).getTime(),
+        files
+      };
+    }, cacheKey, 3600); // Commits are immutable, cache for 1 hour
+  }
+
+  // Reject traversal patterns (InputValidator) before normalizing a repository-relative path
+  assertSafeRepoPath(filePath) {
+    if (this.inputValidator.checkPathTraversal(String(filePath))) {
+      throw new Error(`Path traversal attempt detected: ${filePath}`);
+    }
+    return normalizeRepoRelativePath(filePath);
+  }
+
+  // Look up one path in a commit's tree: { mode, type, sha, size }, or null when it does not exist
+  async getTreeEntry(repoPath, hash, filePath) {
+    const cacheKey = `tree_entry:${repoPath}:${hash}:${filePath}`;
+    const cached = this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const git = this.getGitInstance(repoPath);
+    const output = await git.raw(['ls-tree', '-l', '-z', hash, '--', filePath]);
+    if (!output) {
+      return null;
+    }
+    const [mode, type, sha, size] = output.split('\t')[0].split(/\s+/);
+    const entry = { mode, type, sha, size: size === '-' ? null : parseInt(size) };
+    this.setCache(cacheKey, entry, OBJECT_CACHE_TTL);
+    return entry;
+  }
+
+  // List the entries of a directory at a given revision, optionally including everything below it
+  async listTree(repoPath, ref = 'HEAD', dirPath = '', { recursive = false, maxEntries = null } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const normalizedDir = this.assertSafeRepoPath(dirPath);
+    const limit = Math.min(maxEntries || Infinity, this.inputValidator.config.maxArrayLength);
+    const hash = await this.resolveRef(validatedPath, ref);
+    const git = this.getGitInstance(validatedPath);
+
+    let tree;
+    if (normalizedDir) {
+      const entry = await this.getTreeEntry(validatedPath, hash, normalizedDir);
+      if (!entry || entry.type !== 'tree') {
+        throw new Error(`Directory not found at ${ref}: ${normalizedDir}`);
+      }
+      tree = entry.sha;
+    } else {
+      tree = (await git.revparse(['--verify', `${hash}^{tree}`])).trim();
+    }
+    const cacheKey = `tree:${tree}:${recursive ? 'recursive' : 'flat'}`;
+
+    const entries = await this.executeGitOperation(async () => {
+      const output = await git.raw(['ls-tree', '-l', '-z', ...(recursive ? ['-r', '-t'] : []), tree]);
+
+      return output.split('\0').filter(Boolean).map(line => {
+        const [meta, relativePath] = line.split('\t');
+        const [mode, type, object, size] = meta.split(/\s+/);
+        return {
+          name: path.posix.basename(relativePath),
+          path: normalizedDir ? `${normalizedDir}/${relativePath}` : relativePath,
+          mode,
+          type,
+          sha: object,
+          size: size === '-' ? null : parseInt(size)
+        };
+      });
+    }, cacheKey, OBJECT_CACHE_TTL);
+
+    return {
+      ref,
+      commit: hash,
+      path: normalizedDir,
+      tree,
+      recursive,
+      entries: entries.slice(0, limit),
+      total: entries.length,
+      truncated: entries.length > limit,
+      timestamp: Date.now()
+    };
+  }
+
+  // List every file path at a given revision
+  async listFiles(repoPath, ref = 'HEAD') {
+    const validatedPath = await this.validateRepository(repoPath);
+    const hash = await this.resolveRef(validatedPath, ref);
+    const cacheKey = `files:${validatedPath}:${hash}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const output = await git.raw(['ls-tree', '-r', '--name-only', '-z', hash]);
+
+      return {
+        ref,
+        commit: hash,
+        files: output.split('\0').filter(Boolean),
+        timestamp: Date.now()
+      };
+    }, cacheKey, 3600);
+  }
+
+  // Read a file (or a byte range of it) at a given revision, with binary detection and size limits
+  async readFileAtRevision(repoPath, filePath, { ref = 'HEAD', offset = 0, length = null, encoding = 'auto' } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const normalizedFile = this.assertSafeRepoPath(filePath);
+    if (!normalizedFile) {
+      throw new Error('filePath is required');
+    }
+    if (!['auto', 'utf8', 'base64'].includes(encoding)) {
+      throw new Error(`Invalid encoding: ${encoding}`);
+    }
+    const hash = await this.resolveRef(validatedPath, ref);
+
+    const entry = await this.getTreeEntry(validatedPath, hash, normalizedFile);
+    if (!entry) {
+      throw new Error(`File not found at ${ref}: ${normalizedFile}`);
+    }
+    if (entry.type !== 'blob') {
+      throw new Error(`Not a file at ${ref}: ${normalizedFile} is a ${entry.type}`);
+    }
+
+    // entry.size comes from `ls-tree -l` (the `cat-file -s` size), so the limit applies before
+    // anything is read. Larger files can still be read, one maxFileSize window at a time.
+    const maxFileSize = this.inputValidator.config.maxFileSize;
+    const start = Math.min(Math.max(0, parseInt(offset) || 0), entry.size);
+    const requested = length === null ? entry.size - start : Math.max(0, parseInt(length) || 0);
+    const end = Math.min(entry.size, start + Math.min(requested, maxFileSize));
+
+    let head;
+    let slice;
+    if (entry.size <= maxFileSize) {
+      const blob = await this.executeGitOperation(async () => {
+        const git = this.getGitInstance(validatedPath);
+        return git.binaryCatFile(['blob', entry.sha]);
+      }, `blob:${entry.sha}`, OBJECT_CACHE_TTL);
+      head = blob;
+      slice = blob.subarray(start, end);
+    } else {
+      // Never held whole or cached: git streams up to the end of the window and is stopped there
+      ({ head, content: slice } = await this.executeGitOperation(() => readBlobRange(validatedPath, entry.sha, start, end)));
+    }
+
+    const binary = isBinaryBuffer(head);
+    const resolvedEncoding = encoding === 'auto' ? (binary ? 'base64' : 'utf8') : encoding;
+
+    return {
+      path: normalizedFile,
+      ref,
+      commit: hash,
+      blob: entry.sha,
+      mode: entry.mode,
+      size: entry.size,
+      binary,
+      encoding: resolvedEncoding,
+      offset: start,
+      length: slice.length,
+      truncated: Math.min(requested, entry.size - start) > maxFileSize,
+      nextOffset: end < entry.size ? end : null,
+      content: slice.toString(resolvedEncoding),
+      timestamp: Date.now()
+    };
+  }
+
+  // Read a whole file as it was at a given revision; files over maxFileSize need readFileAtRevision windows
+  async getFileAtRevision(repoPath, ref = 'HEAD', filePath) {
+    const file = await this.readFileAtRevision(repoPath, filePath, { ref });
+    if (file.truncated) {
+      throw new Error(`File too large to read whole: ${file.path} is ${file.size} bytes; read it in ranges with read_file_at_revision`);
+    }
+
+    return {
+      path: file.path,
+      ref,
+      commit: file.commit,
+      size: file.size,
+      binary: file.binary,
+      encoding: file.encoding,
+      content: file.content
+    };
+  }
+
+  // Look up a file at a revision and check that the requested lines exist in it; git would
+  // otherwise clamp an end past EOF and flip a reversed range without saying so
+  async assertLineRange(repoPath, hash, ref, filePath, startLine, endLine) {
+    if ((startLine !== null && startLine < 1) || (startLine !== null && endLine !== null && endLine < startLine)) {
+      throw new Error(`Invalid line range: ${startLine}-${endLine}`);
+    }
+    const entry = await this.getTreeEntry(repoPath, hash, filePath);
+    if (!entry) {
+      throw new Error(`File not found at ${ref}: ${filePath}`);
+    }
+    if (entry.type !== 'blob') {
+      throw new Error(`Not a file at ${ref}: ${filePath}`);
+    }
+    if (startLine === null && endLine === null) {
+      return entry;
+    }
+
+    const cacheKey = `line_count:${repoPath}:${entry.sha}`;
+    let lines = this.getCache(cacheKey);
+    if (lines === null || lines === undefined) {
+      lines = await countBlobLines(repoPath, entry.sha);
+      this.setCache(cacheKey, lines, OBJECT_CACHE_TTL);
+    }
+    const last = Math.max(startLine || 1, endLine || 1);
+    if (last > lines) {
+      throw new Error(`Invalid line range: ${startLine || 1}-${endLine || lines}; ${filePath} has ${lines} lines at ${ref}`);
+    }
+    return entry;
+  }
+
+  // Blame a file at a revision: who last touched each line, in which commit and on which original line
+  async blameFile(repoPath, filePath, {
+    ref = 'HEAD',
+    startLine = null,
+    endLine = null,
+    ignoreWhitespace = false,
+    detectMoves = false,
+    detectCopies = false,
+    ignoreRevsFile = true,
+    groupBy = 'line'
+  } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const normalizedFile = normalizeRepoRelativePath(filePath);
+    if (!normalizedFile) {
+      throw new Error('filePath is required');
+    }
+    const hash = await this.resolveRef(validatedPath, ref);
+    const git = this.getGitInstance(validatedPath);
+    const { sha: blob } = await this.assertLineRange(validatedPath, hash, ref, normalizedFile, startLine, endLine);
+
+    const args = ['blame', '--porcelain'];
+    if (startLine !== null || endLine !== null) {
+      args.push('-L', `${startLine || 1},${endLine || ''}`);
+    }
+    if (ignoreWhitespace) {
+      args.push('-w');
+    }
+    if (detectMoves) {
+      args.push('-M');
+    }
+    if (detectCopies) {
+      args.push('-C');
+    }
+
+    // The ignore list lives in the working tree, so its contents are part of the cache key
+    let ignoreRevs = '';
+    if (ignoreRevsFile) {
+      const ignoreRevsPath = path.join(validatedPath, BLAME_IGNORE_REVS_FILE);
+      try {
+        ignoreRevs = await fs.readFile(ignoreRevsPath, 'utf8');
+        args.push('--ignore-revs-file', ignoreRevsPath);
+      } catch (error) {
+        // No ignore list in this repository
+      }
+    }
+    args.push(hash, '--', normalizedFile);
+
+    const ignoreRevsDigest = crypto.createHash('sha1').update(ignoreRevs).digest('hex');
+    const cacheKey = `blame:${validatedPath}:${hash}:${normalizedFile}:${args.slice(2, -3).join(' ')}:${ignoreRevsDigest}`;
+    const lines = await this.executeGitOperation(async () => {
+      return parseBlamePorcelain(await git.raw(args));
+    }, cacheKey, 3600);
+
+    return {
+      path: normalizedFile,
+      ref,
+      commit: hash,
+      blob,
+      startLine: lines.length > 0 ? lines[0].line : null,
+      endLine: lines.length > 0 ? lines[lines.length - 1].line : null,
+      ignoreRevsFile: ignoreRevs ? BLAME_IGNORE_REVS_FILE : null,
+      ...(groupBy === 'hunk' ? { hunks: groupBlameHunks(lines) } : { lines }),
+      timestamp: Date.now()
+    };
+  }
+
+  // Follow a line range or a function (git log -L) through history, renames included
+  async getLineHistory(repoPath, filePath, { startLine = null, endLine = null, funcname = null, ref = 'HEAD', limit = 20 } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    const normalizedFile = normalizeRepoRelativePath(filePath);
+    if (!normalizedFile) {
+      throw new Error('filePath is required');
+    }
+
+    let range;
+    if (funcname) {
+      // git reads -L :<funcname>:<file> up to the next colon
+      if (startLine !== null || endLine !== null || funcname.includes(':')) {
+        throw new Error('funcname must be a regex without ":" and cannot be combined with a line range');
+      }
+      range = `:${funcname}`;
+    } else {
+      if (!startLine) {
+        throw new Error(`Invalid line range: ${startLine}-${endLine}`);
+      }
+      range = `${startLine},${endLine || startLine}`;
+    }
+
+    const hash = await this.resolveRef(validatedPath, ref);
+    if (!funcname) {
+      await this.assertLineRange(validatedPath, hash, ref, normalizedFile, startLine, endLine || startLine);
+    }
+    const cacheKey = `line_history:${validatedPath}:${hash}:${range}:${normalizedFile}:${limit}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const output = await git.raw([
+        'log', '--no-color', `--max-count=${limit + 1}`, LOG_PATCH_FORMAT,
+        '-L', `${range}:${normalizedFile}`,
+        hash
+      ]);
+
+      const parsed = parseLogWithPatches(output);
+      const commits = parsed.slice(0, limit).map(({ commit, files: [file] }) => ({
+        ...commit,
+        path: file ? file.newPath : normalizedFile,
+        oldPath: file ? file.oldPath : null,
+        hunks: file ? file.hunks : []
+      }));
+
+      return {
+        file: normalizedFile,
+        ref,
+        commit: hash,
+        range: funcname ? { funcname } : { startLine, endLine: endLine || startLine },
+        commits,
+        total: commits.length,
+        truncated: parsed.length > limit,
+        timestamp: Date.now()
+      };
+    }, cacheKey, 3600); // History below a commit never changes
+  }
+
+  // Find commits whose changes add or remove a string (git log -S) or touch lines matching a regex (-G)
+  async searchCodeHistory(repoPath, query, {
+    mode = 'pickaxe',
+    ref = 'HEAD',
+    paths = [],
+    excludePaths = [],
+    since = null,
+    until = null,
+    ignoreCase = false,
+    contextLines = 3,
+    maxSnippets = 5,
+    limit = 20
+  } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    if (!query || typeof query !== 'string') {
+      throw new Error('query is required');
+    }
+    if (mode !== 'pickaxe' && mode !== 'regex') {
+      throw new Error(`Invalid mode: ${mode}`);
+    }
+
+    // git matches -G with POSIX extended regexes; JavaScript reads the common subset the same way
+    let matcher;
+    if (mode === 'regex') {
+      let pattern;
+      try {
+        pattern = new RegExp(query, ignoreCase ? 'i' : '');
+      } catch (error) {
+        throw new Error(`Invalid regex: ${error.message}`);
+      }
+      matcher = content => pattern.test(content);
+    } else {
+      const needle = ignoreCase ? query.toLowerCase() : query;
+      matcher = content => (ignoreCase ? content.toLowerCase() : content).includes(needle);
+    }
+
+    const hash = await this.resolveRef(validatedPath, ref);
+    const args = [
+      'log', '--no-color', '--no-ext-diff', '--find-renames', '-p', `--unified=${Math.max(0, parseInt(contextLines) || 0)}`,
+      `--max-count=${limit}`, LOG_PATCH_FORMAT,
+      mode === 'regex' ? `-G${query}` : `-S${query}`
+    ];
+    if (ignoreCase) {
+      args.push('--regexp-ignore-case');
+    }
+    if (since) {
+      args.push(`--since=${assertSafeDate(since, 'since')}`);
+    }
+    if (until) {
+      args.push(`--until=${assertSafeDate(until, 'until')}`);
+    }
+    args.push(
+      hash,
+      '--',
+      ...paths.map(normalizeRepoRelativePath).filter(Boolean),
+      ...excludePaths.map(normalizeRepoRelativePath).filter(Boolean).map(excluded => `:(exclude)${excluded}`)
+    );
+
+    const cacheKey = `code_history:${validatedPath}:${hash}:${args.slice(2).join('\0')}:${maxSnippets}`;
+
+    return this.executeGitOperation(async () => {
+      const git = this.getGitInstance(validatedPath);
+      const output = await git.raw(args);
+
+      const commits = parseLogWithPatches(output).map(({ commit, files }) => {
+        let added = 0;
+        let deleted = 0;
+        let snippets = 0;
+        let omittedSnippets = 0;
+
+        const matches = files.map(file => {
+          const hunks = [];
+          for (const hunk of file.hunks) {
+            let matched = false;
+            for (const line of hunk.lines) {
+              if (line.type !== 'context' && matcher(line.content)) {
+                line.match = true;
+                matched = true;
+                if (line.type === 'added') {
+                  added++;
+                } else {
+                  deleted++;
+                }
+              }
+            }
+            if (!matched) {
+              continue;
+            }
+            if (snippets < maxSnippets) {
+              hunks.push(hunk);
+              snippets++;
+            } else {
+              omittedSnippets++;
+            }
+          }
+          return { path: file.newPath, oldPath: file.oldPath, status: file.status, hunks };
+        });
+
+        // Pickaxe only reports commits that changed how often the string occurs
+        const change = mode === 'regex' || added === deleted ? 'changed' : added > deleted ? 'introduced' : 'removed';
+        return { ...commit, change, matches, omittedSnippets };
+      });
+
+      return {
+        query,
+        mode,
+        ref,
+        commit: hash,
+        commits,
+        total: commits.length,
+        timestamp: Date.now()
+      };
+    }, cacheKey, since || until ? 300 : 3600); // Relative dates such as "2 weeks ago" drift, so cache those briefly
+  }
+
+  // Search file contents with git grep, at a revision or in the working tree; results are paged by offset
+  async grepRepo(repoPath, pattern, {
+    ref = null,
+    fixedStrings = false,
+    ignoreCase = false,
+    wholeWord = false,
+    paths = [],
+    excludePaths = [],
+    contextLines = 0,
+    maxMatches = 500,
+    offset = 0,
+    pageSize = 50
+  } = {}) {
+    const validatedPath = await this.validateRepository(repoPath);
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('pattern is required');
+    }
+    const hash = ref ? await this.resolveRef(validatedPath, ref) : null;
+    const context = Math.max(0, parseInt(contextLines) || 0);
+
+    const args = ['grep', '-z', '-n', '--column', '-I', '--no-color', fixedStrings ? '-F' : '-E'];
+    if (ignoreCase) {
+      args.push('-i');
+    }
+    if (wholeWord) {
+      args.push('-w');
+    }
+    if (context > 0) {
+      args.push(`--context=${context}`);
+    }
+    args.push('-e', pattern);
+    if (hash) {
+      args.push(hash);
+    }
+    args.push(
+      '--',
+      ...paths.map(normalizeRepoRelativePath).filter(Boolean),
+      ...excludePaths.map(normalizeRepoRelativePath).filter(Boolean).map(excluded => `:(exclude)${excluded}`)
+    );
+
+    // A revision never changes, so every page of the same search is served from one cached run
+    const cacheKey = hash ? `grep:${validatedPath}:${args.join('\0')}:${maxMatches}` : null;
+    const { matches, truncated } = await this.executeGitOperation(async () => {
+      const found = [];
+      const fileLines = new Map(); // Map<path, Map<line, text>> of every printed line, for context
+      let truncated = false;
+
+      const { code, stderr } = await streamGitLines(validatedPath, args, (row) => {
+        if (row === '--' || !row) {
+          return true;
+        }
+        // Match rows are path\0line\0column\0text, context rows path\0line\0text
+        const fields = row.split('\0');
+        const filePath = hash ? fields[0].slice(hash.length + 1) : fields[0];
+        const line = parseInt(fields[1]);
+        const text = fields[fields.length - 1];
+        if (!fileLines.has(filePath)) {
+          fileLines.set(filePath, new Map());
+        }
+        fileLines.get(filePath).set(line, text);
+
+        if (fields.length === 4) {
+          if (found.length === maxMatches) {
+            truncated = true;
+            return false;
+          }
+          found.push({ path: filePath, line, column: parseInt(fields[2]), text });
+        }
+        return true;
+      });
+
+      // git grep exits with 1 when nothing matched
+      if (code !== 0 && code !== 1 && !truncated) {
+        throw new Error(`git grep failed: ${stderr}`);
+      }
+
+      const window = (lines, from, to) => {
+        const entries = [];
+        for (let line = from; line <= to; line++) {
+          if (lines.has(line)) {
+            entries.push({ line, text: lines.get(line) });
+          }
+        }
+        return entries;
+      };
+      for (const match of found) {
+        if (context > 0) {
+          const lines = fileLines.get(match.path);
+          match.before = window(lines, match.line - context, match.line - 1);
+          match.after = window(lines, match.line + 1, match.line + context);
+        }
+      }
+
+      return { matches: found, truncated };
+    }, cacheKey, 3600);
+
+    const start = Math.max(0, parseInt(offset) || 0);
+    const page = matches.slice(start, start + pageSize);
+    const nextOffset = start + page.length < matches.length ? start + page.length : null;
+
+    return {
+      pattern,
+      ref,
+      commit: hash,
+      matches: page,
+      total: matches.length,
+      files: new Set(matches.map(match => match.path)).size,
+      truncated,
+      offset: start,
+      nextOffset,
+      timestamp: Date.now()
+    };
+  }
+
   // Get repository information
   async getRepoInfo(repoPath) {
     const validatedPath = await this.validateRepository(repoPath);
@@ -423,7 +1827,11 @@ export class GitMemoryService {
   clearRepositoryCache(repoPath) {
     const validatedPath = path.resolve(repoPath);
     const keys = Array.from(this.cache.keys());
-    const repoKeys = keys.filter(key => key.includes(validatedPath));
+    // Keys are "<operation>:<repoPath>[:...]"; a plain substring match would also hit /repo-2 for /repo
+    const repoKeys = keys.filter((key) => {
+      const rest = key.slice(key.indexOf(':') + 1);
+      return rest === validatedPath || rest.startsWith(`${validatedPath}:`);
+    });
     
     repoKeys.forEach(key => {
       this.cache.delete(key);
@@ -5,14 +5,887 @@
  * including merge, push, pull, clone, and other advanced Git operations.
  */
 
-import { GitMemoryService } from '../src/services/git-memory.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+import { GitMemoryService, isBinaryBuffer } from './git-memory.js';
+import { GitProgressParser } from './git-progress.js';
+import { ConfirmationManager, ConfirmationRequiredError } from './confirmations.js';
+import { RepoAccess } from './repo-access.js';
+import { parseUnifiedDiff } from './diff-parser.js';
+import { parseConflictMarkers } from './merge-conflicts.js';
+import { UndoJournal } from './undo-journal.js';
+
+/**
+ * Run git with optional stdin, extra environment and stderr progress reporting; rejects with
+ * git's own message on a non-zero exit
+ */
+function runGit(cwd, args, { input = null, env = {}, onProgress = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, env: { ...process.env, ...env } });
+    const progressParser = onProgress ? new GitProgressParser(onProgress) : null;
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      if (progressParser) {
+        progressParser.write(chunk);
+      }
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        // "nothing to commit" and similar refusals are printed on stdout
+        reject(new Error(stderr.trim() || stdout.trim() || `git ${args[0]} exited with code ${code}`));
+      }
+    });
+    child.stdin.end(input === null ? undefined : input);
+  });
+}
+
+// One commit per line in the getRecentCommits shape; see parseCommitFields
+const COMMIT_FORMAT = '%H%x00%an%x00%ae%x00%ai%x00%s';
+
+function parseCommitFields([hash, authorName, authorEmail, date, message]) {
+  return {
+    hash,
+    shortHash: hash.substring(0, 7),
+    message,
+    author: {
+      name: authorName,
+      email: authorEmail
+    },
+    date,
+    timestamp: new Date(date).getTime()
+  };
+}
+
+// Author and committer identities are passed through the environment, never parsed by a shell
+function assertIdentity(identity, role) {
+  const { name, email } = identity || {};
+  if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || !email.trim() ||
+      /[<>\n\0]/.test(name + email)) {
+    throw new Error(`Invalid ${role}: name and email are required`);
+  }
+  return { name: name.trim(), email: email.trim() };
+}
+
+// "Signed-off-by: Name <mail>": a single-line value under a token git accepts as a trailer key
+function formatTrailer({ token, value } = {}) {
+  if (typeof token !== 'string' || !/^[A-Za-z][A-Za-z0-9-]*$/.test(token) ||
+      typeof value !== 'string' || !value.trim() || /[\n\0]/.test(value)) {
+    throw new Error(`Invalid trailer: ${token}`);
+  }
+  return `${token}: ${value.trim()}`;
+}
+
+// State git leaves in the git dir while an operation waits for the user, checked in this order
+const IN_PROGRESS_MARKERS = [
+  ['rebase-merge', 'rebase'],
+  ['rebase-apply', 'rebase'],
+  ['MERGE_HEAD', 'merge'],
+  ['CHERRY_PICK_HEAD', 'cherry-pick'],
+  ['REVERT_HEAD', 'revert']
+];
+
+// No exec: a plan must not be a way to run shell commands on the server
+const REBASE_ACTIONS = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+
+// Git runs editor commands through the shell, with the file to edit appended
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// GIT_EDITOR for rebase_interactive: replace the message of the step git just ran when the plan
+// gave one (a file named after its commit), otherwise keep the message git prepared
+const REBASE_EDITOR_SHIM = `#!/bin/sh
+commit=$(grep -v '^#' "$(git rev-parse --git-path rebase-merge/done)" | tail -n 1 | cut -d ' ' -f 2)
+if [ -n "$commit" ] && [ -f "$(dirname "$0")/messages/$commit" ]; then
+  cp "$(dirname "$0")/messages/$commit" "$1"
+fi
+`;
+
+// Which sides of an unmerged path exist, as `git status` words it
+function describeConflict({ base, ours, theirs }) {
+  if (ours && theirs) {
+    return base ? 'both-modified' : 'both-added';
+  }
+  if (!ours) {
+    return theirs ? (base ? 'deleted-by-us' : 'added-by-them') : 'both-deleted';
+  }
+  return base ? 'deleted-by-them' : 'added-by-us';
+}
 
 /**
  * Enhanced Git operations service with additional endpoints
  */
 class GitOperationsService {
-  constructor() {
-    this.gitMemoryService = new GitMemoryService();
+  constructor(options = {}) {
+    // Shared with the read tools so their caches can be dropped after a write
+    this.gitMemoryService = options.gitMemoryService || new GitMemoryService();
+    // Refs and uncommitted changes from before each write, so undoOperation can walk them back
+    this.journal = options.journal || new UndoJournal();
+  }
+
+  /**
+   * Resolve and check repository-relative paths for a pathspec; the whole tree has to be asked
+   * for as "." (or all), never reached through an empty path
+   */
+  normalizePaths(paths) {
+    return (paths || []).map((filePath) => {
+      if (typeof filePath !== 'string' || !filePath.trim()) {
+        throw new Error(`Invalid path: ${JSON.stringify(filePath)}; use "." for the whole repository`);
+      }
+      return this.gitMemoryService.assertSafeRepoPath(filePath) || '.';
+    });
+  }
+
+  /**
+   * Stage whole paths (`git add`), everything (`git add --all`) or individual hunks from a patch
+   * (`git apply --cached`), and return the resulting status
+   */
+  async stagePaths(repoPath, { paths = [], all = false, patch = null } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const pathspec = this.normalizePaths(paths);
+    if (!patch && !all && pathspec.length === 0) {
+      throw new Error('Nothing to stage: give paths, all or a patch');
+    }
+
+    try {
+      if (patch) {
+        // --recount tolerates hand-edited hunks whose header line counts are off
+        await runGit(validatedPath, ['apply', '--cached', '--recount', '--whitespace=nowarn', '-'], { input: patch });
+      } else if (all) {
+        await runGit(validatedPath, ['add', '--all']);
+      } else {
+        await runGit(validatedPath, ['--literal-pathspecs', 'add', '--all', '--', ...pathspec]);
+      }
+    } catch (error) {
+      throw new Error(`Failed to stage changes: ${error.message}`);
+    } finally {
+      this.gitMemoryService.clearRepositoryCache(validatedPath);
+    }
+
+    return await this.gitMemoryService.getRepoStatus(validatedPath);
+  }
+
+  /**
+   * Unstage whole paths, everything, or the hunks of a patch; the working tree keeps its changes
+   */
+  async unstagePaths(repoPath, { paths = [], all = false, patch = null } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const pathspec = this.normalizePaths(paths);
+    if (!patch && !all && pathspec.length === 0) {
+      throw new Error('Nothing to unstage: give paths, all or a patch');
+    }
+
+    try {
+      if (patch) {
+        await runGit(validatedPath, ['apply', '--cached', '--reverse', '--recount', '--whitespace=nowarn', '-'], { input: patch });
+      } else {
+        // Resets index entries to HEAD, or drops them on a branch that has no commit yet
+        await runGit(validatedPath, ['--literal-pathspecs', 'reset', '-q', '--', ...(all ? ['.'] : pathspec)]);
+      }
+    } catch (error) {
+      throw new Error(`Failed to unstage changes: ${error.message}`);
+    } finally {
+      this.gitMemoryService.clearRepositoryCache(validatedPath);
+    }
+
+    return await this.gitMemoryService.getRepoStatus(validatedPath);
+  }
+
+  /**
+   * Commit the index with an explicit identity. `verify: false` skips the pre-commit and
+   * commit-msg hooks; trailers are appended by git (`--trailer`) after a blank line.
+   */
+  async createCommit(repoPath, options = {}) {
+    const {
+      message,
+      author = null,
+      committer = null,
+      trailers = [],
+      allowEmpty = false,
+      verify = true
+    } = options;
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    if (typeof message !== 'string' || !message.trim()) {
+      throw new Error('Commit message is required');
+    }
+
+    const env = {};
+    if (author) {
+      const { name, email } = assertIdentity(author, 'author');
+      Object.assign(env, { GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: email });
+    }
+    if (committer) {
+      const { name, email } = assertIdentity(committer, 'committer');
+      Object.assign(env, { GIT_COMMITTER_NAME: name, GIT_COMMITTER_EMAIL: email });
+    }
+    const args = [
+      'commit', '--file=-',
+      ...(allowEmpty ? ['--allow-empty'] : []),
+      ...(verify ? [] : ['--no-verify']),
+      ...trailers.map(trailer => `--trailer=${formatTrailer(trailer)}`)
+    ];
+
+    try {
+      await runGit(validatedPath, args, { input: message, env });
+    } catch (error) {
+      throw new Error(`Failed to create commit: ${error.message}`);
+    } finally {
+      this.gitMemoryService.clearRepositoryCache(validatedPath);
+    }
+
+    const fields = (await runGit(validatedPath, ['show', '-s', `--format=${COMMIT_FORMAT}%x00%cn%x00%ce%x00%P`, 'HEAD']))
+      .replace(/\n$/, '')
+      .split('\0');
+    const [committerName, committerEmail, parents] = fields.slice(5);
+
+    return {
+      commit: parseCommitFields(fields),
+      committer: {
+        name: committerName,
+        email: committerEmail
+      },
+      parents: parents ? parents.split(' ') : [],
+      branch: await this.currentBranch(validatedPath),
+      timestamp: Date.now()
+    };
+  }
+
+  async currentBranch(repoPath) {
+    const branch = await runGit(repoPath, ['symbolic-ref', '--short', '-q', 'HEAD']).catch(() => '');
+    return branch.trim() || null;
+  }
+
+  /**
+   * Commits in a range (newest first) in the getRecentCommits shape
+   */
+  async listCommits(repoPath, range, limit = 100) {
+    const output = await runGit(repoPath, ['log', `--max-count=${limit}`, `--format=${COMMIT_FORMAT}`, range]);
+    return output.split('\n').filter(Boolean).map(line => parseCommitFields(line.split('\0')));
+  }
+
+  /**
+   * Journal the current HEAD, run an operation that moves it, and describe the result. An operation
+   * that stops on conflicts is reported (conflicts, inProgress) rather than thrown; any other
+   * failure is rethrown after the journal notes it.
+   */
+  async runJournaled(repoPath, operation, details, execute) {
+    const previousHead = (await runGit(repoPath, ['rev-parse', '--verify', 'HEAD'])).trim();
+    const branch = await this.currentBranch(repoPath);
+
+    return await this.journal.track(repoPath, { operation, details }, async (entry) => {
+      let conflicts = [];
+      try {
+        await execute();
+      } catch (error) {
+        conflicts = (await runGit(repoPath, ['diff', '--name-only', '-z', '--diff-filter=U'])).split('\0').filter(Boolean);
+        if (conflicts.length === 0) {
+          throw error;
+        }
+      } finally {
+        this.gitMemoryService.clearRepositoryCache(repoPath);
+      }
+
+      const head = (await runGit(repoPath, ['rev-parse', 'HEAD'])).trim();
+      return {
+        operation,
+        branch,
+        previousHead,
+        head,
+        journalId: entry.id,
+        commits: head === previousHead ? [] : await this.listCommits(repoPath, `${previousHead}..${head}`),
+        droppedCommits: head === previousHead ? [] : await this.listCommits(repoPath, `${head}..${previousHead}`),
+        conflicts,
+        inProgress: conflicts.length > 0,
+        timestamp: Date.now()
+      };
+    });
+  }
+
+  /**
+   * Resolve commit refs for cherry-pick/revert and check the mainline parent number
+   */
+  async resolveCommits(repoPath, commits, mainline) {
+    if (!Array.isArray(commits) || commits.length === 0) {
+      throw new Error('At least one commit is required');
+    }
+    if (mainline !== null && !(Number.isInteger(mainline) && mainline >= 1)) {
+      throw new Error(`Invalid mainline parent: ${mainline}`);
+    }
+    const hashes = [];
+    for (const commit of commits) {
+      hashes.push(await this.gitMemoryService.resolveRef(repoPath, commit));
+    }
+    return hashes;
+  }
+
+  /**
+   * Apply commits on top of HEAD. `mainline` picks the parent a merge commit is diffed against;
+   * `noCommit` leaves the changes staged instead of committing them.
+   */
+  async cherryPick(repoPath, commits, { noCommit = false, mainline = null } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const hashes = await this.resolveCommits(validatedPath, commits, mainline);
+
+    try {
+      return await this.runJournaled(validatedPath, 'cherry-pick', { commits: hashes, noCommit, mainline }, () => runGit(validatedPath, [
+        'cherry-pick',
+        ...(noCommit ? ['--no-commit'] : []),
+        ...(mainline ? ['--mainline', String(mainline)] : []),
+        ...hashes
+      ]));
+    } catch (error) {
+      throw new Error(`Failed to cherry-pick: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add commits that undo the given ones, keeping the default "Revert ..." messages
+   */
+  async revert(repoPath, commits, { noCommit = false, mainline = null } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const hashes = await this.resolveCommits(validatedPath, commits, mainline);
+
+    try {
+      return await this.runJournaled(validatedPath, 'revert', { commits: hashes, noCommit, mainline }, () => runGit(validatedPath, [
+        'revert', '--no-edit',
+        ...(noCommit ? ['--no-commit'] : []),
+        ...(mainline ? ['--mainline', String(mainline)] : []),
+        ...hashes
+      ]));
+    } catch (error) {
+      throw new Error(`Failed to revert: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move the current branch to `target`. A hard reset refuses to run over uncommitted changes
+   * to tracked files unless `force` is set; untracked files are never touched.
+   */
+  async reset(repoPath, target = 'HEAD', { mode = 'mixed', force = false } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    if (!['soft', 'mixed', 'hard'].includes(mode)) {
+      throw new Error(`Invalid reset mode: ${mode}`);
+    }
+    const targetCommit = await this.gitMemoryService.resolveRef(validatedPath, target);
+
+    if (mode === 'hard' && !force) {
+      // Staged and unstaged changes to tracked files, including staged new files a hard reset would delete
+      const changed = (await runGit(validatedPath, ['diff', '--name-only', '-z', 'HEAD'])).split('\0').filter(Boolean);
+      if (changed.length > 0) {
+        throw new Error(`Refusing to discard uncommitted changes in ${validatedPath} (${changed.join(', ')}); pass force to reset anyway`);
+      }
+    }
+
+    try {
+      const result = await this.runJournaled(validatedPath, 'reset', { target, targetCommit, mode, force }, () => runGit(validatedPath, [
+        'reset', '-q', `--${mode}`, targetCommit
+      ]));
+      return { ...result, mode, target };
+    } catch (error) {
+      throw new Error(`Failed to reset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Journaled operations on a repository, newest first
+   */
+  async listOperations(repoPath, { limit = 50 } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const operations = await this.journal.list(validatedPath, { limit });
+    return { operations, total: operations.length, timestamp: Date.now() };
+  }
+
+  /**
+   * Why the state a journal entry left behind can no longer be rolled back safely; empty when it can.
+   * Refs the operation moved must still be where it left them, and uncommitted changes made since
+   * would be lost unless `force` is set.
+   */
+  async undoBlockers(repoPath, entry, { force = false } = {}) {
+    if (entry.status === 'undone') {
+      return [`it was already undone by ${entry.undoneBy || 'another operation'}`];
+    }
+    if (!entry.after) {
+      return ['it never finished, so the state it left was not recorded'];
+    }
+
+    const blockers = [];
+    if (await this.inProgressOperation(repoPath) === 'rebase') {
+      blockers.push('a rebase is in progress; abort or finish it first');
+    }
+
+    const current = await this.journal.readRefs(repoPath);
+    const { before, after } = entry;
+    for (const name of new Set([...Object.keys(before.refs), ...Object.keys(after.refs)])) {
+      const expected = after.refs[name] || null;
+      const found = current.refs[name] || null;
+      if ((before.refs[name] || null) !== expected && found !== expected) {
+        blockers.push(`${name} has moved since (expected ${expected || 'no ref'}, found ${found || 'no ref'})`);
+      }
+    }
+    if (current.branch !== after.branch || (!after.branch && current.head !== after.head)) {
+      blockers.push(`HEAD is at ${current.branch || current.head}, not ${after.branch || after.head} where the operation left it`);
+    }
+
+    if (!force && current.head) {
+      // Compared with the working tree the operation left, or with HEAD when it left a clean one
+      const changed = (await runGit(repoPath, ['diff', '--name-only', '-z', after.stash || 'HEAD'])).split('\0').filter(Boolean);
+      if (changed.length > 0) {
+        blockers.push(`uncommitted changes (${changed.join(', ')}) would be lost; commit or stash them, or pass force`);
+      }
+    }
+    return blockers;
+  }
+
+  /**
+   * Put refs, HEAD, the index and the working tree back the way they were before a journaled
+   * operation: moved refs are reset (created ones deleted), HEAD is re-attached, and the uncommitted
+   * changes it saw are reapplied from their stash. Untracked files are left alone. The undo is
+   * journaled too, so it can itself be undone.
+   */
+  async undoOperation(repoPath, operationId, { force = false } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const target = await this.journal.get(validatedPath, operationId);
+    const blockers = await this.undoBlockers(validatedPath, target, { force });
+    if (blockers.length > 0) {
+      throw new Error(`Cannot undo operation ${operationId}: ${blockers.join('; ')}`);
+    }
+
+    return await this.journal.track(validatedPath, { operation: 'undo', details: { operationId, force } }, async (entry) => {
+      const { before, after } = target;
+      const reason = `git-memory: undo ${operationId}`;
+      const restoredRefs = [];
+
+      try {
+        for (const name of new Set([...Object.keys(before.refs), ...Object.keys(after.refs)])) {
+          const from = after.refs[name] || null;
+          const to = before.refs[name] || null;
+          if (from === to) {
+            continue;
+          }
+          if (to) {
+            await runGit(validatedPath, ['update-ref', '-m', reason, name, to, ...(from ? [from] : [])]);
+          } else {
+            await runGit(validatedPath, ['update-ref', '-m', reason, '-d', name, from]);
+          }
+          restoredRefs.push({ ref: name, from, to });
+        }
+
+        if (before.branch) {
+          await runGit(validatedPath, ['symbolic-ref', '-m', reason, 'HEAD', before.branch]);
+        } else if (before.head) {
+          await runGit(validatedPath, ['update-ref', '-m', reason, '--no-deref', 'HEAD', before.head]);
+        }
+        if (before.head) {
+          await runGit(validatedPath, ['reset', '-q', '--hard', before.head]);
+        }
+        if (before.stash) {
+          try {
+            await runGit(validatedPath, ['stash', 'apply', '--index', before.stash]);
+          } catch (error) {
+            throw new Error(`refs were restored but the uncommitted changes could not be reapplied (they are kept in ${before.stash}): ${error.message}`);
+          }
+        }
+      } catch (error) {
+        throw new Error(`Failed to undo operation ${operationId}: ${error.message}`);
+      } finally {
+        this.gitMemoryService.clearRepositoryCache(validatedPath);
+      }
+
+      await this.journal.markUndone(validatedPath, operationId, entry.id);
+      return {
+        operation: await this.journal.get(validatedPath, operationId),
+        journalId: entry.id,
+        head: before.head,
+        branch: before.branch ? before.branch.replace(/^refs\/heads\//, '') : null,
+        restoredRefs,
+        stashApplied: Boolean(before.stash),
+        timestamp: Date.now()
+      };
+    });
+  }
+
+  async gitPathExists(repoPath, name) {
+    const gitPath = (await runGit(repoPath, ['rev-parse', '--git-path', name])).trim();
+    return fs.access(path.resolve(repoPath, gitPath)).then(() => true, () => false);
+  }
+
+  /**
+   * The merge, rebase, cherry-pick or revert waiting to be continued or aborted, or null. A
+   * cherry-pick or revert of several commits whose stopped commit was already committed by hand
+   * is found through its sequencer todo list.
+   */
+  async inProgressOperation(repoPath) {
+    for (const [name, operation] of IN_PROGRESS_MARKERS) {
+      if (await this.gitPathExists(repoPath, name)) {
+        return operation;
+      }
+    }
+    if (await this.gitPathExists(repoPath, 'sequencer/todo')) {
+      const todo = await fs.readFile(path.resolve(repoPath, (await runGit(repoPath, ['rev-parse', '--git-path', 'sequencer/todo'])).trim()), 'utf8');
+      const command = (todo.split('\n').find(line => line.trim() && !line.startsWith('#')) || '').split(' ')[0];
+      return command === 'revert' ? 'revert' : 'cherry-pick';
+    }
+    return null;
+  }
+
+  async unmergedPaths(repoPath, pathspec = []) {
+    const output = await runGit(repoPath, ['--literal-pathspecs', 'ls-files', '--unmerged', '-z', '--', ...pathspec]);
+    const entries = new Map();
+    // "<mode> <object> <stage>\t<path>" per index stage
+    for (const record of output.split('\0').filter(Boolean)) {
+      const tab = record.indexOf('\t');
+      const [mode, object, stage] = record.slice(0, tab).split(' ');
+      const filePath = record.slice(tab + 1);
+      if (!entries.has(filePath)) {
+        entries.set(filePath, { base: null, ours: null, theirs: null });
+      }
+      entries.get(filePath)[['base', 'ours', 'theirs'][stage - 1]] = { mode, object };
+    }
+    return entries;
+  }
+
+  /**
+   * Conflicted paths of the operation in progress with their base/ours/theirs blobs and the
+   * conflict regions of the working tree file. During a rebase "ours" is the branch being
+   * rebased onto and "theirs" the commit being replayed. Blob contents over maxBytes, and
+   * binary ones, are left out (content null).
+   */
+  async listConflicts(repoPath, { includeContent = true, maxBytes = 100000 } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const git = this.gitMemoryService.getGitInstance(validatedPath);
+    const conflicts = [];
+
+    const readBlob = async (stage) => {
+      if (!stage) {
+        return null;
+      }
+      const size = parseInt(await runGit(validatedPath, ['cat-file', '-s', stage.object]));
+      let content = null;
+      let binary = false;
+      if (includeContent && size <= maxBytes) {
+        const buffer = await git.binaryCatFile(['blob', stage.object]);
+        binary = isBinaryBuffer(buffer);
+        content = binary ? null : buffer.toString('utf8');
+      }
+      return { ...stage, size, binary, content };
+    };
+
+    for (const [filePath, stages] of await this.unmergedPaths(validatedPath)) {
+      const sides = {
+        base: await readBlob(stages.base),
+        ours: await readBlob(stages.ours),
+        theirs: await readBlob(stages.theirs)
+      };
+
+      let hunks = [];
+      try {
+        const buffer = await fs.readFile(path.join(validatedPath, filePath));
+        if (!isBinaryBuffer(buffer)) {
+          hunks = parseConflictMarkers(buffer.toString('utf8'));
+        }
+      } catch (error) {
+        // Deleted on one side: nothing in the working tree to parse
+      }
+
+      conflicts.push({
+        path: filePath,
+        type: describeConflict(stages),
+        ...sides,
+        binary: Object.values(sides).some(side => side && side.binary),
+        hunks
+      });
+    }
+
+    return {
+      operation: await this.inProgressOperation(validatedPath),
+      conflicts,
+      total: conflicts.length,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Resolve one conflicted path and stage it: take our or their side (a side that deleted the
+   * file deletes it), keep both sides of every conflict region (union), or write the given content
+   */
+  async resolveConflict(repoPath, filePath, { strategy = null, content = null } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const normalizedFile = this.gitMemoryService.assertSafeRepoPath(filePath);
+    if ((strategy === null) === (content === null)) {
+      throw new Error('Give either a strategy (ours, theirs or union) or the resolved content');
+    }
+    if (strategy !== null && !['ours', 'theirs', 'union'].includes(strategy)) {
+      throw new Error(`Invalid resolution strategy: ${strategy}`);
+    }
+    const stages = (await this.unmergedPaths(validatedPath, [normalizedFile])).get(normalizedFile);
+    if (!stages) {
+      throw new Error(`Not a conflicted path: ${normalizedFile}`);
+    }
+
+    const absolutePath = path.join(validatedPath, normalizedFile);
+    try {
+      if (content !== null) {
+        await fs.writeFile(absolutePath, content, 'utf8');
+      } else if (strategy === 'union') {
+        const text = await fs.readFile(absolutePath, 'utf8').catch(() => null);
+        const hunks = text === null ? [] : parseConflictMarkers(text);
+        if (hunks.length === 0) {
+          throw new Error(`no conflict markers left in ${normalizedFile}; pass the resolved content instead`);
+        }
+        const lines = text.split('\n');
+        for (const hunk of hunks.reverse()) {
+          lines.splice(hunk.startLine - 1, hunk.endLine - hunk.startLine + 1, ...hunk.ours, ...hunk.theirs);
+        }
+        await fs.writeFile(absolutePath, lines.join('\n'), 'utf8');
+      } else if (!stages[strategy]) {
+        await runGit(validatedPath, ['--literal-pathspecs', 'rm', '-q', '--', normalizedFile]);
+      } else {
+        await runGit(validatedPath, ['--literal-pathspecs', 'checkout', `--${strategy}`, '--', normalizedFile]);
+      }
+      if (await fs.access(absolutePath).then(() => true, () => false)) {
+        await runGit(validatedPath, ['--literal-pathspecs', 'add', '--', normalizedFile]);
+      }
+    } catch (error) {
+      throw new Error(`Failed to resolve ${normalizedFile}: ${error.message}`);
+    } finally {
+      this.gitMemoryService.clearRepositoryCache(validatedPath);
+    }
+
+    return {
+      path: normalizedFile,
+      resolution: content !== null ? 'content' : strategy,
+      deleted: !(await fs.access(absolutePath).then(() => true, () => false)),
+      remaining: Array.from((await this.unmergedPaths(validatedPath)).keys()),
+      operation: await this.inProgressOperation(validatedPath),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Continue or abort whichever merge, rebase, cherry-pick or revert is in progress. Continuing
+   * keeps git's prepared commit messages and may stop again on the next conflicting commit.
+   */
+  async finishOperation(repoPath, action) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const operation = await this.inProgressOperation(validatedPath);
+    if (!operation) {
+      throw new Error(`No merge, rebase, cherry-pick or revert is in progress in ${validatedPath}`);
+    }
+    if (action === 'continue') {
+      const unresolved = Array.from((await this.unmergedPaths(validatedPath)).keys());
+      if (unresolved.length > 0) {
+        throw new Error(`Cannot continue the ${operation}: ${unresolved.join(', ')} still conflicted; resolve them first`);
+      }
+    }
+
+    // GIT_EDITOR=true accepts the message git prepared instead of opening an editor; a plan-based
+    // rebase keeps its shim so later reword and squash steps still get their messages
+    const shim = await this.rebaseShimPath(validatedPath);
+    const useShim = operation === 'rebase' && await fs.access(shim).then(() => true, () => false);
+    const editor = useShim ? `sh ${shellQuote(path.join(shim, 'editor.sh'))}` : 'true';
+
+    try {
+      const result = await this.runJournaled(validatedPath, operation, { action }, () => runGit(validatedPath, [
+        operation, `--${action}`
+      ], { env: { GIT_EDITOR: editor } }));
+      const inProgress = (await this.inProgressOperation(validatedPath)) !== null;
+      if (useShim && !inProgress) {
+        await fs.rm(shim, { recursive: true, force: true });
+      }
+      return { ...result, action, inProgress };
+    } catch (error) {
+      throw new Error(`Failed to ${action} the ${operation}: ${error.message}`);
+    }
+  }
+
+  async continueOperation(repoPath) {
+    return this.finishOperation(repoPath, 'continue');
+  }
+
+  async abortOperation(repoPath) {
+    return this.finishOperation(repoPath, 'abort');
+  }
+
+  // Sequence editor input, editor shim and messages of a plan-based rebase, kept until it ends
+  async rebaseShimPath(repoPath) {
+    return path.resolve(repoPath, (await runGit(repoPath, ['rev-parse', '--git-path', 'git-memory/rebase'])).trim());
+  }
+
+  /**
+   * Check a rebase plan against upstream..HEAD and turn it into todo lines plus the messages the
+   * editor shim hands out, keyed by the commit of the step git opens the editor on. Every commit
+   * being rebased must appear exactly once, so nothing is dropped by leaving it out.
+   */
+  async buildRebaseTodo(repoPath, upstreamCommit, steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('At least one rebase step is required');
+    }
+    const commits = (await runGit(repoPath, ['rev-list', '--reverse', '--no-merges', `${upstreamCommit}..HEAD`]))
+      .split('\n')
+      .filter(Boolean);
+    if (commits.length === 0) {
+      throw new Error('Nothing to rebase: HEAD has no commits after the upstream');
+    }
+
+    const items = [];
+    for (const [index, { action, commit, message } = {}] of steps.entries()) {
+      const label = `Step ${index + 1}`;
+      if (!REBASE_ACTIONS.includes(action)) {
+        throw new Error(`${label}: invalid action ${action}`);
+      }
+      const hash = await this.gitMemoryService.resolveRef(repoPath, commit);
+      if (!commits.includes(hash)) {
+        throw new Error(`${label}: ${commit} is not one of the commits being rebased`);
+      }
+      if (items.some(item => item.commit === hash)) {
+        throw new Error(`${label}: ${commit} is listed more than once`);
+      }
+      if ((action === 'squash' || action === 'fixup') &&
+          !items.some(item => ['pick', 'reword', 'squash', 'fixup'].includes(item.action))) {
+        throw new Error(`${label}: ${action} needs an earlier commit to fold into`);
+      }
+      if (message !== undefined && message !== null && !['reword', 'squash'].includes(action)) {
+        throw new Error(`${label}: only reword and squash take a message`);
+      }
+      if (action === 'reword' && (typeof message !== 'string' || !message.trim())) {
+        throw new Error(`${label}: reword needs a message`);
+      }
+      items.push({ action, commit: hash, message: message || null });
+    }
+
+    const missing = commits.filter(hash => !items.some(item => item.commit === hash));
+    if (missing.length > 0) {
+      throw new Error(`The plan must list every commit being rebased (use drop to remove one); missing ${missing.map(hash => hash.substring(0, 7)).join(', ')}`);
+    }
+
+    // Git asks for a squash message once, at the last squash or fixup of the chain
+    const messages = new Map();
+    items.forEach((item, index) => {
+      if (!item.message) {
+        return;
+      }
+      let end = index;
+      while (item.action === 'squash' && items[end + 1] && ['squash', 'fixup'].includes(items[end + 1].action)) {
+        end++;
+      }
+      messages.set(items[end].commit, item.message);
+    });
+
+    return {
+      items,
+      lines: items.map(item => `${item.action} ${item.commit}`),
+      messages
+    };
+  }
+
+  /**
+   * Rewrite upstream..HEAD following a plan of pick, reword, squash, fixup and drop steps,
+   * without an editor: the todo list and messages are handed to git through GIT_SEQUENCE_EDITOR
+   * and GIT_EDITOR shims. Each step is reported through onProgress. A step that stops the rebase
+   * (a conflict) leaves it in progress for continue_operation or abort_operation.
+   */
+  async rebaseInteractive(repoPath, upstream, steps, { autostash = false, onProgress = null } = {}) {
+    const validatedPath = await this.gitMemoryService.validateRepository(repoPath);
+    const upstreamCommit = await this.gitMemoryService.resolveRef(validatedPath, upstream);
+    const running = await this.inProgressOperation(validatedPath);
+    if (running) {
+      throw new Error(`A ${running} is already in progress in ${validatedPath}; continue or abort it first`);
+    }
+    const { items, lines, messages } = await this.buildRebaseTodo(validatedPath, upstreamCommit, steps);
+
+    const shim = await this.rebaseShimPath(validatedPath);
+    await fs.rm(shim, { recursive: true, force: true });
+    await fs.mkdir(path.join(shim, 'messages'), { recursive: true });
+    await fs.writeFile(path.join(shim, 'git-rebase-todo'), `${lines.join('\n')}\n`, 'utf8');
+    await fs.writeFile(path.join(shim, 'editor.sh'), REBASE_EDITOR_SHIM, { mode: 0o755 });
+    for (const [commit, message] of messages) {
+      await fs.writeFile(path.join(shim, 'messages', commit), `${message.trim()}\n`, 'utf8');
+    }
+
+    // "Rebasing (2/5)" becomes "Rebasing (2/5): reword 1a2b3c4"
+    const reportStep = onProgress && ((event) => {
+      const item = items[event.processed - 1];
+      const step = item && `${item.action} ${item.commit.substring(0, 7)}`;
+      onProgress({ ...event, message: step ? `${event.message}: ${step}` : event.message });
+    });
+
+    let stopMessage = null;
+    let result;
+    try {
+      result = await this.runJournaled(validatedPath, 'rebase', { action: 'interactive', upstream, upstreamCommit, steps }, () => runGit(validatedPath, [
+        'rebase', '--interactive', ...(autostash ? ['--autostash'] : []), upstreamCommit
+      ], {
+        env: {
+          GIT_SEQUENCE_EDITOR: `cp ${shellQuote(path.join(shim, 'git-rebase-todo'))}`,
+          GIT_EDITOR: `sh ${shellQuote(path.join(shim, 'editor.sh'))}`
+        },
+        onProgress: reportStep
+      }).catch(async (error) => {
+        if (await this.inProgressOperation(validatedPath) !== 'rebase') {
+          throw error;
+        }
+        // Without the "Rebasing (n/m)" redraws that share git's stderr
+        stopMessage = error.message.replace(/Rebasing \(\d+\/\d+\)\r/g, '').trim();
+      }));
+    } catch (error) {
+      await fs.rm(shim, { recursive: true, force: true });
+      throw new Error(`Failed to rebase: ${error.message}`);
+    }
+
+    // Steps git has started; the last of them is the one a stopped rebase is waiting on
+    let started = items.length;
+    if (stopMessage !== null) {
+      const done = await fs.readFile(path.resolve(validatedPath, (await runGit(validatedPath, ['rev-parse', '--git-path', 'rebase-merge/done'])).trim()), 'utf8');
+      started = done.split('\n').filter(line => line.trim() && !line.startsWith('#')).length;
+    } else {
+      await fs.rm(shim, { recursive: true, force: true });
+    }
+
+    return {
+      ...result,
+      upstream,
+      conflicts: Array.from((await this.unmergedPaths(validatedPath)).keys()),
+      inProgress: stopMessage !== null,
+      stopMessage,
+      steps: items.map((item, index) => ({
+        action: item.action,
+        commit: item.commit,
+        status: index < started - (stopMessage !== null ? 1 : 0) ? 'done' : index === started - 1 ? 'stopped' : 'pending'
+      }))
+    };
+  }
+
+  /**
+   * Create a simple-git instance wired to an AbortSignal and a progress callback. Callers that
+   * pass onProgress add --progress themselves; stderr goes through GitProgressParser line by
+   * line, as in runGit, because simple-git's progress plugin only parses the first line of
+   * each chunk and drops the rest.
+   */
+  async createGit(baseDir, { signal, onProgress } = {}) {
+    const git = await import('simple-git');
+    const simpleGit = git.default({
+      baseDir,
+      ...(signal && { abort: signal })
+    });
+
+    if (onProgress) {
+      const parser = new GitProgressParser(onProgress);
+      simpleGit.outputHandler((command, stdout, stderr) => {
+        stderr.on('data', chunk => parser.write(chunk));
+      });
+    }
+    return simpleGit;
   }
 
   /**
@@ -24,7 +897,9 @@ class GitOperationsService {
         branch = 'main',
         depth = null,
         recursive = false,
-        bare = false
+        bare = false,
+        signal,
+        onProgress
       } = options;
 
       // Validate URL and path
@@ -32,15 +907,15 @@ class GitOperationsService {
         throw new Error('URL and target path are required');
       }
 
-      // Use simple-git for cloning
-      const git = await import('simple-git');
-      const simpleGit = git.default(targetPath);
+      // Use simple-git for cloning; the target does not exist yet, so run from its parent
+      const simpleGit = await this.createGit(path.dirname(path.resolve(targetPath)), { signal, onProgress });
 
       const cloneOptions = {
         '--branch': branch,
         ...(depth && { '--depth': depth }),
         ...(recursive && { '--recursive': true }),
-        ...(bare && { '--bare': true })
+        ...(bare && { '--bare': true }),
+        ...(onProgress && { '--progress': null })
       };
 
       const result = await simpleGit.clone(url, targetPath, cloneOptions);
@@ -65,16 +940,18 @@ class GitOperationsService {
       const {
         force = false,
         tags = false,
-        upstream = null
+        upstream = null,
+        signal,
+        onProgress
       } = options;
 
-      const git = await import('simple-git');
-      const simpleGit = git.default(repoPath);
+      const simpleGit = await this.createGit(repoPath, { signal, onProgress });
 
       const pushOptions = [
         ...(force ? ['--force'] : []),
         ...(tags ? ['--tags'] : []),
-        ...(upstream ? ['--set-upstream', remote, upstream] : [])
+        ...(upstream ? ['--set-upstream', remote, upstream] : []),
+        ...(onProgress ? ['--progress'] : [])
       ];
 
       const result = await simpleGit.push(remote, branch, pushOptions);
@@ -99,16 +976,18 @@ class GitOperationsService {
       const {
         rebase = false,
         noEdit = false,
-        strategy = null
+        strategy = null,
+        signal,
+        onProgress
       } = options;
 
-      const git = await import('simple-git');
-      const simpleGit = git.default(repoPath);
+      const simpleGit = await this.createGit(repoPath, { signal, onProgress });
 
       const pullOptions = [
         ...(rebase ? ['--rebase'] : []),
         ...(noEdit ? ['--no-edit'] : []),
-        ...(strategy ? [`--strategy=${strategy}`] : [])
+        ...(strategy ? [`--strategy=${strategy}`] : []),
+        ...(onProgress ? ['--progress'] : [])
       ];
 
       const result = await simpleGit.pull(remote, branch, pullOptions);
@@ -200,12 +1079,9 @@ class GitOperationsService {
       const git = await import('simple-git');
       const simpleGit = git.default(repoPath);
 
-      const deleteOptions = [
-        ...(force ? ['--force'] : []),
-        ...(remote ? ['--remotes'] : [])
-      ];
-
-      const result = await simpleGit.deleteLocalBranch(branchName, deleteOptions);
+      const result = remote
+        ? await simpleGit.raw(['branch', '--remotes', force ? '-D' : '-d', branchName])
+        : await simpleGit.deleteLocalBranch(branchName, force);
 
       return {
         success: true,
@@ -309,7 +1185,8 @@ class GitOperationsService {
         repoPath,
         fromCommit,
         toCommit,
-        diff: result
+        diff: result,
+        files: parseUnifiedDiff(result)
       };
     } catch (error) {
       throw new Error(`Failed to get diff: ${error.message}`);
@@ -317,6 +1194,37 @@ class GitOperationsService {
   }
 }
 
+// Network transports a clone may fetch from; file:// and plain paths are checked against the allowlist
+const REMOTE_CLONE_PROTOCOLS = ['https', 'http', 'ssh', 'git'];
+
+/**
+ * The local path a clone URL reads from (resolved against the directory git runs in), or null
+ * for a network remote. Remote helpers (transport::address) and other schemes are refused.
+ */
+function localCloneSource(url, cwd) {
+  if (typeof url !== 'string' || !url || url.startsWith('-') || url.includes('::')) {
+    throw new Error(`Clone source not permitted: ${url}`);
+  }
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+  if (scheme) {
+    const protocol = scheme[1].toLowerCase();
+    if (protocol === 'file') {
+      return fileURLToPath(url);
+    }
+    if (REMOTE_CLONE_PROTOCOLS.includes(protocol)) {
+      return null;
+    }
+    throw new Error(`Clone source not permitted: ${url}`);
+  }
+
+  // scp-like [user@]host:path has its colon before any slash
+  if (/^[^/]+:/.test(url)) {
+    return null;
+  }
+  return path.resolve(cwd, url);
+}
+
 /**
  * Express middleware and route handlers for additional Git endpoints
  */
@@ -324,9 +1232,14 @@ export class GitApiEndpoints {
   constructor(app, gitMemoryCLI, options = {}) {
     this.app = app;
     this.gitMemoryCLI = gitMemoryCLI;
-    this.gitOps = new GitOperationsService();
+    // Share the server's service so writes land in the same undo journal and drop the same caches
+    this.gitOps = options.gitOperations || new GitOperationsService();
     this.apiKey = options.apiKey || '';
-    this.allowedRepos = options.allowedRepos || [];
+    this.access = options.access || new RepoAccess(options.allowedRepos || []);
+    // Optional (endpoint, event) callback for clone/push/pull progress, e.g. a WebSocket broadcast
+    this.onProgress = options.onProgress || null;
+    // Force push and branch deletion only run when the request repeats with the issued confirmToken
+    this.confirmations = options.confirmations || new ConfirmationManager();
 
     this.setupRoutes();
   }
@@ -335,33 +1248,41 @@ export class GitApiEndpoints {
    * Setup API routes for additional Git operations
    */
   setupRoutes() {
-    // Clone repository
+    // Clone repository into an allowed targetPath; a local source must be allowed too
     this.app.post('/git/clone', async (req, res) => {
-      await this.handleGitRequest(req, res, async () => {
+      await this.handleGitRequest(req, res, async ({ signal, onProgress }) => {
         const { url, targetPath, branch, depth, recursive, bare } = req.body;
+        const source = localCloneSource(url, path.dirname(path.resolve(targetPath)));
+        if (source !== null) {
+          this.access.assertAllowed(source);
+        }
         return await this.gitOps.cloneRepository(url, targetPath, {
-          branch, depth, recursive, bare
+          branch, depth, recursive, bare, signal, onProgress
         });
-      });
+      }, { pathField: 'targetPath' });
     });
 
     // Push to remote
     this.app.post('/git/push', async (req, res) => {
-      await this.handleGitRequest(req, res, async () => {
-        const { repoPath, remote, branch, force, tags, upstream } = req.body;
-        return await this.gitOps.pushToRemote(repoPath, remote, branch, {
-          force, tags, upstream
-        });
+      await this.handleGitRequest(req, res, async ({ signal, onProgress }) => {
+        const { repoPath, remote, branch, force, tags, upstream, confirmToken } = req.body;
+        if (force) {
+          this.confirmations.require('http:/git/push --force', { repoPath, remote, branch, tags, upstream, confirmToken },
+            `Force push ${branch || 'main'} to ${remote || 'origin'} from ${repoPath}, overwriting the remote branch history`);
+        }
+        return await this.journaled(req, 'push', () => this.gitOps.pushToRemote(repoPath, remote, branch, {
+          force, tags, upstream, signal, onProgress
+        }));
       });
     });
 
     // Pull from remote
     this.app.post('/git/pull', async (req, res) => {
-      await this.handleGitRequest(req, res, async () => {
+      await this.handleGitRequest(req, res, async ({ signal, onProgress }) => {
         const { repoPath, remote, branch, rebase, noEdit, strategy } = req.body;
-        return await this.gitOps.pullFromRemote(repoPath, remote, branch, {
-          rebase, noEdit, strategy
-        });
+        return await this.journaled(req, 'pull', () => this.gitOps.pullFromRemote(repoPath, remote, branch, {
+          rebase, noEdit, strategy, signal, onProgress
+        }));
       });
     });
 
@@ -369,9 +1290,9 @@ export class GitApiEndpoints {
     this.app.post('/git/merge', async (req, res) => {
       await this.handleGitRequest(req, res, async () => {
         const { repoPath, sourceBranch, targetBranch, noFastForward, squash, message } = req.body;
-        return await this.gitOps.mergeBranches(repoPath, sourceBranch, targetBranch, {
+        return await this.journaled(req, 'merge', () => this.gitOps.mergeBranches(repoPath, sourceBranch, targetBranch, {
           noFastForward, squash, message
-        });
+        }));
       });
     });
 
@@ -379,17 +1300,19 @@ export class GitApiEndpoints {
     this.app.post('/git/branch/create', async (req, res) => {
       await this.handleGitRequest(req, res, async () => {
         const { repoPath, branchName, baseBranch } = req.body;
-        return await this.gitOps.createBranch(repoPath, branchName, baseBranch);
+        return await this.journaled(req, 'create-branch', () => this.gitOps.createBranch(repoPath, branchName, baseBranch));
       });
     });
 
     // Delete branch
     this.app.delete('/git/branch/:branchName', async (req, res) => {
       await this.handleGitRequest(req, res, async () => {
-        const { repoPath, force, remote } = req.body;
-        return await this.gitOps.deleteBranch(repoPath, req.params.branchName, {
+        const { repoPath, force, remote, confirmToken } = req.body;
+        this.confirmations.require('http:/git/branch/delete', { repoPath, branchName: req.params.branchName, force, remote, confirmToken },
+          `Delete branch ${req.params.branchName} in ${repoPath}${force ? ', including unmerged commits' : ''}`);
+        return await this.journaled(req, 'delete-branch', () => this.gitOps.deleteBranch(repoPath, req.params.branchName, {
           force, remote
-        });
+        }));
       });
     });
 
@@ -405,7 +1328,7 @@ export class GitApiEndpoints {
     this.app.post('/git/stash', async (req, res) => {
       await this.handleGitRequest(req, res, async () => {
         const { repoPath, message } = req.body;
-        return await this.gitOps.stashChanges(repoPath, message);
+        return await this.journaled(req, 'stash', () => this.gitOps.stashChanges(repoPath, message));
       });
     });
 
@@ -413,7 +1336,7 @@ export class GitApiEndpoints {
     this.app.post('/git/stash/apply', async (req, res) => {
       await this.handleGitRequest(req, res, async () => {
         const { repoPath, stashIndex } = req.body;
-        return await this.gitOps.applyStash(repoPath, stashIndex);
+        return await this.journaled(req, 'stash-apply', () => this.gitOps.applyStash(repoPath, stashIndex));
       });
     });
 
@@ -427,9 +1350,23 @@ export class GitApiEndpoints {
   }
 
   /**
-   * Enhanced request handler with API key validation and metrics
+   * Journal a write to req.body.repoPath the way ToolRegistry journals tool calls,
+   * so list_operations shows it and undo_operation can take it back
+   */
+  async journaled(req, operation, execute) {
+    const { repoPath, confirmToken, ...details } = req.body;
+    return await this.gitOps.journal.track(path.resolve(repoPath), {
+      operation,
+      details: { ...details, ...req.params },
+      caller: { transport: 'http', address: req.ip, userAgent: req.get('user-agent') || null }
+    }, () => execute());
+  }
+
+  /**
+   * Enhanced request handler with API key validation and metrics. Every route names the
+   * repository it works on in pathField (body or query), which must be present and allowed.
    */
-  async handleGitRequest(req, res, operation) {
+  async handleGitRequest(req, res, operation, { pathField = 'repoPath' } = {}) {
     try {
       // Validate API key
       if (this.apiKey) {
@@ -441,23 +1378,28 @@ export class GitApiEndpoints {
         }
       }
 
-      // Validate repository path if provided
-      if (req.body.repoPath || req.query.repoPath) {
-        const repoPath = req.body.repoPath || req.query.repoPath;
-        if (this.allowedRepos.length > 0) {
-          const resolved = require('path').resolve(repoPath);
-          const isAllowed = this.allowedRepos.some(base =>
-            resolved === base || resolved.startsWith(`${base}${require('path').sep}`)
-          );
+      // Without a path git would run in the server's own working directory
+      const repoPath = (req.body && req.body[pathField]) || req.query[pathField];
+      if (typeof repoPath !== 'string' || !repoPath.trim()) {
+        return res.status(400).json({ error: `${pathField} is required` });
+      }
+      if (!this.access.isAllowed(repoPath)) {
+        return res.status(403).json({ error: `Repository path not permitted: ${path.resolve(repoPath)}` });
+      }
 
-          if (!isAllowed) {
-            return res.status(403).json({ error: `Repository path not permitted: ${resolved}` });
-          }
+      // Stop the git process when the client goes away before the response is sent
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          controller.abort();
         }
-      }
+      });
+
+      const endpoint = req.route.path;
+      const onProgress = this.onProgress ? (event) => this.onProgress(endpoint, event) : undefined;
 
       const start = Date.now();
-      const result = await operation();
+      const result = await operation({ signal: controller.signal, onProgress });
       const duration = Date.now() - start;
 
       // Record metrics if available
@@ -469,6 +1411,10 @@ export class GitApiEndpoints {
       res.json({ success: true, data: result, duration });
 
     } catch (error) {
+      if (error instanceof ConfirmationRequiredError) {
+        return res.status(428).json({ error: error.message, confirmation: error.confirmation });
+      }
+
       console.error('Git operation error:', error);
 
       // Record error metrics if available
@@ -0,0 +1,99 @@
+/**
+ * Git Progress Parsing for Git Memory MCP Server
+ *
+ * Turns the `--progress` output git writes to stderr ("Receiving objects:
+ * 45% (9/20)", "Rebasing (3/10)") into progress events. Git restarts the
+ * percentage for every phase, so the parser folds phases into a single
+ * value that only ever increases, as MCP progress notifications require.
+ */
+
+// "Receiving objects:  45% (9/20), 1.20 MiB | 600 KiB/s", optionally prefixed with "remote:"
+const PHASE_PATTERN = /^(?:remote:\s*)?([A-Za-z][A-Za-z ]*?):\s+(\d{1,3})%\s+\((\d+)\/(\d+)\)/;
+
+// "Rebasing (3/10)"
+const REBASE_PATTERN = /^Rebasing \((\d+)\/(\d+)\)/;
+
+/**
+ * Parse a single line of git progress output; returns null for anything else
+ */
+export function parseGitProgressLine(line) {
+  const text = line.trim();
+
+  const phaseMatch = text.match(PHASE_PATTERN);
+  if (phaseMatch) {
+    return {
+      phase: phaseMatch[1],
+      percent: parseInt(phaseMatch[2], 10),
+      processed: parseInt(phaseMatch[3], 10),
+      total: parseInt(phaseMatch[4], 10),
+      message: text
+    };
+  }
+
+  const rebaseMatch = text.match(REBASE_PATTERN);
+  if (rebaseMatch) {
+    const processed = parseInt(rebaseMatch[1], 10);
+    const total = parseInt(rebaseMatch[2], 10);
+    return {
+      phase: 'Rebasing',
+      percent: total > 0 ? Math.floor((processed / total) * 100) : 0,
+      processed,
+      total,
+      message: text
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Incremental parser for a git stderr stream
+ */
+export class GitProgressParser {
+  constructor(onProgress) {
+    this.onProgress = onProgress;
+    this.buffer = '';
+    this.phases = [];
+    this.lastProgress = -1;
+  }
+
+  /**
+   * Feed a stderr chunk; git redraws progress lines with \r, so both \r and \n end a line
+   */
+  write(chunk) {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split(/[\r\n]/);
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      const event = parseGitProgressLine(line);
+      if (event) {
+        this.report(event);
+      }
+    }
+  }
+
+  /**
+   * Report a parsed event ({ phase, percent, processed, total, message })
+   */
+  report(event) {
+    if (!this.onProgress) {
+      return;
+    }
+
+    let phaseIndex = this.phases.indexOf(event.phase);
+    if (phaseIndex === -1) {
+      this.phases.push(event.phase);
+      phaseIndex = this.phases.length - 1;
+    }
+
+    // Each phase contributes 100 units, so later phases always report a higher value
+    const progress = phaseIndex * 100 + event.percent;
+    if (progress <= this.lastProgress) {
+      return;
+    }
+    this.lastProgress = progress;
+
+    this.onProgress({ ...event, progress });
+  }
+}
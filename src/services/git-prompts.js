@@ -0,0 +1,248 @@
+/**
+ * Git Prompts Service for Git Memory MCP Server
+ *
+ * Built-in MCP prompt templates for common git workflows. Each prompt pulls
+ * live repository data (diffs, status, history) into its messages so the
+ * client only has to pick the prompt and fill in a few arguments.
+ */
+
+import { RepoAccess } from './repo-access.js';
+
+// Diffs beyond this size are cut so a prompt never blows the model context
+const MAX_DIFF_CHARS = 60000;
+
+function truncate(text, limit = MAX_DIFF_CHARS) {
+  if (!text || text.length <= limit) {
+    return text || '';
+  }
+  return `${text.slice(0, limit)}\n\n[... truncated ${text.length - limit} characters ...]`;
+}
+
+function formatCommitList(commits) {
+  if (commits.length === 0) {
+    return '(no commits)';
+  }
+  return commits
+    .map(commit => `- ${commit.shortHash} ${commit.message} (${commit.author.name}, ${commit.date})`)
+    .join('\n');
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+/**
+ * Git Prompts Service
+ */
+export class GitPromptsService {
+  constructor(options = {}) {
+    this.gitMemoryService = options.gitMemoryService;
+    this.gitResources = options.gitResources || null;
+    this.access = options.access || new RepoAccess(options.allowedRepos || []);
+
+    this.prompts = new Map();
+    this.setupPrompts();
+  }
+
+  /**
+   * Register the built-in prompt templates
+   */
+  setupPrompts() {
+    this.registerPrompt({
+      name: 'review_branch',
+      description: 'Review the changes on a branch against its base branch',
+      arguments: [
+        { name: 'repoPath', description: 'Repository path', required: true },
+        { name: 'branch', description: 'Branch to review (defaults to the current branch)' },
+        { name: 'base', description: 'Base branch to compare against (defaults to main)' }
+      ]
+    }, this.buildReviewBranch.bind(this));
+
+    this.registerPrompt({
+      name: 'write_commit_message',
+      description: 'Write a commit message for the currently staged changes',
+      arguments: [
+        { name: 'repoPath', description: 'Repository path', required: true }
+      ]
+    }, this.buildCommitMessage.bind(this));
+
+    this.registerPrompt({
+      name: 'summarize_changes_since',
+      description: 'Summarize what changed since a given ref',
+      arguments: [
+        { name: 'repoPath', description: 'Repository path', required: true },
+        { name: 'ref', description: 'Branch, tag or commit to start from', required: true }
+      ]
+    }, this.buildChangesSince.bind(this));
+
+    this.registerPrompt({
+      name: 'explain_file_history',
+      description: 'Explain how a file evolved over time',
+      arguments: [
+        { name: 'repoPath', description: 'Repository path', required: true },
+        { name: 'filePath', description: 'File path relative to the repository', required: true },
+        { name: 'limit', description: 'Number of commits to include (default 20)' }
+      ]
+    }, this.buildFileHistory.bind(this));
+  }
+
+  registerPrompt(definition, builder) {
+    this.prompts.set(definition.name, { definition, builder });
+  }
+
+  listPrompts() {
+    return {
+      prompts: Array.from(this.prompts.values()).map(prompt => prompt.definition)
+    };
+  }
+
+  /**
+   * Render a prompt with its arguments; repoPath must be allowed by access
+   */
+  async getPrompt(name, args = {}, access = this.access) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    for (const argument of prompt.definition.arguments || []) {
+      if (argument.required && !args[argument.name]) {
+        throw new Error(`Missing required argument for ${name}: ${argument.name}`);
+      }
+    }
+
+    const repoPath = access.assertAllowed(args.repoPath);
+    return prompt.builder({ ...args, repoPath }, access);
+  }
+
+  async buildReviewBranch({ repoPath, branch, base = 'main' }) {
+    const target = branch || (await this.gitMemoryService.getCurrentBranch(repoPath)).current;
+    const [log, stat, diff] = await Promise.all([
+      this.gitMemoryService.getCommitsBetween(repoPath, base, target),
+      this.gitMemoryService.getDiff(repoPath, { from: base, to: target, mergeBase: true, stat: true }),
+      this.gitMemoryService.getDiff(repoPath, { from: base, to: target, mergeBase: true })
+    ]);
+
+    return {
+      description: `Review of ${target} against ${base}`,
+      messages: [
+        userMessage([
+          `Please review the branch \`${target}\` against \`${base}\`.`,
+          'Point out bugs, risky changes, missing tests and anything that should be split into a separate change.',
+          '',
+          `## Commits (${log.commits.length})`,
+          formatCommitList(log.commits),
+          '',
+          '## Diffstat',
+          '```',
+          stat.diff.trim() || '(no changes)',
+          '```',
+          '',
+          '## Diff',
+          '```diff',
+          truncate(diff.diff),
+          '```'
+        ].join('\n'))
+      ]
+    };
+  }
+
+  async buildCommitMessage({ repoPath }) {
+    const [status, diff] = await Promise.all([
+      this.gitMemoryService.getRepoStatus(repoPath),
+      this.gitMemoryService.getDiff(repoPath, { staged: true })
+    ]);
+
+    if (!diff.diff.trim()) {
+      throw new Error('There are no staged changes to describe');
+    }
+
+    return {
+      description: `Commit message for staged changes on ${status.current}`,
+      messages: [
+        userMessage([
+          `Write a commit message for the staged changes on branch \`${status.current}\`.`,
+          'Use a short imperative subject line (under 72 characters), a blank line, then a body explaining what changed and why.',
+          '',
+          `## Staged files (${status.staged.length})`,
+          status.staged.map(file => `- ${file}`).join('\n'),
+          '',
+          '## Staged diff',
+          '```diff',
+          truncate(diff.diff),
+          '```'
+        ].join('\n'))
+      ]
+    };
+  }
+
+  async buildChangesSince({ repoPath, ref }) {
+    const [log, stat] = await Promise.all([
+      this.gitMemoryService.getCommitsBetween(repoPath, ref, 'HEAD', 500),
+      this.gitMemoryService.getDiff(repoPath, { from: ref, to: 'HEAD', stat: true })
+    ]);
+
+    return {
+      description: `Changes since ${ref}`,
+      messages: [
+        userMessage([
+          `Summarize what changed in this repository since \`${ref}\`.`,
+          'Group the changes by theme (features, fixes, refactoring, docs) and call out anything that breaks compatibility.',
+          '',
+          `## Commits (${log.commits.length})`,
+          formatCommitList(log.commits),
+          '',
+          '## Diffstat',
+          '```',
+          stat.diff.trim() || '(no changes)',
+          '```'
+        ].join('\n'))
+      ]
+    };
+  }
+
+  async buildFileHistory({ repoPath, filePath, limit }, access) {
+    if (!this.gitMemoryService.assertSafeRepoPath(filePath)) {
+      throw new Error(`Invalid filePath: ${filePath}`);
+    }
+
+    let history;
+    try {
+      history = await this.gitMemoryService.getFileHistory(repoPath, filePath, parseInt(limit) || 20);
+    } catch (error) {
+      // A repository without commits has no history yet; anything else is a real failure
+      if (!/does not have any commits yet/.test(error.message)) {
+        throw error;
+      }
+      history = { commits: [] };
+    }
+
+    const messages = [
+      userMessage([
+        `Explain the history of \`${filePath}\`: why it was introduced, how it evolved and which commits changed its behaviour.`,
+        '',
+        `## Commits touching ${filePath} (${history.commits.length})`,
+        formatCommitList(history.commits)
+      ].join('\n'))
+    ];
+
+    // Attach the current contents so the explanation can refer to actual code
+    if (this.gitResources && history.commits.length > 0) {
+      try {
+        const uri = this.gitResources.buildUri(repoPath, 'blob', 'HEAD', filePath, access);
+        const { contents } = await this.gitResources.readResource(uri, access);
+        messages.push({ role: 'user', content: { type: 'resource', resource: contents[0] } });
+      } catch (error) {
+        // Deleted since, or too big to inline: the history alone still makes a useful prompt
+        if (!/^File (not found at HEAD|too large to read whole):/.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+
+    return {
+      description: `History of ${filePath}`,
+      messages
+    };
+  }
+}
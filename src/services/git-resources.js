@@ -0,0 +1,232 @@
+/**
+ * Git Resources Service for Git Memory MCP Server
+ *
+ * Exposes repositories as MCP resources so clients can browse trees, read
+ * files at any revision and inspect commits without calling a tool.
+ *
+ * URI layout (ref and path segments are URI-encoded individually):
+ *   git://<repo>/blob/<ref>/<path>
+ *   git://<repo>/tree/<ref>/<dir>
+ *   git://<repo>/commit/<sha>
+ *
+ * <repo> is the directory name of an entry in the allowlist, or the
+ * URI-encoded absolute repository path when no short name applies.
+ *
+ * Methods take an optional RepoAccess so an MCP session only sees the
+ * repositories inside the roots its client opened.
+ */
+
+import path from 'path';
+import { RepoAccess } from './repo-access.js';
+
+export const RESOURCE_SCHEME = 'git://';
+
+const MIME_TYPES = {
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.ts': 'text/x-typescript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.xml': 'application/xml',
+  '.py': 'text/x-python',
+  '.sh': 'application/x-sh',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Git Resources Service
+ */
+export class GitResourcesService {
+  constructor(options = {}) {
+    this.gitMemoryService = options.gitMemoryService;
+    this.access = options.access || new RepoAccess(options.allowedRepos || []);
+  }
+
+  /**
+   * Static resources: the root tree and tip commit of every allowed repository
+   */
+  listResources(access = this.access) {
+    const resources = [];
+
+    for (const repoPath of access.listRepos()) {
+      const repoId = this.getRepoId(repoPath, access);
+      const name = path.basename(repoPath);
+
+      resources.push({
+        uri: this.buildUri(repoPath, 'tree', 'HEAD', '', access),
+        name: `${name} (HEAD)`,
+        description: `Root directory of ${repoPath} at HEAD`,
+        mimeType: 'application/json'
+      });
+      resources.push({
+        uri: `${RESOURCE_SCHEME}${repoId}/commit/HEAD`,
+        name: `${name} latest commit`,
+        description: `Commit currently checked out in ${repoPath}`,
+        mimeType: 'application/json'
+      });
+    }
+
+    return { resources };
+  }
+
+  /**
+   * URI templates for reading any revision of any allowed repository
+   */
+  listResourceTemplates() {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: 'git://{repo}/blob/{ref}/{+path}',
+          name: 'File at revision',
+          description: 'Contents of a file at a branch, tag or commit (URI-encode refs containing "/")'
+        },
+        {
+          uriTemplate: 'git://{repo}/tree/{ref}/{+path}',
+          name: 'Directory at revision',
+          description: 'Entries of a directory at a branch, tag or commit',
+          mimeType: 'application/json'
+        },
+        {
+          uriTemplate: 'git://{repo}/commit/{sha}',
+          name: 'Commit',
+          description: 'Commit metadata and changed files',
+          mimeType: 'application/json'
+        }
+      ]
+    };
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  async readResource(uri, access = this.access) {
+    const { repoPath, kind, ref, filePath } = this.parseUri(uri, access);
+
+    switch (kind) {
+      case 'blob': {
+        const file = await this.gitMemoryService.getFileAtRevision(repoPath, ref, filePath);
+        const mimeType = file.binary
+          ? this.guessMimeType(file.path, 'application/octet-stream')
+          : this.guessMimeType(file.path, 'text/plain');
+
+        return {
+          contents: [
+            file.binary
+              ? { uri, mimeType, blob: file.content }
+              : { uri, mimeType, text: file.content }
+          ]
+        };
+      }
+      case 'tree': {
+        const tree = await this.gitMemoryService.listTree(repoPath, ref, filePath);
+        const entries = tree.entries.map(entry => ({
+          ...entry,
+          uri: entry.type === 'blob' || entry.type === 'tree'
+            ? this.buildUri(repoPath, entry.type, ref, entry.path, access)
+            : undefined
+        }));
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify({ ...tree, entries }, null, 2)
+            }
+          ]
+        };
+      }
+      case 'commit': {
+        const commit = await this.gitMemoryService.getCommit(repoPath, ref);
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify(commit, null, 2)
+            }
+          ]
+        };
+      }
+      default:
+        throw new Error(`Unsupported resource type: ${kind}`);
+    }
+  }
+
+  /**
+   * Split a git:// URI into repository, resource kind, ref and path
+   */
+  parseUri(uri, access = this.access) {
+    if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_SCHEME)) {
+      throw new Error(`Unsupported resource URI: ${uri}`);
+    }
+
+    const [repoId, kind, refSegment, ...pathSegments] = uri.slice(RESOURCE_SCHEME.length).split('/');
+    if (!repoId || !kind || !refSegment) {
+      throw new Error(`Malformed resource URI: ${uri}`);
+    }
+
+    const repoPath = this.resolveRepoId(decodeURIComponent(repoId), access);
+    const ref = decodeURIComponent(refSegment);
+    const filePath = pathSegments.filter(Boolean).map(decodeURIComponent).join('/');
+
+    if (kind === 'blob' && !filePath) {
+      throw new Error(`Resource URI is missing a file path: ${uri}`);
+    }
+
+    return { repoPath, kind, ref, filePath };
+  }
+
+  /**
+   * Build a git:// URI for a repository object
+   */
+  buildUri(repoPath, kind, ref, filePath = '', access = this.access) {
+    const encodedPath = filePath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    return `${RESOURCE_SCHEME}${this.getRepoId(repoPath, access)}/${kind}/${encodeURIComponent(ref)}/${encodedPath}`;
+  }
+
+  /**
+   * Short repository identifier used in URIs
+   */
+  getRepoId(repoPath, access = this.access) {
+    const resolved = path.resolve(repoPath);
+    const name = path.basename(resolved);
+    const sameName = access.listRepos().filter(base => path.basename(base) === name);
+
+    if (sameName.length === 1 && sameName[0] === resolved) {
+      return encodeURIComponent(name);
+    }
+    return encodeURIComponent(resolved);
+  }
+
+  /**
+   * Map a URI repository identifier back to an allowed repository path
+   */
+  resolveRepoId(repoId, access = this.access) {
+    const byName = access.listRepos().find(base => decodeURIComponent(this.getRepoId(base, access)) === repoId);
+    if (byName) {
+      return byName;
+    }
+
+    if (!path.isAbsolute(repoId)) {
+      throw new Error(`Unknown repository: ${repoId}`);
+    }
+
+    return access.assertAllowed(repoId);
+  }
+
+  guessMimeType(filePath, fallback) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || fallback;
+  }
+}
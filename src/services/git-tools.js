@@ -0,0 +1,769 @@
+/**
+ * Built-in Git Tools for Git Memory MCP Server
+ *
+ * Declarative definitions for the tools registered in the ToolRegistry.
+ * Handlers receive validated arguments (defaults applied) and a per-call
+ * context of { signal, onProgress } for cancellable, progress-reporting work.
+ * Results are returned to MCP clients as structuredContent, so each handler
+ * must resolve to an object matching its outputSchema (see tool-schemas.js).
+ */
+
+import {
+  blameSchema,
+  branchListSchema,
+  changelogSchema,
+  cliOutputSchema,
+  cliStatusSchema,
+  codeHistorySchema,
+  commitListSchema,
+  commitSearchSchema,
+  compareSchema,
+  conflictListSchema,
+  conflictResolutionSchema,
+  createdCommitSchema,
+  currentBranchSchema,
+  describeSchema,
+  diffSchema,
+  fileContentSchema,
+  fileHistorySchema,
+  grepSchema,
+  historyOperationSchema,
+  lineHistorySchema,
+  mergePreviewSchema,
+  operationListSchema,
+  repoStatusSchema,
+  tagListSchema,
+  treeSchema,
+  undoSchema
+} from './tool-schemas.js';
+
+const repoPathProperty = { type: 'string', description: 'Repository path' };
+
+const READ_ONLY = { readOnlyHint: true, openWorldHint: false };
+
+const identityProperty = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    email: { type: 'string', minLength: 1 }
+  },
+  required: ['name', 'email']
+};
+
+// Only used by the REST/WebSocket two-phase flow; MCP clients confirm through elicitation
+const confirmTokenProperty = {
+  type: 'string',
+  description: 'Token from a previous "confirmation required" response, to run a destructive operation'
+};
+
+/**
+ * Create the built-in tool definitions bound to the given services
+ */
+export function createGitTools({ gitMemoryService, gitMemoryCLI, gitOperations }) {
+  return [
+    {
+      name: 'get_current_branch',
+      description: 'Get the current Git branch',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: currentBranchSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.getCurrentBranch(args.repoPath)
+    },
+    {
+      name: 'get_recent_commits',
+      description: 'Get recent commits from the repository',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          limit: { type: 'number', description: 'Number of commits to retrieve', default: 10 }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: commitListSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.getRecentCommits(args.repoPath, args.limit)
+    },
+    {
+      name: 'get_repo_status',
+      description: 'Get the current repository status',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: repoStatusSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.getRepoStatus(args.repoPath)
+    },
+    {
+      name: 'list_branches',
+      description: 'List all branches in the repository',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: branchListSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.listBranches(args.repoPath)
+    },
+    {
+      name: 'list_tags',
+      description: 'List tags with annotated message, tagger and target commit; optionally only tags containing a commit',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          sort: { type: 'string', enum: ['version', 'date'], description: 'Sort by version number or tag date', default: 'version' },
+          order: { type: 'string', enum: ['desc', 'asc'], description: 'Newest first (desc) or oldest first', default: 'desc' },
+          pattern: { type: 'string', description: 'Glob on tag names, e.g. v1.*' },
+          contains: { type: 'string', description: 'Only tags whose history contains this commit' },
+          limit: { type: 'number', description: 'Number of tags', default: 100 }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: tagListSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, ...options }) => gitMemoryService.listTags(repoPath, options)
+    },
+    {
+      name: 'describe_commit',
+      description: 'Describe a commit relative to tags: nearest earlier tag and the first tag (release) that contains it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          ref: { type: 'string', description: 'Commit to describe', default: 'HEAD' },
+          match: { type: 'string', description: 'Only consider tags matching this glob, e.g. v*' }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: describeSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, ref, ...options }) => gitMemoryService.describeCommit(repoPath, ref, options)
+    },
+    {
+      name: 'compare_refs',
+      description: 'Compare two refs, e.g. a feature branch against main: merge base, ahead/behind counts, commits unique to each side, diffstat and whether base can fast-forward to head',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          base: { type: 'string', description: 'Base ref, e.g. main' },
+          head: { type: 'string', description: 'Ref to compare against base', default: 'HEAD' },
+          limit: { type: 'number', description: 'Maximum commits listed per side', default: 50 }
+        },
+        required: ['repoPath', 'base']
+      },
+      outputSchema: compareSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, base, head, ...options }) => gitMemoryService.compareRefs(repoPath, base, head, options)
+    },
+    {
+      name: 'preview_merge',
+      description: 'Preview merging source into target without touching HEAD, the index or the working tree: whether it is clean, conflicted paths with conflict types and optionally the conflict hunks',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          source: { type: 'string', description: 'Branch or commit to merge' },
+          target: { type: 'string', description: 'Branch or commit to merge into', default: 'HEAD' },
+          includeHunks: { type: 'boolean', description: 'Return the conflict-marker hunks of each conflicted file', default: false },
+          allowUnrelatedHistories: { type: 'boolean', description: 'Merge histories without a common ancestor', default: false }
+        },
+        required: ['repoPath', 'source']
+      },
+      outputSchema: mergePreviewSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, source, target, ...options }) => gitMemoryService.previewMerge(repoPath, source, target, options)
+    },
+    {
+      name: 'generate_changelog',
+      description: 'Generate release notes from Conventional Commits in a ref range, grouped by type and scope, with a suggested next semver version',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          range: { type: 'string', description: 'Ref range such as v1.2.0..HEAD; a lone ref starts at the latest tag before it, and the default is the latest tag..HEAD' },
+          format: { type: 'string', enum: ['markdown', 'json', 'keep-a-changelog'], description: 'Rendered content format', default: 'markdown' },
+          version: { type: 'string', description: 'Version for the heading; omit for Unreleased' },
+          limit: { type: 'number', description: 'Maximum number of commits', default: 1000 }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: changelogSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, ...options }) => gitMemoryService.generateChangelog(repoPath, options)
+    },
+    {
+      name: 'search_commits',
+      description: 'Search commits by message or author',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          query: { type: 'string', description: 'Search query' },
+          limit: { type: 'number', description: 'Number of results', default: 20 }
+        },
+        required: ['repoPath', 'query']
+      },
+      outputSchema: commitSearchSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.searchCommits(args.repoPath, args.query, args.limit)
+    },
+    {
+      name: 'get_file_history',
+      description: 'Get commit history for a specific file',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          filePath: { type: 'string', description: 'File path' },
+          limit: { type: 'number', description: 'Number of commits', default: 10 }
+        },
+        required: ['repoPath', 'filePath']
+      },
+      outputSchema: fileHistorySchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.getFileHistory(args.repoPath, args.filePath, args.limit)
+    },
+    {
+      name: 'blame_file',
+      description: 'Show which commit, author and original line each line of a file comes from',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          filePath: { type: 'string', description: 'File path' },
+          ref: { type: 'string', description: 'Revision to blame', default: 'HEAD' },
+          startLine: { type: 'number', description: 'First line to blame (1-based)', minimum: 1 },
+          endLine: { type: 'number', description: 'Last line to blame (inclusive)', minimum: 1 },
+          ignoreWhitespace: { type: 'boolean', description: 'Ignore whitespace changes (-w)', default: false },
+          detectMoves: { type: 'boolean', description: 'Follow lines moved within the file (-M)', default: false },
+          detectCopies: { type: 'boolean', description: 'Follow lines moved or copied from other files (-C)', default: false },
+          ignoreRevsFile: {
+            type: 'boolean',
+            description: 'Skip the commits listed in .git-blame-ignore-revs',
+            default: true
+          },
+          groupBy: {
+            type: 'string',
+            enum: ['line', 'hunk'],
+            description: 'Return one entry per line, or per run of lines from the same commit',
+            default: 'line'
+          }
+        },
+        required: ['repoPath', 'filePath']
+      },
+      outputSchema: blameSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, filePath, ...options }) => gitMemoryService.blameFile(repoPath, filePath, options)
+    },
+    {
+      name: 'get_line_history',
+      description: 'Trace how a line range or function evolved, with the hunk each commit applied to it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          filePath: { type: 'string', description: 'File path at ref' },
+          startLine: { type: 'number', description: 'First line of the range (1-based)', minimum: 1 },
+          endLine: { type: 'number', description: 'Last line of the range (inclusive)', minimum: 1 },
+          funcname: { type: 'string', description: 'Regex matching a function name, instead of a line range' },
+          ref: { type: 'string', description: 'Revision to start from', default: 'HEAD' },
+          limit: { type: 'number', description: 'Number of commits', default: 20 }
+        },
+        required: ['repoPath', 'filePath']
+      },
+      outputSchema: lineHistorySchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, filePath, ...options }) => gitMemoryService.getLineHistory(repoPath, filePath, options)
+    },
+    {
+      name: 'search_code_history',
+      description: 'Find commits that introduced or removed a string (git log -S) or changed lines matching a regex (-G)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          query: { type: 'string', description: 'String to look for, or a regex in regex mode' },
+          mode: {
+            type: 'string',
+            enum: ['pickaxe', 'regex'],
+            description: 'pickaxe: commits that change how often the string occurs; regex: commits whose changed lines match',
+            default: 'pickaxe'
+          },
+          ref: { type: 'string', description: 'Revision to search back from', default: 'HEAD' },
+          paths: { type: 'array', items: { type: 'string' }, description: 'Only search these paths', default: [] },
+          excludePaths: { type: 'array', items: { type: 'string' }, description: 'Leave out these paths', default: [] },
+          since: { type: 'string', description: 'Only commits after this date (e.g. 2024-01-01 or "2 weeks ago")' },
+          until: { type: 'string', description: 'Only commits before this date' },
+          ignoreCase: { type: 'boolean', description: 'Match case-insensitively', default: false },
+          contextLines: { type: 'number', description: 'Context lines around matching changes', minimum: 0, default: 3 },
+          maxSnippets: { type: 'number', description: 'Matching hunks to return per commit', minimum: 0, default: 5 },
+          limit: { type: 'number', description: 'Number of commits', default: 20 }
+        },
+        required: ['repoPath', 'query']
+      },
+      outputSchema: codeHistorySchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, query, ...options }) => gitMemoryService.searchCodeHistory(repoPath, query, options)
+    },
+    {
+      name: 'grep_repo',
+      description: 'Search file contents with git grep, at any revision or in the working tree',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          pattern: { type: 'string', description: 'Extended regex, or a literal string with fixedStrings' },
+          ref: { type: 'string', description: 'Revision to search; omit to search the working tree' },
+          fixedStrings: { type: 'boolean', description: 'Treat the pattern as a literal string', default: false },
+          ignoreCase: { type: 'boolean', description: 'Match case-insensitively', default: false },
+          wholeWord: { type: 'boolean', description: 'Only match whole words', default: false },
+          paths: { type: 'array', items: { type: 'string' }, description: 'Only search these paths', default: [] },
+          excludePaths: { type: 'array', items: { type: 'string' }, description: 'Leave out these paths', default: [] },
+          contextLines: { type: 'number', description: 'Lines of context before and after each match', minimum: 0, default: 0 },
+          maxMatches: { type: 'number', description: 'Stop searching after this many matches', minimum: 1, maximum: 10000, default: 500 },
+          offset: { type: 'number', description: 'Index of the first match to return', minimum: 0, default: 0 },
+          pageSize: { type: 'number', description: 'Matches per page', minimum: 1, maximum: 500, default: 50 }
+        },
+        required: ['repoPath', 'pattern']
+      },
+      outputSchema: grepSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, pattern, ...options }) => gitMemoryService.grepRepo(repoPath, pattern, options)
+    },
+    {
+      name: 'read_file_at_revision',
+      description: 'Read a file, or a byte range of it, as it was at any revision',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          filePath: { type: 'string', description: 'File path relative to the repository root' },
+          ref: { type: 'string', description: 'Revision to read from', default: 'HEAD' },
+          offset: { type: 'number', description: 'First byte to read', minimum: 0, default: 0 },
+          length: { type: 'number', description: 'Bytes to read; defaults to the rest of the file', minimum: 0 },
+          encoding: {
+            type: 'string',
+            enum: ['auto', 'utf8', 'base64'],
+            description: 'auto returns text as utf8 and binary files as base64',
+            default: 'auto'
+          }
+        },
+        required: ['repoPath', 'filePath']
+      },
+      outputSchema: fileContentSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, filePath, ...options }) => gitMemoryService.readFileAtRevision(repoPath, filePath, options)
+    },
+    {
+      name: 'list_tree',
+      description: 'List a directory at any revision with mode, type, size and object sha',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          ref: { type: 'string', description: 'Revision to list', default: 'HEAD' },
+          path: { type: 'string', description: 'Directory to list; omit for the repository root', default: '' },
+          recursive: { type: 'boolean', description: 'Include everything below the directory', default: false },
+          maxEntries: { type: 'number', description: 'Return at most this many entries', minimum: 1 }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: treeSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryService.listTree(args.repoPath, args.ref, args.path, {
+        recursive: args.recursive,
+        maxEntries: args.maxEntries
+      })
+    },
+    {
+      name: 'get_diff',
+      description: 'Get a structured diff (files, hunks, typed lines) between revisions, of one commit, or of the index / working tree',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          from: { type: 'string', description: 'Base revision; omit to diff the working tree or index' },
+          to: { type: 'string', description: 'Target revision; omit to diff against the working tree' },
+          commit: { type: 'string', description: 'Diff this commit against its first parent (overrides from/to)' },
+          staged: { type: 'boolean', description: 'Diff the index instead of the working tree', default: false },
+          mergeBase: { type: 'boolean', description: 'Diff from the merge base of from and to (from...to)', default: false },
+          paths: { type: 'array', items: { type: 'string' }, description: 'Only include these paths', default: [] },
+          excludePaths: { type: 'array', items: { type: 'string' }, description: 'Leave out these paths', default: [] },
+          ignoreWhitespace: {
+            type: 'string',
+            enum: ['none', 'all', 'change', 'eol'],
+            description: 'Ignore all whitespace (-w), changes in amount (-b) or at end of line',
+            default: 'none'
+          },
+          contextLines: { type: 'number', description: 'Lines of context around each change', minimum: 0 },
+          wordDiff: { type: 'boolean', description: 'Split changed lines into added and deleted words', default: false },
+          maxBytes: {
+            type: 'number',
+            description: 'Stop after this many bytes of diff text and mark what was cut',
+            minimum: 1,
+            default: 200000
+          }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: diffSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, ...options }) => gitMemoryService.getStructuredDiff(repoPath, options)
+    },
+    {
+      name: 'stage_paths',
+      description: 'Stage paths, all changes, or individual hunks given as a unified diff patch; returns the repository status',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          paths: { type: 'array', items: { type: 'string', pattern: '\\S' }, description: 'Repository-relative paths; deletions are staged too' },
+          all: { type: 'boolean', description: 'Stage every change, including untracked files', default: false },
+          patch: { type: 'string', description: 'Unified diff of the hunks to stage (git apply --cached)' }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: repoStatusSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+      handler: async ({ repoPath, ...options }) => gitOperations.stagePaths(repoPath, options)
+    },
+    {
+      name: 'unstage_paths',
+      description: 'Unstage paths, everything, or the hunks of a patch; working tree changes are kept',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          paths: { type: 'array', items: { type: 'string', pattern: '\\S' }, description: 'Repository-relative paths' },
+          all: { type: 'boolean', description: 'Unstage everything', default: false },
+          patch: { type: 'string', description: 'Unified diff of staged hunks to take out of the index' }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: repoStatusSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+      handler: async ({ repoPath, ...options }) => gitOperations.unstagePaths(repoPath, options)
+    },
+    {
+      name: 'create_commit',
+      description: 'Commit the staged changes with an explicit author and committer, optional trailers such as Signed-off-by',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          message: { type: 'string', minLength: 1, description: 'Commit message; the first line is the subject' },
+          author: { ...identityProperty, description: 'Author identity; defaults to the repository config' },
+          committer: { ...identityProperty, description: 'Committer identity; defaults to the repository config' },
+          trailers: {
+            type: 'array',
+            description: 'Trailers appended to the message, e.g. { token: "Signed-off-by", value: "Name <mail>" }',
+            items: {
+              type: 'object',
+              properties: {
+                token: { type: 'string' },
+                value: { type: 'string' }
+              },
+              required: ['token', 'value']
+            }
+          },
+          allowEmpty: { type: 'boolean', description: 'Allow a commit that changes nothing (--allow-empty)', default: false },
+          verify: { type: 'boolean', description: 'Run the pre-commit and commit-msg hooks; false passes --no-verify', default: true }
+        },
+        required: ['repoPath', 'message']
+      },
+      outputSchema: createdCommitSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+      handler: async ({ repoPath, ...options }) => gitOperations.createCommit(repoPath, options)
+    },
+    {
+      name: 'cherry_pick',
+      description: 'Apply commits onto HEAD; stops and lists conflicted paths when they do not apply cleanly',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          commits: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Commits to apply, oldest first' },
+          noCommit: { type: 'boolean', description: 'Stage the changes without committing (--no-commit)', default: false },
+          mainline: { type: 'number', minimum: 1, description: 'Parent number to diff a merge commit against (-m)' }
+        },
+        required: ['repoPath', 'commits']
+      },
+      outputSchema: historyOperationSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+      handler: async ({ repoPath, commits, ...options }) => gitOperations.cherryPick(repoPath, commits, options)
+    },
+    {
+      name: 'revert',
+      description: 'Create commits that undo the given commits; stops and lists conflicted paths on conflicts',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          commits: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Commits to revert, newest first' },
+          noCommit: { type: 'boolean', description: 'Stage the reverting changes without committing (--no-commit)', default: false },
+          mainline: { type: 'number', minimum: 1, description: 'Parent number to keep when reverting a merge commit (-m)' }
+        },
+        required: ['repoPath', 'commits']
+      },
+      outputSchema: historyOperationSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+      handler: async ({ repoPath, commits, ...options }) => gitOperations.revert(repoPath, commits, options)
+    },
+    {
+      name: 'reset',
+      description: 'Move the current branch to a commit (soft keeps the index, mixed keeps the working tree, hard discards both); the previous HEAD is kept in the undo journal',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          target: { type: 'string', description: 'Commit to move the branch to', default: 'HEAD' },
+          mode: { type: 'string', enum: ['soft', 'mixed', 'hard'], default: 'mixed' },
+          force: { type: 'boolean', description: 'Let a hard reset discard uncommitted changes', default: false },
+          confirmToken: confirmTokenProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: historyOperationSchema,
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+      confirmation: (args) => {
+        if (args.mode !== 'hard') {
+          return null;
+        }
+        return `Hard reset the current branch in ${args.repoPath} to ${args.target}` +
+          (args.force ? ', discarding uncommitted changes to tracked files' : '');
+      },
+      handler: async ({ repoPath, target, ...options }) => gitOperations.reset(repoPath, target, options)
+    },
+    {
+      name: 'list_conflicts',
+      description: 'List the conflicted paths of a merge, rebase, cherry-pick or revert in progress with their base/ours/theirs contents and conflict regions',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          includeContent: { type: 'boolean', description: 'Return the text of each side', default: true },
+          maxBytes: { type: 'number', minimum: 1, description: 'Leave out sides larger than this', default: 100000 }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: conflictListSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, ...options }) => gitOperations.listConflicts(repoPath, options)
+    },
+    {
+      name: 'resolve_conflict',
+      description: 'Resolve a conflicted path with our side, their side, both sides of each region (union) or the given content, and stage it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          path: { type: 'string', minLength: 1, description: 'Repository-relative path of the conflicted file' },
+          strategy: { type: 'string', enum: ['ours', 'theirs', 'union'] },
+          content: { type: 'string', description: 'Resolved file content, instead of a strategy' }
+        },
+        required: ['repoPath', 'path']
+      },
+      outputSchema: conflictResolutionSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+      handler: async ({ repoPath, path, ...options }) => gitOperations.resolveConflict(repoPath, path, options)
+    },
+    {
+      name: 'continue_operation',
+      description: 'Continue the merge, rebase, cherry-pick or revert in progress once its conflicts are resolved; reports new conflicts if it stops again',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: historyOperationSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+      handler: async ({ repoPath }) => gitOperations.continueOperation(repoPath)
+    },
+    {
+      name: 'abort_operation',
+      description: 'Abort the merge, rebase, cherry-pick or revert in progress and return to where it started',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          confirmToken: confirmTokenProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: historyOperationSchema,
+      // Conflict resolutions made so far are thrown away
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+      confirmation: (args) => `Abort the operation in progress in ${args.repoPath}, discarding the conflict resolutions made so far`,
+      handler: async ({ repoPath }) => gitOperations.abortOperation(repoPath)
+    },
+    {
+      name: 'rebase_interactive',
+      description: 'Rewrite the commits after upstream following a plan of pick, reword, squash, fixup and drop steps; stops cleanly on conflicts',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          upstream: { type: 'string', minLength: 1, description: 'Commit the plan is replayed onto; the plan covers upstream..HEAD' },
+          steps: {
+            type: 'array',
+            minItems: 1,
+            description: 'Todo list in the order to apply it; every commit after upstream must appear once',
+            items: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['pick', 'reword', 'squash', 'fixup', 'drop'] },
+                commit: { type: 'string', minLength: 1 },
+                message: { type: 'string', description: 'New message for reword (required) or for the commit a squash chain produces' }
+              },
+              required: ['action', 'commit']
+            }
+          },
+          autostash: { type: 'boolean', description: 'Stash uncommitted changes around the rebase (--autostash)', default: false },
+          confirmToken: confirmTokenProperty
+        },
+        required: ['repoPath', 'upstream', 'steps']
+      },
+      outputSchema: historyOperationSchema,
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+      confirmation: (args) => `Rewrite the commits after ${args.upstream} in ${args.repoPath} with a ${args.steps.length}-step rebase plan`,
+      handler: async ({ repoPath, upstream, steps, autostash }, { onProgress } = {}) =>
+        gitOperations.rebaseInteractive(repoPath, upstream, steps, { autostash, onProgress })
+    },
+    {
+      name: 'list_operations',
+      description: 'List journaled write operations on a repository, newest first, with the refs before and after, any stashed changes and the caller',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          limit: { type: 'number', minimum: 1, maximum: 500, default: 50 }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: operationListSchema,
+      annotations: READ_ONLY,
+      handler: async ({ repoPath, ...options }) => gitOperations.listOperations(repoPath, options)
+    },
+    {
+      name: 'undo_operation',
+      description: 'Restore the refs, HEAD and uncommitted changes from before a journaled operation; refuses with the reasons when later changes would be lost',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          operationId: { type: 'string', pattern: '^[a-z0-9]+-[a-f0-9]+$', description: 'Journal entry id from list_operations or a journalId' },
+          force: { type: 'boolean', description: 'Discard uncommitted changes made after the operation', default: false },
+          confirmToken: confirmTokenProperty
+        },
+        required: ['repoPath', 'operationId']
+      },
+      outputSchema: undoSchema,
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+      confirmation: (args) => `Roll ${args.repoPath} back to its state before operation ${args.operationId}` +
+        (args.force ? ', discarding uncommitted changes' : ''),
+      handler: async ({ repoPath, operationId, force }) => gitOperations.undoOperation(repoPath, operationId, { force })
+    },
+    {
+      name: 'git_status_cli',
+      description: 'Run git-memory CLI status command and return JSON',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          json: { type: 'boolean', description: 'Return JSON output', default: true }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: cliStatusSchema,
+      annotations: READ_ONLY,
+      handler: async (args) => gitMemoryCLI.status(args.repoPath, { json: args.json })
+    },
+    {
+      name: 'git_fetch_cli',
+      description: 'Run git-memory CLI fetch command for the repository',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          remote: { type: 'string', description: 'Remote name', default: 'origin' },
+          prune: { type: 'boolean', description: 'Use --prune flag', default: false },
+          tags: { type: 'boolean', description: 'Fetch tags as well', default: false },
+          all: { type: 'boolean', description: 'Fetch all remotes', default: false }
+        },
+        required: ['repoPath']
+      },
+      outputSchema: cliOutputSchema,
+      // Only remote-tracking refs move; local branches and the working tree are untouched
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      handler: async (args, { signal, onProgress } = {}) => gitMemoryCLI.fetch(args.repoPath, {
+        remote: args.all ? undefined : args.remote,
+        prune: args.prune,
+        tags: args.tags,
+        all: args.all,
+        signal,
+        onProgress
+      })
+    },
+    {
+      name: 'git_rebase_cli',
+      description: 'Run git-memory CLI rebase command for the repository',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repoPath: repoPathProperty,
+          upstream: { type: 'string', description: 'Upstream branch to rebase onto' },
+          branch: { type: 'string', description: 'Branch to rebase' },
+          continueRebase: { type: 'boolean', description: 'Continue existing rebase', default: false },
+          abort: { type: 'boolean', description: 'Abort existing rebase', default: false },
+          skip: { type: 'boolean', description: 'Skip current patch', default: false },
+          autostash: { type: 'boolean', description: 'Use --autostash during rebase', default: false },
+          confirmToken: confirmTokenProperty
+        },
+        required: ['repoPath']
+      },
+      outputSchema: cliOutputSchema,
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+      // Continuing a rebase that was already confirmed needs no second confirmation; aborting
+      // throws away the resolutions made so far, so it is confirmed like abort_operation
+      confirmation: (args) => {
+        if (args.continueRebase) {
+          return null;
+        }
+        if (args.abort) {
+          return `Abort the rebase in progress in ${args.repoPath}, discarding the conflict resolutions made so far`;
+        }
+        if (args.skip) {
+          return `Skip the current patch of the rebase in progress in ${args.repoPath}; its changes are dropped`;
+        }
+        return `Rebase ${args.branch || 'the current branch'} onto ${args.upstream || 'its upstream'} in ${args.repoPath}, rewriting its commit history`;
+      },
+      handler: async (args, { signal, onProgress } = {}) => gitMemoryCLI.rebase(args.repoPath, {
+        upstream: args.upstream,
+        branch: args.branch,
+        continueRebase: args.continueRebase,
+        abort: args.abort,
+        skip: args.skip,
+        autostash: args.autostash,
+        signal,
+        onProgress
+      })
+    }
+  ];
+}
@@ -6,7 +6,11 @@
  */
 
 import crypto from 'crypto';
-import { logger } from '../utils/logger.js';
+import { createLogger } from 'winston';
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info'
+});
 
 /**
  * Git Webhooks Service
@@ -220,6 +224,14 @@ export class GitWebhooksService {
       this.server.broadcastRepoEvent(repoPath, 'push_received', gitEvent);
     }
 
+    // Forward to local clones of the pushed repository so their subscribers hear about it too
+    if (this.server.repoWatcher && this.server.broadcastRepoEvent) {
+      const localRepos = await this.server.repoWatcher.findReposByRemote(repoPath);
+      for (const localRepo of localRepos) {
+        this.server.broadcastRepoEvent(localRepo, 'push_received', gitEvent);
+      }
+    }
+
     logger.info(`Push event processed for ${repoPath}:${branch} (${commitDetails.length} commits)`);
   }
 
@@ -0,0 +1,103 @@
+/**
+ * Merge Conflict Parsing for Git Memory MCP Server
+ *
+ * Reads the `git merge-tree --write-tree -z` result (merged tree, conflicted
+ * index entries and informational messages) and the conflict markers git
+ * writes into conflicted files. Both are plain text transforms, so previews
+ * built on merge-tree and conflicts left in a working tree share one shape.
+ */
+
+const STAGE_NAMES = { 1: 'base', 2: 'ours', 3: 'theirs' };
+
+/**
+ * Parse `git merge-tree --write-tree -z` output into
+ * { tree, conflicts: [{ path, stages, types, messages }], messages: [{ paths, type, message }] }
+ */
+export function parseMergeTreeOutput(output) {
+  const fields = String(output || '').split('\0');
+  const tree = fields[0].trim();
+  const conflicts = new Map();
+  let i = 1;
+
+  // "<mode> <object> <stage>\t<path>" per conflicted index entry, ended by an empty field
+  for (; i < fields.length && fields[i] !== ''; i++) {
+    const tab = fields[i].indexOf('\t');
+    const [mode, object, stage] = fields[i].slice(0, tab).split(' ');
+    const filePath = fields[i].slice(tab + 1);
+    if (!conflicts.has(filePath)) {
+      conflicts.set(filePath, {
+        path: filePath,
+        stages: { base: null, ours: null, theirs: null },
+        types: [],
+        messages: []
+      });
+    }
+    conflicts.get(filePath).stages[STAGE_NAMES[stage]] = { mode, object };
+  }
+
+  // "<count>\0<path>...\0<type>\0<message>\0" per message
+  const messages = [];
+  for (i++; i < fields.length && fields[i] !== ''; ) {
+    const count = parseInt(fields[i]);
+    const paths = fields.slice(i + 1, i + 1 + count);
+    const type = fields[i + 1 + count];
+    const message = (fields[i + 2 + count] || '').trim();
+    messages.push({ paths, type, message });
+    i += count + 3;
+
+    for (const filePath of paths) {
+      const conflict = conflicts.get(filePath);
+      if (!conflict) {
+        continue;
+      }
+      const conflictType = type.match(/^CONFLICT \((.+)\)$/);
+      if (conflictType && !conflict.types.includes(conflictType[1])) {
+        conflict.types.push(conflictType[1]);
+      }
+      conflict.messages.push(message);
+    }
+  }
+
+  return { tree, conflicts: Array.from(conflicts.values()), messages };
+}
+
+/**
+ * Conflict hunks in a file's text: [{ startLine, endLine, oursLabel, theirsLabel, ours, base, theirs }].
+ * `base` is only filled in for the diff3/zdiff3 conflict styles and is null otherwise.
+ */
+export function parseConflictMarkers(text) {
+  const hunks = [];
+  let hunk = null;
+  let section = null;
+
+  String(text || '').split('\n').forEach((line, index) => {
+    if (line.startsWith('<<<<<<<')) {
+      hunk = {
+        startLine: index + 1,
+        endLine: null,
+        oursLabel: line.slice(8),
+        theirsLabel: null,
+        ours: [],
+        base: null,
+        theirs: []
+      };
+      section = 'ours';
+    } else if (!hunk) {
+      return;
+    } else if (line.startsWith('|||||||') && section === 'ours') {
+      hunk.base = [];
+      section = 'base';
+    } else if (line === '=======' && section !== 'theirs') {
+      section = 'theirs';
+    } else if (line.startsWith('>>>>>>>') && section === 'theirs') {
+      hunk.endLine = index + 1;
+      hunk.theirsLabel = line.slice(8);
+      hunks.push(hunk);
+      hunk = null;
+    } else {
+      hunk[section].push(line);
+    }
+  });
+
+  return hunks;
+}
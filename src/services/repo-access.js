@@ -0,0 +1,102 @@
+/**
+ * Repository Access Policy for Git Memory MCP Server
+ *
+ * One place to parse GIT_MEMORY_ALLOWED_REPOS and decide whether a path may
+ * be touched. A policy is the intersection of the server allowlist and,
+ * for an MCP session, the roots the client exposed via roots/list: a path
+ * must sit inside an allowed repository *and* inside one of the client's
+ * roots. An empty server allowlist disables server-side enforcement; a
+ * client that declares roots but lists none gets no repositories at all.
+ */
+
+import path from 'path';
+
+/**
+ * Parse an allowlist given as an array or as a string separated by ";" or the platform path delimiter
+ */
+export function parseAllowedRepos(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value || '').split(new RegExp(`[;${path.delimiter === ';' ? '' : path.delimiter}]`));
+
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => path.resolve(entry));
+}
+
+export function isPathWithin(candidate, base) {
+  return candidate === base || candidate.startsWith(base.endsWith(path.sep) ? base : `${base}${path.sep}`);
+}
+
+/**
+ * Repository Access Policy
+ */
+export class RepoAccess {
+  constructor(allowedRepos = [], options = {}) {
+    this.allowedRepos = parseAllowedRepos(allowedRepos);
+    // null means the client did not declare roots, so only the server allowlist applies
+    this.roots = options.roots ? parseAllowedRepos(options.roots) : null;
+  }
+
+  /**
+   * The same server allowlist narrowed to a client's roots
+   */
+  withRoots(roots) {
+    return new RepoAccess(this.allowedRepos, { roots: roots || [] });
+  }
+
+  isAllowed(repoPath) {
+    if (!repoPath || typeof repoPath !== 'string') {
+      return false;
+    }
+    const resolved = path.resolve(repoPath);
+    if (this.allowedRepos.length > 0 && !this.allowedRepos.some(base => isPathWithin(resolved, base))) {
+      return false;
+    }
+    if (this.roots && !this.roots.some(root => isPathWithin(resolved, root))) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Resolve a repository path, throwing when the policy does not permit it
+   */
+  assertAllowed(repoPath) {
+    if (!repoPath || typeof repoPath !== 'string') {
+      throw new Error('Invalid repoPath');
+    }
+    const resolved = path.resolve(repoPath);
+    if (!this.isAllowed(resolved)) {
+      throw new Error(`Repository path not permitted: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Concrete repositories this policy exposes (for listings and completion):
+   * allowlisted repos inside a root plus roots inside an allowlisted repo
+   */
+  listRepos() {
+    if (!this.roots) {
+      return [...this.allowedRepos];
+    }
+    if (this.allowedRepos.length === 0) {
+      return [...this.roots];
+    }
+
+    const repos = new Set();
+    for (const base of this.allowedRepos) {
+      if (this.roots.some(root => isPathWithin(base, root))) {
+        repos.add(base);
+      }
+    }
+    for (const root of this.roots) {
+      if (this.allowedRepos.some(base => isPathWithin(root, base))) {
+        repos.add(root);
+      }
+    }
+    return Array.from(repos);
+  }
+}
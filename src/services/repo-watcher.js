@@ -0,0 +1,209 @@
+/**
+ * Repository Watcher for Git Memory MCP Server
+ *
+ * Polls watched repositories for moved refs and working-tree changes and
+ * emits a 'change' event, so WebSocket and MCP subscribers can be notified
+ * without each of them polling git on their own.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import path from 'path';
+import { createLogger } from 'winston';
+import { JOURNAL_REF_NAMESPACE } from './undo-journal.js';
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+/**
+ * Repository Watcher
+ */
+export class RepoWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.gitMemoryService = options.gitMemoryService;
+    this.interval = options.interval || 5000;
+
+    this.watchers = new Map(); // Map<repoPath, number of subscribers>
+    this.snapshots = new Map(); // Map<repoPath, snapshot>
+    this.remotes = new Map(); // Map<repoPath, string[]>
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start watching a repository; calls are reference counted
+   */
+  watch(repoPath) {
+    const resolved = path.resolve(repoPath);
+    this.watchers.set(resolved, (this.watchers.get(resolved) || 0) + 1);
+
+    if (!this.snapshots.has(resolved)) {
+      // Take a baseline so the first poll does not report every ref as new
+      this.takeSnapshot(resolved)
+        .then(snapshot => this.snapshots.set(resolved, snapshot))
+        .catch(error => logger.warn(`Could not snapshot ${resolved}: ${error.message}`));
+    }
+
+    this.start();
+    return resolved;
+  }
+
+  /**
+   * Stop watching a repository once its last subscriber is gone
+   */
+  unwatch(repoPath) {
+    const resolved = path.resolve(repoPath);
+    const count = (this.watchers.get(resolved) || 0) - 1;
+
+    if (count > 0) {
+      this.watchers.set(resolved, count);
+      return;
+    }
+
+    this.watchers.delete(resolved);
+    this.snapshots.delete(resolved);
+    this.remotes.delete(resolved);
+
+    if (this.watchers.size === 0) {
+      this.stop();
+    }
+  }
+
+  isWatching(repoPath) {
+    return this.watchers.has(path.resolve(repoPath));
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      for (const repoPath of this.watchers.keys()) {
+        await this.check(repoPath).catch(error => {
+          logger.warn(`Repository watch failed for ${repoPath}: ${error.message}`);
+        });
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Compare the current state of a repository with the last snapshot
+   */
+  async check(repoPath) {
+    const resolved = path.resolve(repoPath);
+    const previous = this.snapshots.get(resolved);
+    const current = await this.takeSnapshot(resolved);
+    this.snapshots.set(resolved, current);
+
+    if (!previous) {
+      return null;
+    }
+
+    const refChanges = [];
+    const refNames = new Set([...Object.keys(previous.refs), ...Object.keys(current.refs)]);
+    for (const ref of refNames) {
+      const from = previous.refs[ref] || null;
+      const to = current.refs[ref] || null;
+      if (from !== to) {
+        refChanges.push({ ref, from, to });
+      }
+    }
+
+    const headChanged = previous.head !== current.head || previous.headRef !== current.headRef;
+    const statusChanged = previous.status !== current.status;
+
+    if (refChanges.length === 0 && !headChanged && !statusChanged) {
+      return null;
+    }
+
+    // Cached query results for this repository are stale now
+    this.gitMemoryService.clearRepositoryCache(resolved);
+
+    const change = {
+      repoPath: resolved,
+      head: current.head,
+      headRef: current.headRef,
+      headChanged,
+      refs: refChanges,
+      statusChanged
+    };
+
+    this.emit('change', change);
+    return change;
+  }
+
+  async takeSnapshot(repoPath) {
+    const git = this.gitMemoryService.getGitInstance(repoPath);
+
+    return this.gitMemoryService.executeGitOperation(async () => {
+      const refsOutput = await git.raw(['for-each-ref', '--format=%(refname) %(objectname)']);
+      const refs = {};
+      for (const line of refsOutput.split('\n').filter(Boolean)) {
+        const [ref, sha] = line.split(' ');
+        // Journal refs move with every write tool call; they would only add noise to refs_updated
+        if (!ref.startsWith(JOURNAL_REF_NAMESPACE)) {
+          refs[ref] = sha;
+        }
+      }
+
+      const head = (await git.raw(['rev-parse', '--verify', '--quiet', 'HEAD']).catch(() => '')).trim() || null;
+      const headRef = (await git.raw(['symbolic-ref', '--quiet', 'HEAD']).catch(() => '')).trim() || null;
+      const status = crypto
+        .createHash('sha1')
+        .update(await git.raw(['status', '--porcelain=v1', '-z', '--untracked-files=normal']))
+        .digest('hex');
+
+      return { refs, head, headRef, status };
+    });
+  }
+
+  /**
+   * Find watched repositories whose remotes point at a hosted repository
+   * (e.g. "owner/repo" from a webhook payload)
+   */
+  async findReposByRemote(fullName) {
+    if (!fullName) {
+      return [];
+    }
+
+    const needle = fullName.replace(/\.git$/, '').toLowerCase();
+    const matches = [];
+
+    for (const repoPath of this.watchers.keys()) {
+      if (!this.remotes.has(repoPath)) {
+        const git = this.gitMemoryService.getGitInstance(repoPath);
+        const remotes = await git.getRemotes(true).catch(() => []);
+        this.remotes.set(repoPath, remotes.map(remote => remote.refs.fetch || '').filter(Boolean));
+      }
+
+      const urls = this.remotes.get(repoPath);
+      if (urls.some(url => url.replace(/\.git$/, '').toLowerCase().endsWith(`/${needle}`) ||
+        url.replace(/\.git$/, '').toLowerCase().endsWith(`:${needle}`))) {
+        matches.push(repoPath);
+      }
+    }
+
+    return matches;
+  }
+}
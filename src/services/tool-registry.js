@@ -0,0 +1,330 @@
+/**
+ * Tool Registry for Git Memory MCP Server
+ *
+ * Single source of truth for the tools the server exposes. Each tool is a
+ * declarative definition:
+ *
+ *   {
+ *     name: 'get_repo_status',
+ *     description: 'Get the current repository status',
+ *     inputSchema: { type: 'object', properties: { ... }, required: [...] },
+ *     outputSchema: { type: 'object', ... },          // optional
+ *     annotations: { readOnlyHint: true, ... },       // optional
+ *     confirmation: (args) => message | null,         // optional
+ *     handler: async (args, context) => result
+ *   }
+ *
+ * A tool with `confirmation` that returns a message for the given arguments
+ * only runs after context.confirm({ name, message, args }) resolves true;
+ * each transport supplies its own confirm (MCP elicitation, REST tokens).
+ * When the registry has a journal (see undo-journal.js), tools that are not
+ * annotated read-only are journaled with the caller from context.caller.
+ *
+ * MCP tools/list and tools/call, the /tools REST routes and WebSocket
+ * execute_tool all go through the registry, which also validates arguments
+ * against the input schema before a handler runs. Additional tools can be
+ * loaded from a directory of modules (see loadFromDirectory).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLogger } from 'winston';
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const TOOL_MODULE_EXTENSIONS = new Set(['.js', '.mjs']);
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a value against the JSON Schema subset used by tool schemas:
+ * type (string or list), enum, properties, required, additionalProperties,
+ * items, minimum/maximum, minLength/maxLength, pattern and minItems/maxItems.
+ * Returns a list of error messages; an empty list means the value is valid.
+ */
+export function validateSchema(value, schema = {}, location = 'arguments') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${location}: expected ${types.join(' or ')}, got ${describeType(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: must be one of ${schema.enum.map(entry => JSON.stringify(entry)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${location}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${location}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${location}: does not match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${location}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${location}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${location}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${location}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${location}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${location}.${key}: is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], `${location}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${location}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in top-level defaults declared in an object schema
+ */
+function applyDefaults(args, schema) {
+  const result = { ...args };
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (result[key] === undefined && property.default !== undefined) {
+      result[key] = property.default;
+    }
+  }
+  return result;
+}
+
+/**
+ * Tool Registry
+ */
+export class ToolRegistry {
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.journal = options.journal || null;
+  }
+
+  /**
+   * Register a tool definition; names must be unique
+   */
+  register(definition) {
+    const { name, inputSchema, handler } = definition || {};
+
+    if (!name || !TOOL_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid tool name: ${name}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${name} must declare a handler function`);
+    }
+    if (!inputSchema || inputSchema.type !== 'object') {
+      throw new Error(`Tool ${name} must declare an object inputSchema`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+
+    this.tools.set(name, definition);
+    return this;
+  }
+
+  registerAll(definitions) {
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+    return this;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    return tool;
+  }
+
+  /**
+   * Tool descriptions in the MCP tools/list shape (handlers stripped)
+   */
+  list() {
+    return Array.from(this.tools.values()).map(({ name, title, description, inputSchema, outputSchema, annotations }) => ({
+      name,
+      ...(title && { title }),
+      description,
+      inputSchema,
+      ...(outputSchema && { outputSchema }),
+      ...(annotations && { annotations })
+    }));
+  }
+
+  /**
+   * Validate arguments against a tool's input schema and return them with defaults applied
+   */
+  validateInput(name, args = {}) {
+    const tool = this.get(name);
+    const errors = validateSchema(args ?? {}, tool.inputSchema);
+    if (errors.length > 0) {
+      throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+    }
+    return applyDefaults(args ?? {}, tool.inputSchema);
+  }
+
+  /**
+   * Check a handler result against the tool's outputSchema; returns the list of violations
+   */
+  validateOutput(name, result) {
+    const tool = this.get(name);
+    if (!tool.outputSchema) {
+      return [];
+    }
+    return validateSchema(result, tool.outputSchema, 'result');
+  }
+
+  /**
+   * Validate and run a tool. context carries per-call state such as
+   * { signal, onProgress, confirm, caller } and is passed through to the handler.
+   */
+  async execute(name, args, context = {}) {
+    const tool = this.get(name);
+    const validatedArgs = this.validateInput(name, args);
+
+    const message = tool.confirmation ? tool.confirmation(validatedArgs) : null;
+    if (message) {
+      if (typeof context.confirm !== 'function') {
+        throw new Error(`Confirmation required for ${name}: ${message}`);
+      }
+      const confirmed = await context.confirm({ name, message, args: validatedArgs });
+      if (!confirmed) {
+        throw new Error(`Operation not confirmed: ${name}`);
+      }
+    }
+
+    const { repoPath, confirmToken, ...details } = validatedArgs;
+    if (this.journal && tool.annotations && tool.annotations.readOnlyHint === false && typeof repoPath === 'string') {
+      return await this.journal.track(repoPath, { operation: name, tool: name, details, caller: context.caller || null },
+        () => tool.handler(validatedArgs, context));
+    }
+    return await tool.handler(validatedArgs, context);
+  }
+
+  /**
+   * Load third-party tool modules from a directory. Each .js/.mjs module's
+   * default export is a tool definition, an array of definitions, or a
+   * function that receives `services` and returns either of those.
+   * A broken module is logged and skipped so it cannot take the server down.
+   */
+  async loadFromDirectory(directory, services = {}) {
+    const resolvedDir = path.resolve(directory);
+    let entries;
+    try {
+      entries = await fs.readdir(resolvedDir, { withFileTypes: true });
+    } catch (error) {
+      logger.warn(`Tool module directory not readable: ${resolvedDir} (${error.message})`);
+      return [];
+    }
+
+    const loaded = [];
+    const files = entries
+      .filter(entry => entry.isFile() && TOOL_MODULE_EXTENSIONS.has(path.extname(entry.name)))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const file of files) {
+      const modulePath = path.join(resolvedDir, file);
+      try {
+        const module = await import(pathToFileURL(modulePath).href);
+        let exported = module.default;
+        if (typeof exported === 'function') {
+          exported = await exported(services);
+        }
+        const definitions = Array.isArray(exported) ? exported : [exported];
+
+        for (const definition of definitions) {
+          this.register(definition);
+          loaded.push(definition.name);
+        }
+        logger.info(`Loaded tool module ${file}: ${definitions.map(definition => definition.name).join(', ')}`);
+      } catch (error) {
+        logger.error(`Failed to load tool module ${modulePath}: ${error.message}`);
+      }
+    }
+
+    return loaded;
+  }
+}
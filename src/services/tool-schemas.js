@@ -0,0 +1,878 @@
+/**
+ * Output Schemas for Git Memory MCP Server Tools
+ *
+ * JSON Schemas describing what tool handlers return. They are published as
+ * `outputSchema` in tools/list, and the results sent back as
+ * `structuredContent` must conform to them. Building blocks such as
+ * commitSchema are shared so every tool that returns commits uses the same
+ * shape as getRecentCommits.
+ */
+
+const timestamp = { type: 'number', description: 'Milliseconds since the epoch' };
+
+export const personSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    email: { type: 'string' }
+  },
+  required: ['name', 'email']
+};
+
+export const commitSchema = {
+  type: 'object',
+  properties: {
+    hash: { type: 'string', description: 'Full commit hash' },
+    shortHash: { type: 'string', description: 'Abbreviated commit hash' },
+    message: { type: 'string', description: 'Commit subject line' },
+    author: personSchema,
+    date: { type: 'string', description: 'Author date (ISO 8601-like)' },
+    timestamp
+  },
+  required: ['hash', 'shortHash', 'message', 'author', 'date', 'timestamp']
+};
+
+export const commitListSchema = {
+  type: 'object',
+  properties: {
+    commits: { type: 'array', items: commitSchema },
+    total: { type: 'number' },
+    timestamp
+  },
+  required: ['commits', 'total', 'timestamp']
+};
+
+export const currentBranchSchema = {
+  type: 'object',
+  properties: {
+    current: { type: ['string', 'null'], description: 'Checked out branch' },
+    all: { type: 'array', items: { type: 'string' } },
+    timestamp
+  },
+  required: ['current', 'all', 'timestamp']
+};
+
+const branchSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    current: { type: 'boolean' },
+    type: { type: 'string', enum: ['local', 'remote'] }
+  },
+  required: ['name', 'current', 'type']
+};
+
+export const branchListSchema = {
+  type: 'object',
+  properties: {
+    current: { type: ['string', 'null'] },
+    local: { type: 'array', items: branchSchema },
+    remote: { type: 'array', items: branchSchema },
+    all: { type: 'array', items: { type: 'string' } },
+    timestamp
+  },
+  required: ['current', 'local', 'remote', 'all', 'timestamp']
+};
+
+const pathList = { type: 'array', items: { type: 'string' } };
+
+export const repoStatusSchema = {
+  type: 'object',
+  properties: {
+    current: { type: ['string', 'null'] },
+    tracking: { type: ['string', 'null'] },
+    ahead: { type: 'number' },
+    behind: { type: 'number' },
+    staged: pathList,
+    modified: pathList,
+    not_added: pathList,
+    deleted: pathList,
+    renamed: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' }
+        },
+        required: ['from', 'to']
+      }
+    },
+    conflicted: pathList,
+    isClean: { type: 'boolean' },
+    timestamp
+  },
+  required: [
+    'current', 'tracking', 'ahead', 'behind', 'staged', 'modified',
+    'not_added', 'deleted', 'renamed', 'conflicted', 'isClean', 'timestamp'
+  ]
+};
+
+export const createdCommitSchema = {
+  type: 'object',
+  properties: {
+    commit: commitSchema,
+    committer: personSchema,
+    parents: { type: 'array', items: { type: 'string' } },
+    branch: { type: ['string', 'null'], description: 'Branch that moved; null on a detached HEAD' },
+    timestamp
+  },
+  required: ['commit', 'committer', 'parents', 'branch', 'timestamp']
+};
+
+export const historyOperationSchema = {
+  type: 'object',
+  properties: {
+    operation: { type: 'string', enum: ['cherry-pick', 'revert', 'reset', 'merge', 'rebase'] },
+    action: { type: 'string', enum: ['continue', 'abort'], description: 'Set by continue_operation and abort_operation' },
+    branch: { type: ['string', 'null'], description: 'Branch that moved; null on a detached HEAD' },
+    previousHead: { type: 'string' },
+    head: { type: 'string' },
+    journalId: { type: 'string', description: 'Undo journal entry holding the previous HEAD' },
+    commits: { type: 'array', items: commitSchema, description: 'Commits now on HEAD that were not before' },
+    droppedCommits: { type: 'array', items: commitSchema, description: 'Commits no longer reachable from HEAD' },
+    conflicts: pathList,
+    inProgress: { type: 'boolean', description: 'Stopped on conflicts; resolve them, then continue or abort' },
+    mode: { type: 'string', enum: ['soft', 'mixed', 'hard'] },
+    target: { type: 'string' },
+    upstream: { type: 'string' },
+    stopMessage: { type: ['string', 'null'], description: 'Why a plan-based rebase stopped before its last step' },
+    steps: {
+      type: 'array',
+      description: 'Plan of a rebase_interactive call and how far it got',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['pick', 'reword', 'squash', 'fixup', 'drop'] },
+          commit: { type: 'string' },
+          status: { type: 'string', enum: ['done', 'stopped', 'pending'] }
+        },
+        required: ['action', 'commit', 'status']
+      }
+    },
+    timestamp
+  },
+  required: [
+    'operation', 'branch', 'previousHead', 'head', 'journalId', 'commits', 'droppedCommits',
+    'conflicts', 'inProgress', 'timestamp'
+  ]
+};
+
+// Refs and working tree as the undo journal saw them around an operation
+const repoStateSchema = {
+  type: 'object',
+  properties: {
+    head: { type: ['string', 'null'] },
+    branch: { type: ['string', 'null'], description: 'Full name of the ref HEAD points at; null when detached' },
+    refs: { type: 'object', description: 'Ref name to object id for every ref outside refs/git-memory/' },
+    stash: { type: ['string', 'null'], description: 'Stash commit holding uncommitted changes to tracked files' }
+  },
+  required: ['head', 'branch', 'refs', 'stash']
+};
+
+export const operationEntrySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    operation: { type: 'string' },
+    tool: { type: ['string', 'null'], description: 'Tool call that was journaled; null for direct service calls' },
+    repoPath: { type: 'string' },
+    branch: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['started', 'completed', 'conflicted', 'failed', 'undone'] },
+    caller: {
+      type: ['object', 'null'],
+      description: 'Who asked for the operation: transport plus session, connection or address'
+    },
+    before: repoStateSchema,
+    after: { ...repoStateSchema, type: ['object', 'null'] },
+    details: { type: 'object' },
+    error: { type: ['string', 'null'] },
+    createdAt: { type: 'string' },
+    completedAt: { type: ['string', 'null'] },
+    undoneBy: { type: ['string', 'null'], description: 'Journal entry of the undo that rolled this operation back' }
+  },
+  required: ['id', 'operation', 'repoPath', 'status', 'before', 'after', 'details', 'createdAt']
+};
+
+export const operationListSchema = {
+  type: 'object',
+  properties: {
+    operations: { type: 'array', items: operationEntrySchema },
+    total: { type: 'number' },
+    timestamp
+  },
+  required: ['operations', 'total', 'timestamp']
+};
+
+export const undoSchema = {
+  type: 'object',
+  properties: {
+    operation: operationEntrySchema,
+    journalId: { type: 'string', description: 'Journal entry of the undo itself, so it can be undone too' },
+    head: { type: ['string', 'null'] },
+    branch: { type: ['string', 'null'] },
+    restoredRefs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ref: { type: 'string' },
+          from: { type: ['string', 'null'] },
+          to: { type: ['string', 'null'], description: 'null when the operation created the ref and it was deleted' }
+        },
+        required: ['ref', 'from', 'to']
+      }
+    },
+    stashApplied: { type: 'boolean', description: 'Uncommitted changes from before the operation were reapplied' },
+    timestamp
+  },
+  required: ['operation', 'journalId', 'head', 'branch', 'restoredRefs', 'stashApplied', 'timestamp']
+};
+
+export const commitSearchSchema = {
+  ...commitListSchema,
+  properties: {
+    query: { type: 'string' },
+    ...commitListSchema.properties
+  },
+  required: ['query', ...commitListSchema.required]
+};
+
+export const fileHistorySchema = {
+  ...commitListSchema,
+  properties: {
+    file: { type: 'string' },
+    ...commitListSchema.properties
+  },
+  required: ['file', ...commitListSchema.required]
+};
+
+export const diffHunkSchema = {
+  type: 'object',
+  properties: {
+    oldStart: { type: 'number' },
+    oldLines: { type: 'number' },
+    newStart: { type: 'number' },
+    newLines: { type: 'number' },
+    header: { type: 'string', description: 'Text after the @@ range, usually the enclosing function' },
+    lines: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          // "modified" only occurs in word diffs, where one line can carry both kinds of change
+          type: { type: 'string', enum: ['context', 'added', 'deleted', 'modified'] },
+          content: { type: 'string' },
+          oldLine: { type: ['number', 'null'] },
+          newLine: { type: ['number', 'null'] },
+          noNewline: { type: 'boolean', description: 'Line has no trailing newline' },
+          match: { type: 'boolean', description: 'search_code_history only: the line matched the query' },
+          segments: {
+            type: 'array',
+            description: 'Word diff only: the line split into unchanged, added and deleted text',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['context', 'added', 'deleted'] },
+                text: { type: 'string' }
+              },
+              required: ['type', 'text']
+            }
+          }
+        },
+        required: ['type', 'content', 'oldLine', 'newLine']
+      }
+    },
+    truncated: { type: 'boolean', description: 'Hunk was cut off by maxBytes' }
+  },
+  required: ['oldStart', 'oldLines', 'newStart', 'newLines', 'header', 'lines']
+};
+
+export const diffFileSchema = {
+  type: 'object',
+  properties: {
+    oldPath: { type: ['string', 'null'], description: 'Path before the change; null when added' },
+    newPath: { type: ['string', 'null'], description: 'Path after the change; null when deleted' },
+    status: { type: 'string', enum: ['added', 'deleted', 'modified', 'renamed', 'copied'] },
+    similarity: { type: ['number', 'null'], description: 'Rename or copy similarity percentage' },
+    binary: { type: 'boolean' },
+    additions: { type: 'number' },
+    deletions: { type: 'number' },
+    hunks: { type: 'array', items: diffHunkSchema },
+    truncated: { type: 'boolean', description: 'File diff was cut off by maxBytes' }
+  },
+  required: ['oldPath', 'newPath', 'status', 'similarity', 'binary', 'additions', 'deletions', 'hunks']
+};
+
+export const diffSchema = {
+  type: 'object',
+  properties: {
+    from: { type: ['string', 'null'] },
+    to: { type: ['string', 'null'] },
+    staged: { type: 'boolean' },
+    commit: { type: ['string', 'null'] },
+    files: { type: 'array', items: diffFileSchema },
+    summary: {
+      type: 'object',
+      properties: {
+        files: { type: 'number', description: 'Files in the full diff, including omitted ones' },
+        additions: { type: 'number', description: 'Added lines in the returned files' },
+        deletions: { type: 'number', description: 'Deleted lines in the returned files' }
+      },
+      required: ['files', 'additions', 'deletions']
+    },
+    truncated: { type: 'boolean' },
+    truncation: {
+      type: 'object',
+      properties: {
+        maxBytes: { type: 'number' },
+        totalBytes: { type: 'number', description: 'Size of the full diff' },
+        omittedFiles: { type: 'number', description: 'Files left out entirely' }
+      },
+      required: ['maxBytes', 'totalBytes', 'omittedFiles']
+    },
+    timestamp
+  },
+  required: ['from', 'to', 'staged', 'commit', 'files', 'summary', 'truncated', 'timestamp']
+};
+
+export const compareSchema = {
+  type: 'object',
+  properties: {
+    base: { type: 'string' },
+    head: { type: 'string' },
+    baseCommit: { type: 'string' },
+    headCommit: { type: 'string' },
+    mergeBase: { type: ['string', 'null'], description: 'null when the histories are unrelated' },
+    relation: { type: 'string', enum: ['identical', 'ahead', 'behind', 'diverged', 'unrelated'], description: 'Head relative to base' },
+    ahead: { type: 'number', description: 'Commits on head that base lacks' },
+    behind: { type: 'number', description: 'Commits on base that head lacks' },
+    canFastForward: { type: 'boolean', description: 'Whether base can be fast-forwarded to head' },
+    aheadCommits: { type: 'array', items: commitSchema, description: 'Newest first, up to limit' },
+    behindCommits: { type: 'array', items: commitSchema, description: 'Newest first, up to limit' },
+    diffstat: {
+      type: 'object',
+      description: 'Changes on head since the merge base',
+      properties: {
+        files: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              path: { type: 'string' },
+              oldPath: { type: ['string', 'null'], description: 'Previous path of a renamed file' },
+              additions: { type: 'number' },
+              deletions: { type: 'number' },
+              binary: { type: 'boolean' }
+            },
+            required: ['path', 'oldPath', 'additions', 'deletions', 'binary']
+          }
+        },
+        filesChanged: { type: 'number' },
+        additions: { type: 'number' },
+        deletions: { type: 'number' }
+      },
+      required: ['files', 'filesChanged', 'additions', 'deletions']
+    },
+    timestamp
+  },
+  required: [
+    'base', 'head', 'baseCommit', 'headCommit', 'mergeBase', 'relation', 'ahead', 'behind',
+    'canFastForward', 'aheadCommits', 'behindCommits', 'diffstat', 'timestamp'
+  ]
+};
+
+const stageEntrySchema = {
+  type: ['object', 'null'],
+  properties: {
+    mode: { type: 'string' },
+    object: { type: 'string', description: 'Blob sha of this side' }
+  },
+  required: ['mode', 'object']
+};
+
+export const conflictHunkSchema = {
+  type: 'object',
+  properties: {
+    startLine: { type: 'number', description: 'Line of the <<<<<<< marker' },
+    endLine: { type: 'number', description: 'Line of the >>>>>>> marker' },
+    oursLabel: { type: 'string' },
+    theirsLabel: { type: 'string' },
+    ours: { type: 'array', items: { type: 'string' } },
+    base: { type: ['array', 'null'], items: { type: 'string' }, description: 'Only with the diff3 / zdiff3 conflict styles' },
+    theirs: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['startLine', 'endLine', 'oursLabel', 'theirsLabel', 'ours', 'base', 'theirs']
+};
+
+const conflictStageSchema = {
+  type: ['object', 'null'],
+  description: 'Index stage of one side; null when that side has no file',
+  properties: {
+    mode: { type: 'string' },
+    object: { type: 'string' },
+    size: { type: 'number' },
+    binary: { type: 'boolean' },
+    content: { type: ['string', 'null'], description: 'null for binary blobs and blobs over maxBytes' }
+  },
+  required: ['mode', 'object', 'size', 'binary', 'content']
+};
+
+export const conflictListSchema = {
+  type: 'object',
+  properties: {
+    operation: { type: ['string', 'null'], enum: ['merge', 'rebase', 'cherry-pick', 'revert', null] },
+    conflicts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          type: {
+            type: 'string',
+            enum: ['both-modified', 'both-added', 'deleted-by-us', 'deleted-by-them', 'added-by-us', 'added-by-them', 'both-deleted']
+          },
+          base: conflictStageSchema,
+          ours: conflictStageSchema,
+          theirs: conflictStageSchema,
+          binary: { type: 'boolean' },
+          hunks: { type: 'array', items: conflictHunkSchema, description: 'Conflict regions in the working tree file' }
+        },
+        required: ['path', 'type', 'base', 'ours', 'theirs', 'binary', 'hunks']
+      }
+    },
+    total: { type: 'number' },
+    timestamp
+  },
+  required: ['operation', 'conflicts', 'total', 'timestamp']
+};
+
+export const conflictResolutionSchema = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    resolution: { type: 'string', enum: ['ours', 'theirs', 'union', 'content'] },
+    deleted: { type: 'boolean', description: 'The chosen side deleted the file, so the resolution removed it' },
+    remaining: { ...pathList, description: 'Paths still conflicted' },
+    operation: { type: ['string', 'null'] },
+    timestamp
+  },
+  required: ['path', 'resolution', 'deleted', 'remaining', 'operation', 'timestamp']
+};
+
+export const mergePreviewSchema = {
+  type: 'object',
+  properties: {
+    source: { type: 'string' },
+    target: { type: 'string' },
+    sourceCommit: { type: 'string' },
+    targetCommit: { type: 'string' },
+    clean: { type: 'boolean' },
+    tree: { type: 'string', description: 'Tree the merge would produce, conflict markers included' },
+    conflicts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          types: { type: 'array', items: { type: 'string' }, description: 'e.g. contents, modify/delete, rename/delete' },
+          messages: { type: 'array', items: { type: 'string' } },
+          stages: {
+            type: 'object',
+            properties: {
+              base: stageEntrySchema,
+              ours: stageEntrySchema,
+              theirs: stageEntrySchema
+            },
+            required: ['base', 'ours', 'theirs']
+          },
+          hunks: { type: 'array', items: conflictHunkSchema }
+        },
+        required: ['path', 'types', 'messages', 'stages']
+      }
+    },
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          paths: { type: 'array', items: { type: 'string' } },
+          type: { type: 'string' },
+          message: { type: 'string' }
+        },
+        required: ['paths', 'type', 'message']
+      }
+    },
+    timestamp
+  },
+  required: ['source', 'target', 'sourceCommit', 'targetCommit', 'clean', 'tree', 'conflicts', 'messages', 'timestamp']
+};
+
+export const lineHistorySchema = {
+  type: 'object',
+  properties: {
+    file: { type: 'string' },
+    ref: { type: 'string' },
+    commit: { type: 'string', description: 'Commit the ref resolved to' },
+    range: {
+      type: 'object',
+      properties: {
+        startLine: { type: 'number' },
+        endLine: { type: 'number' },
+        funcname: { type: 'string' }
+      }
+    },
+    commits: {
+      type: 'array',
+      items: {
+        ...commitSchema,
+        properties: {
+          ...commitSchema.properties,
+          parents: { type: 'array', items: { type: 'string' } },
+          path: { type: ['string', 'null'], description: 'File path after the commit' },
+          oldPath: { type: ['string', 'null'], description: 'File path before the commit; null when the file was added' },
+          hunks: { type: 'array', items: diffHunkSchema }
+        },
+        required: [...commitSchema.required, 'parents', 'path', 'oldPath', 'hunks']
+      }
+    },
+    total: { type: 'number' },
+    truncated: { type: 'boolean', description: 'Whether the commit limit cut the history short' },
+    timestamp
+  },
+  required: ['file', 'ref', 'commit', 'range', 'commits', 'total', 'truncated', 'timestamp']
+};
+
+export const codeHistorySchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    mode: { type: 'string', enum: ['pickaxe', 'regex'] },
+    ref: { type: 'string' },
+    commit: { type: 'string', description: 'Commit the ref resolved to' },
+    commits: {
+      type: 'array',
+      items: {
+        ...commitSchema,
+        properties: {
+          ...commitSchema.properties,
+          parents: { type: 'array', items: { type: 'string' } },
+          change: {
+            type: 'string',
+            enum: ['introduced', 'removed', 'changed'],
+            description: 'Whether the commit added or removed occurrences of the query'
+          },
+          matches: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                path: { type: ['string', 'null'] },
+                oldPath: { type: ['string', 'null'] },
+                status: { type: 'string' },
+                hunks: { type: 'array', items: diffHunkSchema }
+              },
+              required: ['path', 'oldPath', 'status', 'hunks']
+            }
+          },
+          omittedSnippets: { type: 'number', description: 'Matching hunks left out beyond maxSnippets' }
+        },
+        required: [...commitSchema.required, 'parents', 'change', 'matches', 'omittedSnippets']
+      }
+    },
+    total: { type: 'number' },
+    timestamp
+  },
+  required: ['query', 'mode', 'ref', 'commit', 'commits', 'total', 'timestamp']
+};
+
+const grepContextLines = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      line: { type: 'number' },
+      text: { type: 'string' }
+    },
+    required: ['line', 'text']
+  }
+};
+
+export const grepSchema = {
+  type: 'object',
+  properties: {
+    pattern: { type: 'string' },
+    ref: { type: ['string', 'null'], description: 'Searched revision; null for the working tree' },
+    commit: { type: ['string', 'null'], description: 'Commit the ref resolved to' },
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          line: { type: 'number' },
+          column: { type: 'number', description: 'Column of the first match on the line (1-based, in bytes)' },
+          text: { type: 'string' },
+          before: grepContextLines,
+          after: grepContextLines
+        },
+        required: ['path', 'line', 'column', 'text']
+      }
+    },
+    total: { type: 'number', description: 'Matches found across all pages' },
+    files: { type: 'number', description: 'Files with at least one match' },
+    truncated: { type: 'boolean', description: 'Search stopped at maxMatches' },
+    offset: { type: 'number' },
+    nextOffset: { type: ['number', 'null'], description: 'Offset of the next page; null on the last page' },
+    timestamp
+  },
+  required: ['pattern', 'ref', 'commit', 'matches', 'total', 'files', 'truncated', 'offset', 'nextOffset', 'timestamp']
+};
+
+export const fileContentSchema = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    ref: { type: 'string' },
+    commit: { type: 'string', description: 'Commit the ref resolved to' },
+    blob: { type: 'string', description: 'Blob sha of the file' },
+    mode: { type: 'string' },
+    size: { type: 'number', description: 'Full file size in bytes' },
+    binary: { type: 'boolean' },
+    encoding: { type: 'string', enum: ['utf8', 'base64'] },
+    offset: { type: 'number', description: 'First byte returned' },
+    length: { type: 'number', description: 'Bytes returned' },
+    truncated: { type: 'boolean', description: 'Requested range was cut to the size limit' },
+    nextOffset: { type: ['number', 'null'], description: 'Offset of the next unread byte; null at end of file' },
+    content: { type: 'string' },
+    timestamp
+  },
+  required: [
+    'path', 'ref', 'commit', 'blob', 'mode', 'size', 'binary', 'encoding',
+    'offset', 'length', 'truncated', 'nextOffset', 'content', 'timestamp'
+  ]
+};
+
+export const treeSchema = {
+  type: 'object',
+  properties: {
+    ref: { type: 'string' },
+    commit: { type: 'string', description: 'Commit the ref resolved to' },
+    path: { type: 'string', description: 'Listed directory; empty for the repository root' },
+    tree: { type: 'string', description: 'Tree sha of the listed directory' },
+    recursive: { type: 'boolean' },
+    entries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          path: { type: 'string' },
+          mode: { type: 'string' },
+          type: { type: 'string', enum: ['blob', 'tree', 'commit'], description: 'commit entries are submodules' },
+          sha: { type: 'string' },
+          size: { type: ['number', 'null'], description: 'Blob size in bytes; null for trees and submodules' }
+        },
+        required: ['name', 'path', 'mode', 'type', 'sha', 'size']
+      }
+    },
+    total: { type: 'number', description: 'Entries before the size limit was applied' },
+    truncated: { type: 'boolean' },
+    timestamp
+  },
+  required: ['ref', 'commit', 'path', 'tree', 'recursive', 'entries', 'total', 'truncated', 'timestamp']
+};
+
+export const tagSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    annotated: { type: 'boolean' },
+    sha: { type: 'string', description: 'Tag object sha, or the commit sha for lightweight tags' },
+    commit: { type: 'string', description: 'Commit the tag points to' },
+    message: { type: ['string', 'null'], description: 'Annotated tag subject' },
+    body: { type: ['string', 'null'], description: 'Annotated tag message body' },
+    tagger: { ...personSchema, type: ['object', 'null'], description: 'null for lightweight tags' },
+    date: { type: 'string', description: 'Tagger date, or the commit date for lightweight tags' },
+    timestamp
+  },
+  required: ['name', 'annotated', 'sha', 'commit', 'message', 'body', 'tagger', 'date', 'timestamp']
+};
+
+export const tagListSchema = {
+  type: 'object',
+  properties: {
+    sort: { type: 'string', enum: ['version', 'date'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    pattern: { type: ['string', 'null'] },
+    contains: { type: ['string', 'null'], description: 'Commit every listed tag contains' },
+    tags: { type: 'array', items: tagSchema },
+    total: { type: 'number' },
+    timestamp
+  },
+  required: ['sort', 'order', 'pattern', 'contains', 'tags', 'total', 'timestamp']
+};
+
+export const describeSchema = {
+  type: 'object',
+  properties: {
+    ref: { type: 'string' },
+    commit: { type: 'string' },
+    describe: { type: ['string', 'null'], description: 'git describe output; null when no tag precedes the commit' },
+    tag: { type: ['string', 'null'], description: 'Nearest tag reachable from the commit' },
+    distance: { type: ['number', 'null'], description: 'Commits between that tag and the commit' },
+    containedIn: { type: ['string', 'null'], description: 'git describe --contains output, e.g. v1.2.0~3' },
+    firstTag: { ...tagSchema, type: ['object', 'null'], description: 'Lowest version tag that contains the commit' },
+    timestamp
+  },
+  required: ['ref', 'commit', 'describe', 'tag', 'distance', 'containedIn', 'firstTag', 'timestamp']
+};
+
+const changelogEntrySchema = {
+  type: 'object',
+  properties: {
+    hash: { type: 'string' },
+    shortHash: { type: 'string' },
+    conventional: { type: 'boolean', description: 'Whether the subject follows Conventional Commits' },
+    type: { type: 'string', description: "Commit type, or 'other' for non-conventional subjects" },
+    scope: { type: ['string', 'null'] },
+    description: { type: 'string' },
+    breaking: { type: 'boolean' },
+    breakingNotes: { type: 'array', items: { type: 'string' }, description: 'BREAKING CHANGE footer text' },
+    issues: { type: 'array', items: { type: 'string' }, description: 'Issue references such as #12 or org/repo#3' },
+    author: personSchema,
+    date: { type: 'string' },
+    timestamp
+  },
+  required: ['hash', 'shortHash', 'conventional', 'type', 'scope', 'description', 'breaking', 'breakingNotes', 'issues', 'author', 'date', 'timestamp']
+};
+
+export const changelogSchema = {
+  type: 'object',
+  properties: {
+    from: { type: ['string', 'null'], description: 'Start of the range (exclusive); null for the whole history' },
+    to: { type: 'string' },
+    fromCommit: { type: ['string', 'null'] },
+    toCommit: { type: 'string' },
+    format: { type: 'string', enum: ['markdown', 'json', 'keep-a-changelog'] },
+    currentVersion: { type: ['string', 'null'], description: 'Latest tag at the start of the range' },
+    bump: { type: ['string', 'null'], enum: ['major', 'minor', 'patch', null] },
+    nextVersion: { type: ['string', 'null'], description: 'Suggested semver version for these changes' },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          title: { type: 'string' },
+          scopes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                scope: { type: ['string', 'null'] },
+                entries: { type: 'array', items: changelogEntrySchema }
+              },
+              required: ['scope', 'entries']
+            }
+          }
+        },
+        required: ['type', 'title', 'scopes']
+      }
+    },
+    breakingChanges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          hash: { type: 'string' },
+          shortHash: { type: 'string' },
+          scope: { type: ['string', 'null'] },
+          description: { type: 'string' },
+          notes: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['hash', 'shortHash', 'scope', 'description', 'notes']
+      }
+    },
+    total: { type: 'number', description: 'Commits in the range, merges excluded' },
+    truncated: { type: 'boolean', description: 'Whether the commit limit cut the range short' },
+    content: { type: ['string', 'null'], description: 'Rendered notes; null for the json format' },
+    timestamp
+  },
+  required: [
+    'from', 'to', 'fromCommit', 'toCommit', 'format', 'currentVersion', 'bump', 'nextVersion',
+    'sections', 'breakingChanges', 'total', 'truncated', 'content', 'timestamp'
+  ]
+};
+
+// Commit details repeated on every blamed line or hunk so each entry stands alone
+const blameOriginProperties = {
+  originalPath: { type: 'string', description: 'Path of the file in the blamed commit' },
+  hash: { type: 'string', description: 'Commit that last changed the line' },
+  shortHash: { type: 'string' },
+  summary: { type: 'string', description: 'Commit subject line' },
+  author: personSchema,
+  date: { type: 'string', description: 'Author date (ISO 8601-like)' },
+  timestamp,
+  boundary: { type: 'boolean', description: 'Commit is a root commit or outside the blamed range' }
+};
+
+const blameOriginRequired = ['originalPath', 'hash', 'shortHash', 'summary', 'author', 'date', 'timestamp', 'boundary'];
+
+export const blameSchema = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    ref: { type: 'string' },
+    commit: { type: 'string', description: 'Commit the ref resolved to' },
+    blob: { type: 'string', description: 'Blob sha of the file at that commit' },
+    startLine: { type: ['number', 'null'] },
+    endLine: { type: ['number', 'null'] },
+    ignoreRevsFile: { type: ['string', 'null'], description: 'Ignore list that was applied, if any' },
+    lines: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          line: { type: 'number' },
+          originalLine: { type: 'number', description: 'Line number in the blamed commit' },
+          ...blameOriginProperties,
+          content: { type: 'string' }
+        },
+        required: ['line', 'originalLine', ...blameOriginRequired, 'content']
+      }
+    },
+    hunks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          startLine: { type: 'number' },
+          endLine: { type: 'number' },
+          originalStartLine: { type: 'number', description: 'First line number in the blamed commit' },
+          ...blameOriginProperties,
+          lines: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['startLine', 'endLine', 'originalStartLine', ...blameOriginRequired, 'lines']
+      }
+    },
+    timestamp
+  },
+  required: ['path', 'ref', 'commit', 'blob', 'startLine', 'endLine', 'ignoreRevsFile', 'timestamp']
+};
+
+// The git-memory CLI owns the shape of its JSON status; only the envelope is fixed
+export const cliStatusSchema = {
+  type: 'object',
+  description: 'git-memory CLI status JSON, or { output } when json is false',
+  additionalProperties: true
+};
+
+export const cliOutputSchema = {
+  type: 'object',
+  properties: {
+    stdout: { type: 'string' },
+    stderr: { type: 'string' }
+  },
+  required: ['stdout', 'stderr']
+};
@@ -0,0 +1,289 @@
+/**
+ * Undo Journal for Git Memory MCP Server
+ *
+ * Every operation that can move a ref or change the working tree (any tool
+ * that is not read-only, plus resets, cherry-picks and reverts called on the
+ * service directly) is journaled: the refs and HEAD before and after, the
+ * uncommitted changes to tracked files as a `git stash create` commit, and
+ * who asked for it. Entries are appended as JSON lines to
+ * `<git dir>/git-memory/journal.jsonl`, so they survive restarts. The prior
+ * HEAD is pinned by a `refs/git-memory/undo/<id>` ref and the stashes by
+ * `refs/git-memory/stash/<id>/{before,after}`, so `git gc` cannot prune what
+ * an undo needs. An entry is written as "started" and completed afterwards;
+ * a crash in between still leaves the way back on disk.
+ *
+ * Entries beyond the newest `maxEntries`, or older than `maxAgeDays`, are
+ * pruned after each operation: their refs are deleted (so gc can reclaim
+ * what only they kept alive) and the journal is rewritten with one line per
+ * remaining entry.
+ */
+
+import simpleGit from 'simple-git';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Bookkeeping refs of the journal; they are not part of the repository's own state
+export const JOURNAL_REF_NAMESPACE = 'refs/git-memory/';
+export const UNDO_REF_PREFIX = `${JOURNAL_REF_NAMESPACE}undo/`;
+export const STASH_REF_PREFIX = `${JOURNAL_REF_NAMESPACE}stash/`;
+
+/**
+ * Undo Journal
+ */
+export class UndoJournal {
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+    this.maxEntries = options.maxEntries || 500;
+    this.maxAge = (options.maxAgeDays || 90) * 24 * 60 * 60 * 1000;
+    // The entry of the operation running in this async context, so nested service calls join it
+    this.active = new AsyncLocalStorage();
+    // Pending write per journal file; appends and compaction must not interleave
+    this.writes = new Map(); // Map<journal file, Promise>
+  }
+
+  async journalPath(repoPath) {
+    const gitDir = (await simpleGit(repoPath).raw(['rev-parse', '--absolute-git-dir'])).trim();
+    return path.join(gitDir, 'git-memory', 'journal.jsonl');
+  }
+
+  // Run write(file) after the writes already queued for the same journal file
+  async serialize(repoPath, write) {
+    const file = await this.journalPath(repoPath);
+    const next = (this.writes.get(file) || Promise.resolve()).catch(() => {}).then(() => write(file));
+    this.writes.set(file, next);
+    try {
+      return await next;
+    } finally {
+      if (this.writes.get(file) === next) {
+        this.writes.delete(file);
+      }
+    }
+  }
+
+  async append(repoPath, line) {
+    await this.serialize(repoPath, async (file) => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(line)}\n`, 'utf8');
+    });
+  }
+
+  // Fold the lines of a journal into entries by id, in the order they were created
+  parse(text) {
+    const entries = new Map();
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue; // A torn last line from a crash mid-write
+      }
+      entries.set(record.id, { ...entries.get(record.id), ...record });
+    }
+    return Array.from(entries.values()).filter(entry => entry.createdAt);
+  }
+
+  /**
+   * HEAD, the current branch and every ref outside refs/git-memory/
+   */
+  async readRefs(repoPath) {
+    const git = simpleGit(repoPath);
+    // git.raw resolves with empty output when these exit 1 quietly (unborn or detached HEAD)
+    const head = (await git.raw(['rev-parse', '--verify', '-q', 'HEAD'])).trim() || null;
+    const branch = (await git.raw(['symbolic-ref', '-q', 'HEAD'])).trim() || null;
+
+    const refs = {};
+    const output = await git.raw(['for-each-ref', '--format=%(refname)%00%(objectname)']);
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [name, object] = line.split('\0');
+      if (!name.startsWith(JOURNAL_REF_NAMESPACE)) {
+        refs[name] = object;
+      }
+    }
+    return { head, branch, refs };
+  }
+
+  /**
+   * readRefs() plus the uncommitted changes to tracked files, pinned under
+   * `refs/git-memory/stash/<id>/<side>`; stash is null for a clean tree
+   */
+  async snapshot(repoPath, id, side) {
+    const state = await this.readRefs(repoPath);
+    // Fails while paths are unmerged; a conflicted tree is recorded as having no stash
+    const git = simpleGit(repoPath);
+    const stash = state.head ? (await git.raw(['stash', 'create']).catch(() => '')).trim() || null : null;
+    if (stash) {
+      await git.raw(['update-ref', `${STASH_REF_PREFIX}${id}/${side}`, stash]);
+    }
+    return { ...state, stash };
+  }
+
+  /**
+   * Note the state before an operation; returns the entry whose id is passed to complete()
+   */
+  async record(repoPath, { operation, tool = null, details = {}, caller = null }) {
+    const id = `${this.now().getTime().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    const before = await this.snapshot(repoPath, id, 'before');
+    if (before.head) {
+      await simpleGit(repoPath).raw(['update-ref', `${UNDO_REF_PREFIX}${id}`, before.head]);
+    }
+
+    const entry = {
+      id,
+      operation,
+      tool,
+      repoPath: path.resolve(repoPath),
+      branch: before.branch ? before.branch.replace(/^refs\/heads\//, '') : null,
+      status: 'started',
+      caller,
+      before: { ...before, ref: before.head ? `${UNDO_REF_PREFIX}${id}` : null },
+      after: null,
+      details,
+      error: null,
+      createdAt: this.now().toISOString(),
+      completedAt: null,
+      undoneBy: null
+    };
+    await this.append(repoPath, entry);
+    return entry;
+  }
+
+  /**
+   * Record how the operation ended: 'completed', 'conflicted' (stopped for the user) or 'failed'.
+   * Without a status, an operation that left unmerged paths counts as conflicted.
+   */
+  async complete(repoPath, id, { status = null, error = null } = {}) {
+    const after = await this.snapshot(repoPath, id, 'after');
+    const unmerged = (await simpleGit(repoPath).raw(['ls-files', '--unmerged'])).trim();
+    await this.append(repoPath, {
+      id,
+      status: status || (unmerged ? 'conflicted' : 'completed'),
+      after,
+      error,
+      completedAt: this.now().toISOString()
+    });
+  }
+
+  /**
+   * Journal an operation around execute(entry). A call made while another operation on the same
+   * repository is being journaled (a service method inside a tool call) joins that entry and adds
+   * its own operation name and details. Paths that are not repositories run without a journal.
+   */
+  async track(repoPath, { operation, tool = null, details = {}, caller = null }, execute) {
+    const active = this.active.getStore();
+    if (active && active.repoPath === path.resolve(repoPath)) {
+      Object.assign(active, { operation, details: { ...active.details, ...details } });
+      await this.append(repoPath, { id: active.id, operation, details: active.details });
+      return await execute(active);
+    }
+
+    if (!(await this.journalPath(repoPath).catch(() => null))) {
+      return await execute(null);
+    }
+
+    const entry = await this.record(repoPath, { operation, tool, details, caller });
+    try {
+      let result;
+      try {
+        result = await this.active.run(entry, () => execute(entry));
+      } catch (error) {
+        await this.complete(repoPath, entry.id, { status: 'failed', error: error.message });
+        throw error;
+      }
+      await this.complete(repoPath, entry.id);
+      return result;
+    } finally {
+      // Failed and conflicted operations are recorded too, so retention runs whatever the outcome;
+      // it is housekeeping, so its own errors never replace the operation's result
+      await this.prune(repoPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Drop entries beyond maxEntries or older than maxAgeDays together with their refs.
+   * Returns the ids that were removed.
+   */
+  async prune(repoPath) {
+    const cutoff = this.now().getTime() - this.maxAge;
+    const pruned = new Set();
+    await this.serialize(repoPath, async (file) => {
+      let text;
+      try {
+        text = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      const entries = this.parse(text).reverse();
+      entries.forEach((entry, index) => {
+        if (index >= this.maxEntries || new Date(entry.createdAt).getTime() < cutoff) {
+          pruned.add(entry.id);
+        }
+      });
+      if (pruned.size === 0) {
+        return;
+      }
+
+      // Written next to the journal and renamed over it, so a crash leaves one or the other
+      const kept = entries.filter(entry => !pruned.has(entry.id)).reverse();
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, kept.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+      await fs.rename(temp, file);
+    });
+    if (pruned.size === 0) {
+      return [];
+    }
+
+    // Only refs of entries that were in the journal: an operation being recorded right now
+    // creates its stash ref before its first line is written
+    const git = simpleGit(repoPath);
+    const refs = (await git.raw(['for-each-ref', '--format=%(refname)', UNDO_REF_PREFIX, STASH_REF_PREFIX]))
+      .split('\n')
+      .filter(Boolean);
+    for (const ref of refs) {
+      // refs/git-memory/undo/<id> and refs/git-memory/stash/<id>/<side>
+      if (pruned.has(ref.slice(JOURNAL_REF_NAMESPACE.length).split('/')[1])) {
+        await git.raw(['update-ref', '-d', ref]);
+      }
+    }
+    return Array.from(pruned);
+  }
+
+  /**
+   * Mark an entry as undone by the operation that restored its previous state
+   */
+  async markUndone(repoPath, id, undoneBy) {
+    await this.append(repoPath, { id, status: 'undone', undoneBy });
+  }
+
+  /**
+   * Journal entries, newest first, with their completion folded in
+   */
+  async list(repoPath, { limit = 50 } = {}) {
+    let text;
+    try {
+      text = await fs.readFile(await this.journalPath(repoPath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return this.parse(text).reverse().slice(0, limit);
+  }
+
+  async get(repoPath, id) {
+    const entry = (await this.list(repoPath, { limit: Infinity })).find(candidate => candidate.id === id);
+    if (!entry) {
+      throw new Error(`Unknown operation: ${id}`);
+    }
+    return entry;
+  }
+}
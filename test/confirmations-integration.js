@@ -0,0 +1,108 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import { ConfirmationManager, ConfirmationRequiredError } from '../src/services/confirmations.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { GitApiEndpoints } from '../src/services/git-operations.js';
+import { run, createTempRepo } from './helpers/git-repo.js';
+
+async function main() {
+  console.log('Issuing and redeeming confirmation tokens');
+  const confirmations = new ConfirmationManager();
+  let confirmation;
+  try {
+    confirmations.require('reset', { repoPath: '/repo', mode: 'hard' }, 'Hard reset /repo');
+    assert.fail('expected a confirmation error');
+  } catch (error) {
+    assert.ok(error instanceof ConfirmationRequiredError);
+    confirmation = error.confirmation;
+  }
+  assert.equal(confirmation.message, 'Hard reset /repo');
+  // Bound to the exact arguments, independent of key order
+  assert.equal(confirmations.consume(confirmation.token, 'reset', { repoPath: '/repo', mode: 'soft' }), false);
+  assert.equal(confirmations.consume(confirmation.token, 'reset', { mode: 'hard', repoPath: '/repo' }), true);
+  // Single use
+  assert.equal(confirmations.consume(confirmation.token, 'reset', { mode: 'hard', repoPath: '/repo' }), false);
+
+  const expiring = new ConfirmationManager({ ttl: 1 });
+  const { token } = expiring.issue('reset', {}, 'Hard reset');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(expiring.consume(token, 'reset', {}), false);
+
+  console.log('Gating destructive tools in the registry');
+  const rebaseCalls = [];
+  const registry = new ToolRegistry();
+  registry.registerAll(createGitTools({
+    gitMemoryService: {},
+    gitMemoryCLI: { rebase: async (repoPath, options) => rebaseCalls.push(options) && { stdout: '', stderr: '' } }
+  }));
+
+  const rebaseArgs = { repoPath: '/repo', upstream: 'main' };
+  await assert.rejects(registry.execute('git_rebase_cli', rebaseArgs), /Confirmation required for git_rebase_cli/);
+  await assert.rejects(registry.execute('git_rebase_cli', rebaseArgs, { confirm: async () => false }), /Operation not confirmed/);
+  assert.equal(rebaseCalls.length, 0);
+
+  let asked;
+  await registry.execute('git_rebase_cli', rebaseArgs, {
+    confirm: async (request) => {
+      asked = request;
+      return true;
+    }
+  });
+  assert.match(asked.message, /Rebase the current branch onto main in \/repo/);
+  assert.equal(rebaseCalls.length, 1);
+
+  // Aborting is confirmed like abort_operation; continuing is not
+  await assert.rejects(
+    registry.execute('git_rebase_cli', { repoPath: '/repo', abort: true }),
+    /Confirmation required for git_rebase_cli: Abort the rebase in progress in \/repo, discarding the conflict resolutions made so far/
+  );
+  assert.equal(rebaseCalls.length, 1);
+  await registry.execute('git_rebase_cli', { repoPath: '/repo', abort: true }, { confirm: async () => true });
+  assert.equal(rebaseCalls.length, 2);
+  await registry.execute('git_rebase_cli', { repoPath: '/repo', continueRebase: true });
+  assert.equal(rebaseCalls.length, 3);
+
+  console.log('Two-phase branch deletion over HTTP');
+  const { tempRoot, repoPath } = await createTempRepo('confirm');
+  await fs.writeFile(path.join(repoPath, 'README.md'), '# Project\n', 'utf8');
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+  await run('git branch obsolete', repoPath);
+
+  const app = express();
+  app.use(express.json());
+  new GitApiEndpoints(app, null);
+  const httpServer = app.listen(0);
+  const url = `http://127.0.0.1:${httpServer.address().port}/git/branch/obsolete`;
+  const deleteBranch = (body) => fetch(url, {
+    method: 'DELETE',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const first = await deleteBranch({ repoPath });
+  assert.equal(first.status, 428);
+  const { confirmation: issued } = await first.json();
+  assert.match(issued.message, /Delete branch obsolete/);
+  assert.equal(await run('git branch --list obsolete', repoPath), 'obsolete');
+
+  // A token is only good for the arguments it was issued for
+  const mismatched = await deleteBranch({ repoPath, force: true, confirmToken: issued.token });
+  assert.equal(mismatched.status, 428);
+
+  const second = await deleteBranch({ repoPath, confirmToken: issued.token });
+  assert.equal(second.status, 200);
+  assert.equal(await run('git branch --list obsolete', repoPath), '');
+
+  httpServer.close();
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Confirmation checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Confirmation checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import { createServer } from 'http';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitOperationsService, GitApiEndpoints } from '../src/services/git-operations.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('api-endpoints');
+  await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  await run('git checkout -q -b feature', repoPath);
+  const feature = await commitFile(repoPath, 'feature.txt', 'feature\n', 'Add feature');
+  await run('git checkout -q main', repoPath);
+
+  const gitOperations = new GitOperationsService({ gitMemoryService: new GitMemoryService() });
+  const app = express();
+  app.use(express.json());
+  new GitApiEndpoints(app, null, { gitOperations, allowedRepos: [tempRoot] });
+  const httpServer = createServer(app);
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  console.log('Journaling merges and branch changes made over HTTP');
+  const merged = await request('POST', '/git/merge', { repoPath, sourceBranch: 'feature', targetBranch: 'main' });
+  assert.equal(merged.status, 200);
+  assert.equal(await run('git rev-parse main', repoPath), feature);
+  const created = await request('POST', '/git/branch/create', { repoPath, branchName: 'topic', baseBranch: 'main' });
+  assert.equal(created.status, 200);
+
+  const [branch, merge] = (await gitOperations.listOperations(repoPath)).operations;
+  assert.equal(merge.operation, 'merge');
+  assert.equal(merge.status, 'completed');
+  assert.equal(merge.caller.transport, 'http');
+  assert.deepEqual(merge.details, { sourceBranch: 'feature', targetBranch: 'main' });
+  assert.equal(merge.after.refs['refs/heads/main'], feature);
+  assert.equal(branch.operation, 'create-branch');
+  assert.equal(branch.after.refs['refs/heads/topic'], feature);
+
+  const undone = await gitOperations.undoOperation(repoPath, branch.id, { force: true });
+  assert.equal(undone.head, feature);
+  assert.equal(undone.branch, 'main');
+  assert.equal(await run('git branch --list topic', repoPath), '');
+
+  console.log('Confirming force pushes and branch deletion with a token');
+  await run(`git init -q --bare ${tempRoot}/remote.git && git remote add origin ${tempRoot}/remote.git`, repoPath);
+  const plain = await request('POST', '/git/push', { repoPath, remote: 'origin', branch: 'main' });
+  assert.equal(plain.status, 200);
+  await run('git commit -q --amend -m "Add feature (amended)"', repoPath);
+
+  const push = { repoPath, remote: 'origin', branch: 'main', force: true };
+  const asked = await request('POST', '/git/push', push);
+  assert.equal(asked.status, 428);
+  assert.match(asked.body.confirmation.message, /^Force push main to origin from .*, overwriting the remote branch history$/);
+  const otherBranch = await request('POST', '/git/push', { ...push, branch: 'feature', confirmToken: asked.body.confirmation.token });
+  assert.equal(otherBranch.status, 428, 'a token only confirms the arguments it was issued for');
+  const pushed = await request('POST', '/git/push', { ...push, confirmToken: asked.body.confirmation.token });
+  assert.equal(pushed.status, 200);
+  assert.equal(await run('git rev-parse main', `${tempRoot}/remote.git`), await run('git rev-parse main', repoPath));
+
+  // The amended main no longer contains feature's commit
+  const deleteAsked = await request('DELETE', '/git/branch/feature', { repoPath, force: true });
+  assert.equal(deleteAsked.status, 428);
+  assert.match(deleteAsked.body.confirmation.message, /^Delete branch feature in .*, including unmerged commits$/);
+  assert.equal(await run('git branch --list feature', repoPath), 'feature');
+  const deleted = await request('DELETE', '/git/branch/feature', { repoPath, force: true, confirmToken: deleteAsked.body.confirmation.token });
+  assert.equal(deleted.status, 200);
+  assert.equal(await run('git branch --list feature', repoPath), '');
+  assert.equal((await gitOperations.listOperations(repoPath)).operations[0].operation, 'delete-branch');
+
+  console.log('Refusing repositories outside the allowlist');
+  const outside = await request('POST', '/git/merge', { repoPath: '/tmp', sourceBranch: 'feature' });
+  assert.equal(outside.status, 403);
+
+  console.log('Requiring the repository on every route');
+  const noRepo = await request('POST', '/git/merge', { sourceBranch: 'feature' });
+  assert.equal(noRepo.status, 400);
+  assert.equal(noRepo.body.error, 'repoPath is required');
+  const noStats = await fetch(`${baseUrl}/git/stats`);
+  assert.equal(noStats.status, 400);
+  assert.equal((await request('POST', '/git/stash', { repoPath: ' ' })).status, 400);
+
+  console.log('Cloning only between allowed paths');
+  const elsewhere = await createTempRepo('api-endpoints-source');
+  await commitFile(elsewhere.repoPath, 'secret.txt', 'secret\n', 'Secret');
+  const clone = body => request('POST', '/git/clone', { branch: 'main', ...body });
+
+  assert.equal((await clone({ url: repoPath })).status, 400, 'targetPath is required');
+  const outsideTarget = await clone({ url: repoPath, targetPath: `${elsewhere.tempRoot}/copy` });
+  assert.equal(outsideTarget.status, 403);
+  assert.match(outsideTarget.body.error, /^Repository path not permitted: /);
+
+  for (const url of [elsewhere.repoPath, `file://${elsewhere.repoPath}`, path.relative(tempRoot, elsewhere.repoPath)]) {
+    const copied = await clone({ url, targetPath: `${tempRoot}/copy` });
+    assert.equal(copied.status, 403, url);
+    assert.equal(copied.body.error, `Repository path not permitted: ${elsewhere.repoPath}`);
+  }
+  const helper = await clone({ url: 'ext::sh -c touch% /tmp/pwned', targetPath: `${tempRoot}/copy` });
+  assert.equal(helper.status, 403);
+  assert.match(helper.body.error, /^Clone source not permitted/);
+  await assert.rejects(fs.stat(`${tempRoot}/copy`));
+
+  const cloned = await clone({ url: `file://${repoPath}`, targetPath: `${tempRoot}/copy` });
+  assert.equal(cloned.status, 200);
+  assert.equal(await run('git rev-parse main', `${tempRoot}/copy`), await run('git rev-parse main', repoPath));
+
+  httpServer.close();
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  await fs.rm(elsewhere.tempRoot, { recursive: true, force: true });
+  console.log('Git API endpoint checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Git API endpoint checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('blame');
+
+  await fs.writeFile(path.join(repoPath, 'app.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;\n', 'utf8');
+  await run('git add . && git commit -m "Add app"', repoPath, { GIT_AUTHOR_DATE: '2024-01-02T10:00:00+0700' });
+  const first = await run('git rev-parse HEAD', repoPath);
+
+  await fs.writeFile(path.join(repoPath, 'app.js'), 'const a = 1;\nconst b = 20;\nconst c = 3;\n', 'utf8');
+  await run('git commit -am "Change b"', repoPath, { GIT_AUTHOR_NAME: 'Second Author', GIT_AUTHOR_EMAIL: 'second@example.com' });
+  const second = await run('git rev-parse HEAD', repoPath);
+
+  // A formatting-only commit that should not take the blame
+  await fs.writeFile(path.join(repoPath, 'app.js'), 'const a  = 1;\nconst b = 20;\nconst c  = 3;\n', 'utf8');
+  await run('git commit -am "Reformat"', repoPath);
+  const reformat = await run('git rev-parse HEAD', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Blaming every line');
+  const blame = await gitMemoryService.blameFile(repoPath, 'app.js');
+  assertMatchesOutputSchema('blame_file', blame);
+  assert.equal(blame.commit, reformat);
+  assert.equal(blame.blob, await run('git rev-parse HEAD:app.js', repoPath));
+  assert.equal(blame.ignoreRevsFile, null);
+  assert.deepEqual(blame.lines.map(line => line.hash), [reformat, second, reformat]);
+  assert.equal(blame.lines[1].author.email, 'second@example.com');
+  assert.equal(blame.lines[1].summary, 'Change b');
+  assert.equal(blame.lines[1].content, 'const b = 20;');
+
+  console.log('Ignoring whitespace changes');
+  const ignoringWhitespace = await gitMemoryService.blameFile(repoPath, 'app.js', { ignoreWhitespace: true });
+  assert.deepEqual(ignoringWhitespace.lines.map(line => line.hash), [first, second, first]);
+  assert.equal(ignoringWhitespace.lines[0].date, '2024-01-02 10:00:00 +0700');
+  assert.equal(ignoringWhitespace.lines[0].timestamp, Date.parse('2024-01-02T03:00:00Z'));
+  assert.equal(ignoringWhitespace.lines[0].boundary, true);
+
+  console.log('Honoring .git-blame-ignore-revs');
+  await fs.writeFile(path.join(repoPath, '.git-blame-ignore-revs'), `# formatting\n${reformat}\n`, 'utf8');
+  const ignoringRevs = await gitMemoryService.blameFile(repoPath, 'app.js');
+  assert.equal(ignoringRevs.ignoreRevsFile, '.git-blame-ignore-revs');
+  assert.deepEqual(ignoringRevs.lines.map(line => line.hash), [first, second, first]);
+  const notIgnoring = await gitMemoryService.blameFile(repoPath, 'app.js', { ignoreRevsFile: false });
+  assert.equal(notIgnoring.lines[0].hash, reformat);
+
+  console.log('Blaming a line range at an older revision');
+  const range = await gitMemoryService.blameFile(repoPath, 'app.js', { ref: second, startLine: 2, endLine: 3 });
+  assert.equal(range.commit, second);
+  assert.equal(range.startLine, 2);
+  assert.equal(range.endLine, 3);
+  assert.deepEqual(range.lines.map(line => [line.line, line.originalLine, line.hash]), [[2, 2, second], [3, 3, first]]);
+
+  console.log('Grouping lines into hunks');
+  const hunks = await gitMemoryService.blameFile(repoPath, 'app.js', { ref: first, groupBy: 'hunk' });
+  assertMatchesOutputSchema('blame_file', hunks);
+  assert.equal(hunks.hunks.length, 1);
+  assert.deepEqual(
+    [hunks.hunks[0].startLine, hunks.hunks[0].endLine, hunks.hunks[0].lines.length],
+    [1, 3, 3]
+  );
+
+  console.log('Following lines across a rename');
+  await run('git mv app.js main.js && git commit -m "Rename app"', repoPath);
+  const renamed = await gitMemoryService.blameFile(repoPath, 'main.js', { ignoreWhitespace: true });
+  assert.equal(renamed.lines[1].hash, second);
+  assert.equal(renamed.lines[1].originalPath, 'app.js');
+
+  console.log('Not reusing the blame of an identical blob from another commit');
+  await fs.writeFile(path.join(repoPath, 'revert.txt'), 'base\none\n', 'utf8');
+  await run('git add revert.txt && git commit -m "one"', repoPath);
+  await fs.writeFile(path.join(repoPath, 'revert.txt'), 'base\ntwo\n', 'utf8');
+  await run('git commit -am "two"', repoPath);
+  await run('git revert --no-edit HEAD', repoPath);
+  const beforeRevert = await gitMemoryService.blameFile(repoPath, 'revert.txt', { ref: 'HEAD~2' });
+  assert.equal(beforeRevert.lines[1].summary, 'one');
+  const afterRevert = await gitMemoryService.blameFile(repoPath, 'revert.txt', { ref: 'HEAD' });
+  assert.equal(afterRevert.blob, beforeRevert.blob);
+  assert.equal(afterRevert.lines[1].summary, 'Revert "two"');
+
+  console.log('Rejecting bad input');
+  await assert.rejects(() => gitMemoryService.blameFile(repoPath, 'missing.js'), /File not found at HEAD: missing.js/);
+  await assert.rejects(() => gitMemoryService.blameFile(repoPath, '../outside.js'), /escapes repository/);
+  await assert.rejects(() => gitMemoryService.blameFile(repoPath, 'main.js', { startLine: 3, endLine: 1 }), /Invalid line range/);
+  await assert.rejects(() => gitMemoryService.blameFile(repoPath, 'main.js', { startLine: 2, endLine: 4 }), /Invalid line range: 2-4; main.js has 3 lines at HEAD/);
+  await assert.rejects(() => gitMemoryService.blameFile(repoPath, 'main.js', { startLine: 4 }), /Invalid line range: 4-3/);
+  assert.equal((await gitMemoryService.blameFile(repoPath, 'main.js', { startLine: 2, endLine: 3 })).endLine, 3);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Blame checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Blame checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { parseConventionalCommit, suggestNextVersion } from '../src/services/changelog.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function commit(repoPath, message) {
+  const messageFile = path.join(repoPath, '..', 'message.txt');
+  await fs.writeFile(messageFile, message, 'utf8');
+  await fs.appendFile(path.join(repoPath, 'CHANGES.md'), `${message.split('\n')[0]}\n`, 'utf8');
+  await run(`git add . && git commit -q -F "${messageFile}"`, repoPath);
+}
+
+async function main() {
+  console.log('Parsing Conventional Commit messages');
+  assert.deepEqual(parseConventionalCommit('feat(api)!: add paging (#12)'), {
+    conventional: true,
+    type: 'feat',
+    scope: 'api',
+    breaking: true,
+    breakingNotes: [],
+    description: 'add paging (#12)',
+    body: '',
+    issues: ['#12']
+  });
+  const footers = parseConventionalCommit(
+    'fix: handle empty input\n\nThe parser crashed: see the trace.\n\n' +
+    'BREAKING CHANGE: empty input now returns null\n  instead of throwing\nCloses #4, acme/tools#7\nRefs: #4'
+  );
+  assert.equal(footers.breaking, true);
+  assert.deepEqual(footers.breakingNotes, ['empty input now returns null\n  instead of throwing']);
+  assert.deepEqual(footers.issues, ['#4', 'acme/tools#7']);
+  // A "Token: value" line in the middle of the body is not a footer
+  assert.deepEqual(parseConventionalCommit('docs: x\n\nBREAKING CHANGE: no\n\nJust text').breakingNotes, []);
+
+  const plain = parseConventionalCommit('Update dependencies');
+  assert.equal(plain.conventional, false);
+  assert.equal(plain.type, 'other');
+  assert.equal(plain.description, 'Update dependencies');
+
+  console.log('Suggesting the next version');
+  const feat = { type: 'feat', breaking: false };
+  const fix = { type: 'fix', breaking: false };
+  const breaking = { type: 'refactor', breaking: true };
+  assert.deepEqual(suggestNextVersion('v1.2.3', [fix]), { bump: 'patch', version: 'v1.2.4' });
+  assert.deepEqual(suggestNextVersion('v1.2.3', [fix, feat]), { bump: 'minor', version: 'v1.3.0' });
+  assert.deepEqual(suggestNextVersion('1.2.3', [feat, breaking]), { bump: 'major', version: '2.0.0' });
+  assert.deepEqual(suggestNextVersion('0.4.1', [breaking]), { bump: 'minor', version: '0.5.0' });
+  assert.deepEqual(suggestNextVersion('v1.2.3', []), { bump: null, version: null });
+  assert.deepEqual(suggestNextVersion(null, [fix]), { bump: 'patch', version: null });
+
+  const { tempRoot, repoPath } = await createTempRepo('changelog');
+
+  await commit(repoPath, 'chore: initial commit');
+  await run('git tag v1.2.0', repoPath);
+  await commit(repoPath, 'feat(api): add paging\n\nCloses #12');
+  await commit(repoPath, 'fix(cli): quote paths');
+  await commit(repoPath, 'fix: handle empty input');
+  await commit(repoPath, 'feat(api)!: drop v1 endpoints\n\nBREAKING CHANGE: clients must call /v2');
+  await commit(repoPath, 'fix(security): escape HTML in titles');
+  await commit(repoPath, 'Update dependencies');
+  await run('git checkout -q -b side && git commit -q --allow-empty -m "docs: side note"', repoPath);
+  await run('git checkout -q main && git merge -q --no-ff side -m "Merge branch side"', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Grouping a range by type and scope');
+  const json = await gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0..HEAD', format: 'json' });
+  assertMatchesOutputSchema('generate_changelog', json);
+  assert.equal(json.from, 'v1.2.0');
+  assert.equal(json.fromCommit, await run('git rev-parse v1.2.0', repoPath));
+  assert.equal(json.total, 7);
+  assert.equal(json.truncated, false);
+  const exact = await gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0..HEAD', format: 'json', limit: 7 });
+  assert.equal(exact.truncated, false, 'a range that fits the limit exactly is complete');
+  const cut = await gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0..HEAD', format: 'json', limit: 6 });
+  assert.equal(cut.total, 6);
+  assert.equal(cut.truncated, true);
+  assert.equal(json.content, null);
+  assert.deepEqual(json.sections.map(section => section.title), ['Features', 'Bug Fixes', 'Documentation', 'Other Changes']);
+  const fixes = json.sections[1];
+  assert.deepEqual(fixes.scopes.map(group => group.scope), [null, 'cli', 'security']);
+  const features = json.sections[0].scopes[0];
+  assert.equal(features.scope, 'api');
+  assert.deepEqual(features.entries.map(entry => entry.description), ['drop v1 endpoints', 'add paging']);
+  assert.deepEqual(features.entries[1].issues, ['#12']);
+  assert.deepEqual(json.breakingChanges.map(change => change.notes), [['clients must call /v2']]);
+  assert.equal(json.currentVersion, 'v1.2.0');
+  assert.equal(json.bump, 'major');
+  assert.equal(json.nextVersion, 'v2.0.0');
+
+  console.log('Defaulting to everything since the latest tag');
+  await run('git tag v2.0.0', repoPath);
+  await commit(repoPath, 'fix(cli): exit code on error');
+  const sinceTag = await gitMemoryService.generateChangelog(repoPath);
+  assert.equal(sinceTag.from, 'v2.0.0');
+  assert.equal(sinceTag.total, 1);
+  assert.equal(sinceTag.nextVersion, 'v2.0.1');
+  assert.equal(sinceTag.content, '## Unreleased\n\n### Bug Fixes\n\n' +
+    `- **cli:** exit code on error (${sinceTag.sections[0].scopes[0].entries[0].shortHash})\n`);
+
+  console.log('Rendering Markdown and Keep a Changelog');
+  const markdown = await gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0..v2.0.0', version: '2.0.0' });
+  assert.match(markdown.content, /^## 2\.0\.0 - \d{4}-\d{2}-\d{2}\n\n### ⚠ BREAKING CHANGES\n\n- \*\*api:\*\* clients must call \/v2\n/);
+  assert.match(markdown.content, /### Features\n\n- \*\*api:\*\* drop v1 endpoints \([0-9a-f]{7}\)\n- \*\*api:\*\* add paging \(#12\) \([0-9a-f]{7}\)\n/);
+  assert.match(markdown.content, /### Other Changes\n\n- Update dependencies/);
+
+  const keep = await gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0..v2.0.0', format: 'keep-a-changelog' });
+  const headings = keep.content.split('\n').filter(line => line.startsWith('#'));
+  assert.deepEqual(headings, ['## [Unreleased]', '### Added', '### Fixed', '### Security']);
+  assert.match(keep.content, /- \*\*BREAKING\*\* \*\*api:\*\* drop v1 endpoints/);
+  assert.doesNotMatch(keep.content, /side note|Update dependencies/);
+
+  console.log('Starting a lone ref at the tag before it');
+  const lone = await gitMemoryService.generateChangelog(repoPath, { range: 'HEAD', format: 'json' });
+  assert.equal(lone.from, 'v2.0.0');
+  assert.equal(lone.to, 'HEAD');
+  assert.equal(lone.total, 1);
+  const release = await gitMemoryService.generateChangelog(repoPath, { range: 'v2.0.0', format: 'json' });
+  assert.equal(release.from, 'v1.2.0');
+  assert.equal(release.toCommit, await run('git rev-parse v2.0.0^{commit}', repoPath));
+  assert.equal(release.total, 7);
+  assert.equal(release.nextVersion, 'v2.0.0');
+
+  await run('git tag v2.0.1', repoPath);
+  const taggedHead = await gitMemoryService.generateChangelog(repoPath, { format: 'json' });
+  assert.equal(taggedHead.from, 'v2.0.0');
+  assert.equal(taggedHead.total, 1);
+  assert.equal(taggedHead.nextVersion, 'v2.0.1');
+
+  console.log('Handling history without tags and bad input');
+  // v1.2.0 is the root commit, so there is no earlier release to start from
+  const everything = await gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0' });
+  assert.equal(everything.from, null);
+  assert.equal(everything.currentVersion, null);
+  assert.equal(everything.nextVersion, null);
+  assert.equal(everything.total, 1);
+  await assert.rejects(() => gitMemoryService.generateChangelog(repoPath, { range: 'v1.2.0...HEAD' }), /Invalid range/);
+  await assert.rejects(() => gitMemoryService.generateChangelog(repoPath, { range: '--all..HEAD' }), /Invalid ref/);
+  await assert.rejects(() => gitMemoryService.generateChangelog(repoPath, { format: 'html' }), /Invalid format/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Changelog checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Changelog checks failed:', error);
+  process.exit(1);
+});
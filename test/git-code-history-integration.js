@@ -0,0 +1,68 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function commitFile(repoPath, file, content, message, date) {
+  await fs.writeFile(path.join(repoPath, file), content, 'utf8');
+  await run(`git add ${file} && git commit -m "${message}"`, repoPath, { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+  return run('git rev-parse HEAD', repoPath);
+}
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('code-history');
+  await fs.mkdir(path.join(repoPath, 'docs'), { recursive: true });
+
+  const introduced = await commitFile(repoPath, 'config.js', 'const retries = 3;\nconst timeout = 1000;\n', 'Add config', '2024-01-10T12:00:00Z');
+  const tuned = await commitFile(repoPath, 'config.js', 'const retries = 5;\nconst timeout = 1000;\n', 'Tune retries', '2024-02-10T12:00:00Z');
+  const documented = await commitFile(repoPath, 'docs/config.md', 'Set retries to 5.\n', 'Document retries', '2024-03-10T12:00:00Z');
+  const removed = await commitFile(repoPath, 'config.js', 'const timeout = 1000;\n', 'Drop retries', '2024-04-10T12:00:00Z');
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Finding when a string was introduced and removed');
+  const pickaxe = await gitMemoryService.searchCodeHistory(repoPath, 'const retries');
+  assertMatchesOutputSchema('search_code_history', pickaxe);
+  assert.deepEqual(pickaxe.commits.map(commit => [commit.hash, commit.change]), [[removed, 'removed'], [introduced, 'introduced']]);
+  const [hunk] = pickaxe.commits[0].matches[0].hunks;
+  assert.equal(pickaxe.commits[0].matches[0].path, 'config.js');
+  assert.deepEqual(hunk.lines.filter(line => line.match).map(line => [line.type, line.content]), [['deleted', 'const retries = 5;']]);
+
+  console.log('Finding commits whose changed lines match a regex');
+  const regex = await gitMemoryService.searchCodeHistory(repoPath, 'retries = [0-9]', { mode: 'regex' });
+  assert.deepEqual(regex.commits.map(commit => commit.hash), [removed, tuned, introduced]);
+  assert.ok(regex.commits.every(commit => commit.change === 'changed'));
+
+  console.log('Filtering by path and date');
+  const docsOnly = await gitMemoryService.searchCodeHistory(repoPath, 'retries', { paths: ['docs'] });
+  assert.deepEqual(docsOnly.commits.map(commit => commit.hash), [documented]);
+  const withoutDocs = await gitMemoryService.searchCodeHistory(repoPath, 'retries', { mode: 'regex', excludePaths: ['docs'] });
+  assert.ok(!withoutDocs.commits.some(commit => commit.hash === documented));
+  const inRange = await gitMemoryService.searchCodeHistory(repoPath, 'retries', {
+    mode: 'regex', since: '2024-02-01', until: '2024-03-31'
+  });
+  assert.deepEqual(inRange.commits.map(commit => commit.hash), [documented, tuned]);
+
+  console.log('Matching case-insensitively and capping snippets');
+  const caseless = await gitMemoryService.searchCodeHistory(repoPath, 'SET RETRIES', { ignoreCase: true });
+  assert.deepEqual(caseless.commits.map(commit => commit.hash), [documented]);
+  const capped = await gitMemoryService.searchCodeHistory(repoPath, 'retries', { mode: 'regex', maxSnippets: 0, limit: 1 });
+  assert.equal(capped.commits.length, 1);
+  assert.deepEqual(capped.commits[0].matches[0].hunks, []);
+  assert.equal(capped.commits[0].omittedSnippets, 1);
+
+  console.log('Rejecting bad input');
+  await assert.rejects(() => gitMemoryService.searchCodeHistory(repoPath, '(unclosed', { mode: 'regex' }), /Invalid regex/);
+  await assert.rejects(() => gitMemoryService.searchCodeHistory(repoPath, 'x', { mode: 'fuzzy' }), /Invalid mode/);
+  await assert.rejects(() => gitMemoryService.searchCodeHistory(repoPath, 'x', { since: '2024-01-01\n--all' }), /Invalid since/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Code history search checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Code history search checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitOperationsService } from '../src/services/git-operations.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  // The hook checks need git to run hooks, which CI sandboxes often switch off through GIT_CONFIG_* variables
+  for (const key of Object.keys(process.env).filter(name => /^GIT_CONFIG_(COUNT|KEY_\d+|VALUE_\d+)$/.test(name))) {
+    delete process.env[key];
+  }
+
+  const { tempRoot, repoPath } = await createTempRepo('commit', { name: 'Config User', email: 'config@example.com' });
+
+  const gitMemoryService = new GitMemoryService();
+  const gitOps = new GitOperationsService({ gitMemoryService });
+
+  console.log('Staging and unstaging before the first commit');
+  await fs.writeFile(path.join(repoPath, 'README.md'), '# Project\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'notes.txt'), 'notes\n', 'utf8');
+  let status = await gitOps.stagePaths(repoPath, { all: true });
+  assertMatchesOutputSchema('stage_paths', status);
+  assert.deepEqual(status.not_added, []);
+  status = await gitOps.unstagePaths(repoPath, { paths: ['notes.txt'] });
+  assertMatchesOutputSchema('unstage_paths', status);
+  assert.deepEqual(status.not_added, ['notes.txt']);
+
+  console.log('Committing with explicit identities and trailers');
+  // Warm the cache so the commit has to invalidate it
+  assert.equal((await gitMemoryService.getRecentCommits(repoPath).catch(() => ({ commits: [] }))).commits.length, 0);
+  const first = await gitOps.createCommit(repoPath, {
+    message: 'Add readme\n\nExplains the project.',
+    author: { name: 'Ada Author', email: 'ada@example.com' },
+    committer: { name: 'Cy Committer', email: 'cy@example.com' },
+    trailers: [{ token: 'Signed-off-by', value: 'Ada Author <ada@example.com>' }, { token: 'Refs', value: '#12' }]
+  });
+  assertMatchesOutputSchema('create_commit', first);
+  assert.equal(first.commit.message, 'Add readme');
+  assert.deepEqual(first.commit.author, { name: 'Ada Author', email: 'ada@example.com' });
+  assert.deepEqual(first.committer, { name: 'Cy Committer', email: 'cy@example.com' });
+  assert.deepEqual(first.parents, []);
+  assert.equal(first.branch, 'main');
+  assert.equal(first.commit.hash, await run('git rev-parse HEAD', repoPath));
+  assert.equal(
+    await run('git log -1 --format=%B', repoPath),
+    'Add readme\n\nExplains the project.\n\nSigned-off-by: Ada Author <ada@example.com>\nRefs: #12'
+  );
+  assert.deepEqual(await run('git ls-files', repoPath), 'README.md');
+
+  const recent = await gitMemoryService.getRecentCommits(repoPath);
+  assert.deepEqual(recent.commits[0], first.commit);
+
+  console.log('Staging single hunks from a patch');
+  await fs.writeFile(path.join(repoPath, 'list.txt'), Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n', 'utf8');
+  await gitOps.stagePaths(repoPath, { paths: ['list.txt'] });
+  const second = await gitOps.createCommit(repoPath, { message: 'Add list' });
+  assert.deepEqual(second.commit.author, { name: 'Config User', email: 'config@example.com' });
+  assert.deepEqual(second.parents, [first.commit.hash]);
+
+  await fs.writeFile(
+    path.join(repoPath, 'list.txt'),
+    (await fs.readFile(path.join(repoPath, 'list.txt'), 'utf8')).replace('line 2\n', 'line two\n').replace('line 19\n', 'line nineteen\n'),
+    'utf8'
+  );
+  const fullDiff = await run('git diff -U1 list.txt', repoPath);
+  const secondHunk = fullDiff.indexOf('\n@@', fullDiff.indexOf('@@') + 1);
+  const firstHunkOnly = `${fullDiff.slice(0, secondHunk)}\n`;
+  await gitOps.stagePaths(repoPath, { patch: firstHunkOnly });
+  assert.match(await run('git diff --cached', repoPath), /\+line two/);
+  assert.doesNotMatch(await run('git diff --cached', repoPath), /nineteen/);
+  assert.match(await run('git diff', repoPath), /\+line nineteen/);
+
+  await gitOps.unstagePaths(repoPath, { patch: firstHunkOnly });
+  assert.equal(await run('git diff --cached', repoPath), '');
+  await gitOps.stagePaths(repoPath, { patch: firstHunkOnly });
+  await assert.rejects(() => gitOps.stagePaths(repoPath, { patch: firstHunkOnly }), /Failed to stage changes: [^]*patch does not apply/);
+
+  console.log('Controlling hooks and empty commits');
+  const hook = path.join(repoPath, '.git', 'hooks', 'pre-commit');
+  await fs.writeFile(hook, '#!/bin/sh\necho "lint failed" >&2\nexit 1\n', { mode: 0o755 });
+  await assert.rejects(() => gitOps.createCommit(repoPath, { message: 'Rename line two' }), /Failed to create commit: lint failed/);
+  const unverified = await gitOps.createCommit(repoPath, { message: 'Rename line two', verify: false });
+  assert.equal(unverified.commit.message, 'Rename line two');
+  assert.match(await run('git show --stat --format= HEAD', repoPath), /list\.txt \| 2 \+-/);
+
+  await assert.rejects(() => gitOps.createCommit(repoPath, { message: 'Nothing', verify: false }), /Failed to create commit: [^]*(nothing added to commit|no changes added)/);
+  const empty = await gitOps.createCommit(repoPath, { message: 'Trigger CI', allowEmpty: true, verify: false });
+  assert.equal(empty.parents[0], unverified.commit.hash);
+
+  console.log('Dropping cached results of the repository after a commit');
+  assert.equal((await gitMemoryService.getRecentCommits(repoPath)).commits[0].hash, empty.commit.hash);
+  gitMemoryService.setCache(`recent_commits:${repoPath}-2:10`, 'sibling');
+  gitMemoryService.clearRepositoryCache(repoPath);
+  assert.equal(gitMemoryService.getCache(`recent_commits:${repoPath}-2:10`), 'sibling');
+
+  console.log('Rejecting bad input');
+  await assert.rejects(() => gitOps.createCommit(repoPath, { message: '  ' }), /Commit message is required/);
+  await assert.rejects(() => gitOps.createCommit(repoPath, {
+    message: 'x', allowEmpty: true, author: { name: 'Eve <evil@example.com>', email: 'e@example.com' }
+  }), /Invalid author/);
+  await assert.rejects(() => gitOps.createCommit(repoPath, {
+    message: 'x', allowEmpty: true, trailers: [{ token: 'Bad Token', value: 'x' }]
+  }), /Invalid trailer/);
+  await assert.rejects(() => gitOps.stagePaths(repoPath, {}), /Nothing to stage/);
+  await assert.rejects(() => gitOps.stagePaths(repoPath, { paths: ['../outside.txt'] }), /traversal|outside/i);
+
+  // An empty path must not widen to the whole tree
+  await fs.writeFile(path.join(repoPath, 'stray.txt'), 'stray\n', 'utf8');
+  await assert.rejects(() => gitOps.stagePaths(repoPath, { paths: [''] }), /Invalid path: ""; use "\." for the whole repository/);
+  await assert.rejects(() => gitOps.stagePaths(repoPath, { paths: ['notes.txt', '  '] }), /Invalid path: "  "/);
+  await assert.rejects(() => gitOps.unstagePaths(repoPath, { paths: [''] }), /Invalid path/);
+  const registry = new ToolRegistry();
+  registry.registerAll(createGitTools({ gitMemoryService, gitMemoryCLI: {}, gitOperations: gitOps }));
+  await assert.rejects(() => registry.execute('stage_paths', { repoPath, paths: [' '] }), /paths\[0\]: does not match pattern/);
+  assert.equal(await run('git diff --cached --name-only', repoPath), '');
+  assert.equal(await run('git rev-parse HEAD', repoPath), empty.commit.hash);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Commit tool checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Commit tool checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('compare');
+  await fs.writeFile(path.join(repoPath, 'README.md'), '# Project\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'old-name.txt'), 'rename me\nkeep\nthese\nlines\n', 'utf8');
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+  const initial = await run('git rev-parse HEAD', repoPath);
+
+  await run('git checkout -q -b feature', repoPath);
+  await fs.writeFile(path.join(repoPath, 'feature.js'), 'export const on = true;\nexport const off = false;\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]));
+  await run('git add . && git commit -m "Add feature"', repoPath);
+  await run('git mv old-name.txt new-name.txt && git commit -m "Rename notes"', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Comparing a branch that is only ahead');
+  const ahead = await gitMemoryService.compareRefs(repoPath, 'main', 'feature');
+  assertMatchesOutputSchema('compare_refs', ahead);
+  assert.equal(ahead.mergeBase, initial);
+  assert.equal(ahead.relation, 'ahead');
+  assert.equal(ahead.ahead, 2);
+  assert.equal(ahead.behind, 0);
+  assert.equal(ahead.canFastForward, true);
+  assert.deepEqual(ahead.aheadCommits.map(commit => commit.message), ['Rename notes', 'Add feature']);
+  assert.deepEqual(ahead.behindCommits, []);
+  assert.deepEqual(ahead.diffstat.files, [
+    { path: 'feature.js', oldPath: null, additions: 2, deletions: 0, binary: false },
+    { path: 'logo.png', oldPath: null, additions: 0, deletions: 0, binary: true },
+    { path: 'new-name.txt', oldPath: 'old-name.txt', additions: 0, deletions: 0, binary: false }
+  ]);
+  assert.equal(ahead.diffstat.filesChanged, 3);
+  assert.equal(ahead.diffstat.additions, 2);
+
+  console.log('Comparing diverged branches');
+  await run('git checkout -q main', repoPath);
+  await fs.appendFile(path.join(repoPath, 'README.md'), 'Main work\n', 'utf8');
+  await run('git commit -am "Update readme on main"', repoPath);
+
+  const diverged = await gitMemoryService.compareRefs(repoPath, 'main', 'feature', { limit: 1 });
+  assert.equal(diverged.relation, 'diverged');
+  assert.equal(diverged.ahead, 2);
+  assert.equal(diverged.behind, 1);
+  assert.equal(diverged.canFastForward, false);
+  // Counts stay exact when the commit lists are limited
+  assert.deepEqual(diverged.aheadCommits.map(commit => commit.message), ['Rename notes']);
+  assert.deepEqual(diverged.behindCommits.map(commit => commit.message), ['Update readme on main']);
+  // Only the branch's own changes, not the revert of what main gained since the merge base
+  assert.ok(!diverged.diffstat.files.some(file => file.path === 'README.md'));
+
+  const reverse = await gitMemoryService.compareRefs(repoPath, 'feature', 'main');
+  assert.equal(reverse.ahead, 1);
+  assert.equal(reverse.behind, 2);
+  assert.deepEqual(reverse.diffstat.files.map(file => file.path), ['README.md']);
+
+  console.log('Comparing HEAD, identical and unrelated refs');
+  const behind = await gitMemoryService.compareRefs(repoPath, 'main', 'main~1');
+  assert.equal(behind.relation, 'behind');
+  assert.equal(behind.canFastForward, false);
+  assert.equal(behind.head, 'main~1');
+
+  const identical = await gitMemoryService.compareRefs(repoPath, 'main');
+  assert.equal(identical.relation, 'identical');
+  assert.equal(identical.canFastForward, true);
+  assert.equal(identical.diffstat.filesChanged, 0);
+
+  await run('git checkout -q --orphan pages && git rm -rqf . && git commit -q --allow-empty -m "Pages root"', repoPath);
+  const unrelated = await gitMemoryService.compareRefs(repoPath, 'main', 'pages');
+  assertMatchesOutputSchema('compare_refs', unrelated);
+  assert.equal(unrelated.mergeBase, null);
+  assert.equal(unrelated.relation, 'unrelated');
+  assert.equal(unrelated.canFastForward, false);
+  assert.equal(unrelated.ahead, 1);
+  assert.equal(unrelated.behind, 2);
+
+  await assert.rejects(() => gitMemoryService.compareRefs(repoPath, '--all'), /Invalid ref/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Ref comparison checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Ref comparison checks failed:', error);
+  process.exit(1);
+});
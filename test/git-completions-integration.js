@@ -0,0 +1,59 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { CompleteResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+import { startServer, connectClient } from './helpers/mcp-server.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('completions');
+  await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  await commitFile(repoPath, 'docs/guide.md', '# Guide\n', 'Add guide');
+  await run('git branch feature-a && git branch feature-b && git branch fix', repoPath);
+
+  const { baseUrl } = await startServer({ allowedRepos: repoPath });
+  const client = await connectClient(baseUrl);
+  assert.ok(client.getServerCapabilities().completions);
+  const values = result => result.completion.values;
+
+  console.log('Completing prompt arguments');
+  const branches = await client.complete({
+    ref: { type: 'ref/prompt', name: 'review_branch' },
+    argument: { name: 'branch', value: 'feat' },
+    context: { arguments: { repoPath } }
+  });
+  assert.deepEqual(values(branches), ['feature-a', 'feature-b']);
+  assert.equal(branches.completion.hasMore, false);
+
+  const repos = await client.complete({
+    ref: { type: 'ref/prompt', name: 'write_commit_message' },
+    argument: { name: 'repoPath', value: '' }
+  });
+  assert.deepEqual(values(repos), [repoPath]);
+
+  console.log('Completing resource template variables');
+  const files = await client.complete({
+    ref: { type: 'ref/resource', uri: 'git://{repo}/blob/{ref}/{+path}' },
+    argument: { name: 'path', value: 'docs/' },
+    context: { arguments: { repo: 'project' } }
+  });
+  assert.deepEqual(values(files), ['docs/guide.md']);
+
+  console.log('Rejecting references MCP does not define');
+  await assert.rejects(
+    client.request({
+      method: 'completion/complete',
+      params: { ref: { type: 'ref/tool', name: 'git_rebase_cli' }, argument: { name: 'upstream', value: '' } }
+    }, CompleteResultSchema),
+    /"params",\s*"ref"\s*\],\s*"message": "Invalid input"/
+  );
+
+  await client.close();
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Completion checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Completion checks failed:', error);
+  process.exit(1);
+});
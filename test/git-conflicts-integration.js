@@ -0,0 +1,123 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitOperationsService } from '../src/services/git-operations.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('conflicts');
+  await fs.writeFile(path.join(repoPath, 'gone.txt'), 'keep?\n', 'utf8');
+  await commitFile(repoPath, 'app.txt', 'one\ntwo\nthree\n', 'Initial commit');
+
+  await run('git checkout -q -b feature', repoPath);
+  await run('git rm -q gone.txt', repoPath);
+  const clash = await commitFile(repoPath, 'app.txt', 'one\nTWO (feature)\nthree\n', 'Change two on feature');
+  await run('git checkout -q main', repoPath);
+  await fs.writeFile(path.join(repoPath, 'gone.txt'), 'kept on main\n', 'utf8');
+  await commitFile(repoPath, 'app.txt', 'one\nTWO (main)\nthree\n', 'Change two on main');
+
+  const gitMemoryService = new GitMemoryService();
+  const gitOps = new GitOperationsService({ gitMemoryService });
+  const registry = new ToolRegistry({ journal: gitOps.journal });
+  registry.registerAll(createGitTools({ gitMemoryService, gitMemoryCLI: {}, gitOperations: gitOps }));
+
+  console.log('Nothing to continue before anything stops');
+  await assert.rejects(
+    registry.execute('continue_operation', { repoPath }),
+    /No merge, rebase, cherry-pick or revert is in progress/
+  );
+  assert.deepEqual((await registry.execute('list_conflicts', { repoPath })).conflicts, []);
+
+  console.log('Listing the conflicts of a merge');
+  await assert.rejects(run('git merge -q feature', repoPath));
+  const listed = await registry.execute('list_conflicts', { repoPath });
+  assert.deepEqual(registry.validateOutput('list_conflicts', listed), []);
+  assert.equal(listed.operation, 'merge');
+  assert.deepEqual(listed.conflicts.map(conflict => [conflict.path, conflict.type]), [
+    ['app.txt', 'both-modified'],
+    ['gone.txt', 'deleted-by-them']
+  ]);
+  const [app, gone] = listed.conflicts;
+  assert.equal(app.base.content, 'one\ntwo\nthree\n');
+  assert.equal(app.ours.content, 'one\nTWO (main)\nthree\n');
+  assert.equal(app.theirs.content, 'one\nTWO (feature)\nthree\n');
+  assert.equal(app.hunks.length, 1);
+  assert.deepEqual([app.hunks[0].ours, app.hunks[0].theirs], [['TWO (main)'], ['TWO (feature)']]);
+  assert.equal(gone.theirs, null);
+  assert.equal(gone.ours.content, 'kept on main\n');
+
+  const small = await gitOps.listConflicts(repoPath, { maxBytes: 5 });
+  assert.equal(small.conflicts[0].ours.content, null);
+  assert.equal(small.conflicts[0].ours.size, 21);
+
+  console.log('Resolving with union and with the side that deleted the file');
+  const union = await registry.execute('resolve_conflict', { repoPath, path: 'app.txt', strategy: 'union' });
+  assert.deepEqual(registry.validateOutput('resolve_conflict', union), []);
+  assert.deepEqual(union.remaining, ['gone.txt']);
+  assert.equal(await fs.readFile(path.join(repoPath, 'app.txt'), 'utf8'), 'one\nTWO (main)\nTWO (feature)\nthree\n');
+  await assert.rejects(
+    registry.execute('continue_operation', { repoPath }),
+    /Cannot continue the merge: gone\.txt still conflicted/
+  );
+  await assert.rejects(gitOps.resolveConflict(repoPath, 'app.txt', { strategy: 'ours' }), /Not a conflicted path: app\.txt/);
+  await assert.rejects(gitOps.resolveConflict(repoPath, 'gone.txt'), /Give either a strategy/);
+
+  const deleted = await registry.execute('resolve_conflict', { repoPath, path: 'gone.txt', strategy: 'theirs' });
+  assert.equal(deleted.deleted, true);
+  assert.deepEqual(deleted.remaining, []);
+
+  const merged = await registry.execute('continue_operation', { repoPath });
+  assert.deepEqual(registry.validateOutput('continue_operation', merged), []);
+  assert.equal(merged.operation, 'merge');
+  assert.equal(merged.action, 'continue');
+  assert.equal(merged.inProgress, false);
+  assert.equal((await run('git rev-list --parents -n 1 HEAD', repoPath)).split(' ').length, 3);
+  assert.match(await run('git log -1 --format=%s', repoPath), /Merge branch 'feature'/);
+
+  console.log('Continuing a rebase after supplying the resolved content');
+  await run('git checkout -q -b topic feature~1', repoPath);
+  await commitFile(repoPath, 'app.txt', 'one\nTWO (topic)\nthree\n', 'Change two on topic');
+  await assert.rejects(run('git rebase -q feature', repoPath));
+  assert.equal((await gitOps.listConflicts(repoPath)).operation, 'rebase');
+  await gitOps.resolveConflict(repoPath, 'app.txt', { content: 'one\nTWO (rebased)\nthree\n' });
+  const rebased = await gitOps.continueOperation(repoPath);
+  assert.equal(rebased.operation, 'rebase');
+  assert.equal(rebased.inProgress, false);
+  assert.equal(await run('git symbolic-ref --short HEAD', repoPath), 'topic');
+  assert.equal(await run('git log -1 --format=%s', repoPath), 'Change two on topic');
+  assert.equal(await run('git rev-parse HEAD~1', repoPath), clash);
+
+  console.log('Aborting a cherry-pick and a revert');
+  const topicHead = await run('git rev-parse HEAD', repoPath);
+  const picked = await gitOps.cherryPick(repoPath, ['main~1']);
+  assert.equal(picked.inProgress, true);
+  await assert.rejects(
+    registry.execute('abort_operation', { repoPath }),
+    /Confirmation required for abort_operation: Abort the operation in progress/
+  );
+  assert.equal(await gitOps.inProgressOperation(repoPath), 'cherry-pick');
+  const aborted = await registry.execute('abort_operation', { repoPath }, { confirm: async () => true });
+  assert.deepEqual(registry.validateOutput('abort_operation', aborted), []);
+  assert.equal(aborted.operation, 'cherry-pick');
+  assert.equal(aborted.action, 'abort');
+  assert.equal(aborted.head, topicHead);
+  assert.equal(await run('git status --porcelain', repoPath), '');
+
+  const reverted = await gitOps.revert(repoPath, [clash]);
+  assert.equal(reverted.inProgress, true);
+  assert.equal(await gitOps.inProgressOperation(repoPath), 'revert');
+  assert.equal((await gitOps.abortOperation(repoPath)).operation, 'revert');
+  assert.equal(await gitOps.inProgressOperation(repoPath), null);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Conflict resolution checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Conflict resolution checks failed:', error);
+  process.exit(1);
+});
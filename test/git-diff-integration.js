@@ -0,0 +1,109 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { parseUnifiedDiff } from '../src/services/diff-parser.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  console.log('Parsing tricky patch text');
+  const [file] = parseUnifiedDiff([
+    'diff --git "a/caf\\303\\251 menu.txt" "b/caf\\303\\251 menu.txt"',
+    'index 1111111..2222222 100644',
+    '--- "a/caf\\303\\251 menu.txt"',
+    '+++ "b/caf\\303\\251 menu.txt"',
+    '@@ -1,2 +1,2 @@ Menu',
+    '--- removed comment',
+    '+++ added comment',
+    ' last',
+    '\\ No newline at end of file'
+  ].join('\n'));
+  assert.equal(file.oldPath, 'café menu.txt');
+  assert.equal(file.newPath, 'café menu.txt');
+  assert.equal(file.hunks[0].header, 'Menu');
+  assert.deepEqual(file.hunks[0].lines.map(line => [line.type, line.content]), [
+    ['deleted', '-- removed comment'],
+    ['added', '++ added comment'],
+    ['context', 'last']
+  ]);
+  assert.equal(file.hunks[0].lines[2].noNewline, true);
+  assert.deepEqual([file.additions, file.deletions], [1, 1]);
+
+  const [spaced] = parseUnifiedDiff('diff --git a/my file.txt b/my file.txt\ndeleted file mode 100644\n');
+  assert.deepEqual([spaced.oldPath, spaced.newPath, spaced.status], ['my file.txt', null, 'deleted']);
+
+  const { tempRoot, repoPath } = await createTempRepo('diff');
+
+  const longText = Array.from({ length: 20 }, (_, index) => `line ${index + 1} of a file that is renamed later`).join('\n');
+  await fs.writeFile(path.join(repoPath, 'notes.txt'), `${longText}\n`, 'utf8');
+  await fs.writeFile(path.join(repoPath, 'app.js'), 'const greeting = "hello";\nconst answer = 42;\n', 'utf8');
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+
+  await run('git mv notes.txt docs.txt', repoPath);
+  await fs.writeFile(path.join(repoPath, 'app.js'), 'const greeting = "hi";\nconst  answer = 42;\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]));
+  await run('git add . && git commit -m "Rename notes, tweak app, add logo"', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Diffing two revisions into files, hunks and lines');
+  const diff = await gitMemoryService.getStructuredDiff(repoPath, { from: 'HEAD~1', to: 'HEAD' });
+  const byPath = Object.fromEntries(diff.files.map(entry => [entry.newPath, entry]));
+  assert.equal(diff.truncated, false);
+  assert.deepEqual(diff.summary, { files: 3, additions: 2, deletions: 2 });
+  assert.deepEqual([byPath['docs.txt'].status, byPath['docs.txt'].oldPath, byPath['docs.txt'].similarity], ['renamed', 'notes.txt', 100]);
+  assert.deepEqual([byPath['logo.png'].status, byPath['logo.png'].binary], ['added', true]);
+  assert.deepEqual(byPath['app.js'].hunks[0].lines[0], { type: 'deleted', content: 'const greeting = "hello";', oldLine: 1, newLine: null });
+
+  console.log('Ignoring whitespace, filtering paths and trimming context');
+  const noWhitespace = await gitMemoryService.getStructuredDiff(repoPath, {
+    from: 'HEAD~1', to: 'HEAD', ignoreWhitespace: 'change', contextLines: 0, excludePaths: ['logo.png']
+  });
+  assert.deepEqual(noWhitespace.files.map(entry => entry.newPath).sort(), ['app.js', 'docs.txt']);
+  const appHunk = noWhitespace.files.find(entry => entry.newPath === 'app.js').hunks[0];
+  assert.deepEqual(appHunk.lines.map(line => line.type), ['deleted', 'added']);
+  const onlyApp = await gitMemoryService.getStructuredDiff(repoPath, { from: 'HEAD~1', to: 'HEAD', paths: ['app.js'] });
+  assert.deepEqual(onlyApp.files.map(entry => entry.newPath), ['app.js']);
+
+  console.log('Splitting changed lines into words');
+  const words = await gitMemoryService.getStructuredDiff(repoPath, { from: 'HEAD~1', to: 'HEAD', wordDiff: true, paths: ['app.js'] });
+  assertMatchesOutputSchema('get_diff', words);
+  const [greeting] = words.files[0].hunks[0].lines;
+  assert.equal(greeting.type, 'modified');
+  assert.equal(greeting.content, 'const greeting = "hi";');
+  assert.deepEqual(greeting.segments, [
+    { type: 'context', text: 'const greeting = ' },
+    { type: 'deleted', text: '"hello";' },
+    { type: 'added', text: '"hi";' }
+  ]);
+
+  console.log('Diffing a single commit, including the root commit');
+  const root = await gitMemoryService.getStructuredDiff(repoPath, { commit: 'HEAD~1' });
+  assert.deepEqual(root.files.map(entry => entry.status), ['added', 'added']);
+  const head = await gitMemoryService.getStructuredDiff(repoPath, { commit: 'HEAD' });
+  assert.equal(head.files.length, 3);
+
+  console.log('Truncating at maxBytes with explicit markers');
+  await fs.writeFile(path.join(repoPath, 'docs.txt'), longText.replace(/line/g, 'LINE'), 'utf8');
+  await fs.writeFile(path.join(repoPath, 'zzz.txt'), 'after the cut\n', 'utf8');
+  await run('git add zzz.txt', repoPath);
+  const cut = await gitMemoryService.getStructuredDiff(repoPath, { from: 'HEAD', maxBytes: 600 });
+  assertMatchesOutputSchema('get_diff', cut);
+  assert.equal(cut.truncated, true);
+  assert.equal(cut.truncation.maxBytes, 600);
+  assert.ok(cut.truncation.totalBytes > 600);
+  assert.equal(cut.truncation.omittedFiles, 1);
+  assert.equal(cut.summary.files, 2);
+  assert.deepEqual(cut.files.map(entry => entry.newPath), ['docs.txt']);
+  assert.equal(cut.files[0].truncated, true);
+  assert.equal(cut.files[0].hunks[0].truncated, true);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Diff checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Diff checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { InputValidator } from '../src/middleware/input-validator.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('file-content');
+  await fs.mkdir(path.join(repoPath, 'src', 'lib'), { recursive: true });
+
+  await fs.writeFile(path.join(repoPath, 'README.md'), 'héllo world\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'src', 'index.js'), 'export default 1;\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'src', 'lib', 'util.js'), 'export const x = 1;\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'image.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]));
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+  await fs.writeFile(path.join(repoPath, 'README.md'), 'changed\n', 'utf8');
+  await run('git commit -am "Change readme"', repoPath);
+
+  // Small limits so truncation is easy to trigger
+  const gitMemoryService = new GitMemoryService({
+    inputValidator: new InputValidator({ maxFileSize: 8, maxArrayLength: 4 })
+  });
+
+  console.log('Reading text and binary files at an older revision');
+  const readme = await gitMemoryService.readFileAtRevision(repoPath, 'README.md', { ref: 'HEAD~1' });
+  assert.equal(readme.blob, await run('git rev-parse HEAD~1:README.md', repoPath));
+  assert.equal(readme.size, 13);
+  assert.equal(readme.encoding, 'utf8');
+  assert.equal(readme.binary, false);
+  assert.equal(readme.content, 'héllo w');
+  assert.equal(readme.length, 8);
+  assert.equal(readme.truncated, true);
+  assert.equal(readme.nextOffset, 8);
+
+  const rest = await gitMemoryService.readFileAtRevision(repoPath, 'README.md', { ref: 'HEAD~1', offset: readme.nextOffset });
+  assert.equal(rest.content, 'orld\n');
+  assert.equal(rest.truncated, false);
+  assert.equal(rest.nextOffset, null);
+
+  const image = await gitMemoryService.readFileAtRevision(repoPath, 'image.png');
+  assertMatchesOutputSchema('read_file_at_revision', image);
+  assert.equal(image.binary, true);
+  assert.equal(image.encoding, 'base64');
+  assert.deepEqual(Buffer.from(image.content, 'base64'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]));
+
+  const range = await gitMemoryService.readFileAtRevision(repoPath, 'src/index.js', { offset: 7, length: 7, encoding: 'base64' });
+  assert.equal(Buffer.from(range.content, 'base64').toString(), 'default');
+  assert.equal(range.nextOffset, 14);
+
+  console.log('Listing trees flat and recursively');
+  const root = await gitMemoryService.listTree(repoPath);
+  assert.deepEqual(root.entries.map(entry => [entry.path, entry.type]), [
+    ['README.md', 'blob'], ['image.png', 'blob'], ['src', 'tree']
+  ]);
+  assert.equal(root.entries[0].size, 8);
+  assert.equal(root.entries[2].size, null);
+  assert.equal(root.tree, await run('git rev-parse HEAD^{tree}', repoPath));
+
+  const src = await gitMemoryService.listTree(repoPath, 'HEAD', 'src', { recursive: true });
+  assertMatchesOutputSchema('list_tree', src);
+  assert.deepEqual(src.entries.map(entry => entry.path), ['src/index.js', 'src/lib', 'src/lib/util.js']);
+  assert.equal(src.entries[2].name, 'util.js');
+  assert.equal(src.truncated, false);
+
+  const capped = await gitMemoryService.listTree(repoPath, 'HEAD', '', { recursive: true });
+  assert.equal(capped.entries.length, 4);
+  assert.equal(capped.total, 6);
+  assert.equal(capped.truncated, true);
+
+  console.log('Serving identical objects from cache');
+  assert.ok(gitMemoryService.getCache(`blob:${image.blob}`));
+  // Blobs over the size limit are read in windows and never held in the cache
+  assert.equal(gitMemoryService.getCache(`blob:${readme.blob}`), undefined);
+  assert.ok(gitMemoryService.getCache(`tree:${src.tree}:recursive`));
+
+  console.log('Streaming windows of blobs over the size limit');
+  const big = Buffer.alloc(1024 * 1024, 'abcdefghij');
+  big[100] = 0;
+  const bigPath = path.join(tempRoot, 'big.bin');
+  await fs.writeFile(bigPath, big);
+  const bigBlob = await run(`git hash-object -w ${bigPath}`, repoPath);
+  await run(`git update-index --add --cacheinfo 100644,${bigBlob},big.bin && git commit -q -m "Add big file"`, repoPath);
+
+  const window = await gitMemoryService.readFileAtRevision(repoPath, 'big.bin', { offset: 500003, length: 4 });
+  assert.equal(window.size, big.length);
+  assert.equal(window.binary, true, 'binary detection looks at the start of the blob, not the window');
+  assert.deepEqual(Buffer.from(window.content, 'base64'), big.subarray(500003, 500007));
+  assert.equal(window.nextOffset, 500007);
+  assert.equal(gitMemoryService.getCache(`blob:${bigBlob}`), undefined);
+  const tail = await gitMemoryService.readFileAtRevision(repoPath, 'big.bin', { offset: big.length - 3 });
+  assert.deepEqual(Buffer.from(tail.content, 'base64'), big.subarray(big.length - 3));
+  assert.equal(tail.nextOffset, null);
+
+  console.log('Reading whole files for resources through the same path');
+  const whole = await gitMemoryService.getFileAtRevision(repoPath, 'HEAD', 'README.md');
+  assert.equal(whole.content, 'changed\n');
+  assert.equal(whole.size, 8);
+  await assert.rejects(
+    gitMemoryService.getFileAtRevision(repoPath, 'HEAD', 'big.bin'),
+    /File too large to read whole: big\.bin is 1048576 bytes/
+  );
+  await assert.rejects(gitMemoryService.getFileAtRevision(repoPath, 'HEAD', '../secret'), /Path traversal attempt detected/);
+
+  console.log('Rejecting traversal and missing paths');
+  await assert.rejects(() => gitMemoryService.readFileAtRevision(repoPath, 'src/../../secret'), /Path traversal attempt detected/);
+  await assert.rejects(() => gitMemoryService.readFileAtRevision(repoPath, '%2e%2e/secret'), /Path traversal attempt detected/);
+  await assert.rejects(() => gitMemoryService.listTree(repoPath, 'HEAD', '../'), /Path traversal attempt detected/);
+  await assert.rejects(() => gitMemoryService.readFileAtRevision(repoPath, 'missing.txt'), /File not found at HEAD: missing.txt/);
+  await assert.rejects(() => gitMemoryService.readFileAtRevision(repoPath, 'src'), /Not a file at HEAD: src is a tree/);
+  await assert.rejects(() => gitMemoryService.listTree(repoPath, 'HEAD', 'README.md'), /Directory not found/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('File content checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('File content checks failed:', error);
+  process.exit(1);
+});
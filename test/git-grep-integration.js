@@ -0,0 +1,76 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('grep');
+  await fs.mkdir(path.join(repoPath, 'src'), { recursive: true });
+
+  await fs.writeFile(path.join(repoPath, 'src', 'app.js'), 'import x from "y";\n\nfunction start() {\n  return Start();\n}\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'notes file.md'), 'start here\nthen restart\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'data.bin'), Buffer.from([0, 1, 2, 0x73, 0x74, 0x61, 0x72, 0x74]));
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+  const initial = await run('git rev-parse HEAD', repoPath);
+
+  await fs.writeFile(path.join(repoPath, 'src', 'app.js'), 'function begin() {}\n', 'utf8');
+  await run('git commit -am "Rename start"', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Searching an older revision with columns and context');
+  const old = await gitMemoryService.grepRepo(repoPath, 'start', { ref: 'HEAD~1', contextLines: 1 });
+  assertMatchesOutputSchema('grep_repo', old);
+  assert.equal(old.commit, initial);
+  assert.deepEqual(old.matches.map(match => [match.path, match.line, match.column]), [
+    ['notes file.md', 1, 1],
+    ['notes file.md', 2, 8],
+    ['src/app.js', 3, 10]
+  ]);
+  assert.deepEqual(old.matches[2].before, [{ line: 2, text: '' }]);
+  assert.deepEqual(old.matches[2].after, [{ line: 4, text: '  return Start();' }]);
+  assert.deepEqual(old.matches[0].after, [{ line: 2, text: 'then restart' }]);
+  assert.equal(old.files, 2);
+
+  console.log('Searching the working tree');
+  await fs.writeFile(path.join(repoPath, 'notes file.md'), 'nothing to see\n', 'utf8');
+  const current = await gitMemoryService.grepRepo(repoPath, 'start');
+  assert.equal(current.ref, null);
+  assert.deepEqual(current.matches, []);
+  assert.equal(current.nextOffset, null);
+
+  console.log('Applying case, word, fixed-string and path options');
+  const caseless = await gitMemoryService.grepRepo(repoPath, 'START', { ref: initial, ignoreCase: true, wholeWord: true, paths: ['src'] });
+  assert.deepEqual(caseless.matches.map(match => match.line), [3, 4]);
+  const literal = await gitMemoryService.grepRepo(repoPath, 'Start()', { ref: initial, fixedStrings: true });
+  assert.deepEqual(literal.matches.map(match => match.text), ['  return Start();']);
+  const excluded = await gitMemoryService.grepRepo(repoPath, 'start', { ref: initial, excludePaths: ['src'] });
+  assert.deepEqual([...new Set(excluded.matches.map(match => match.path))], ['notes file.md']);
+
+  console.log('Paging and capping matches');
+  const firstPage = await gitMemoryService.grepRepo(repoPath, 'start', { ref: initial, ignoreCase: true, pageSize: 2 });
+  assert.equal(firstPage.total, 4);
+  assert.equal(firstPage.matches.length, 2);
+  assert.equal(firstPage.nextOffset, 2);
+  const secondPage = await gitMemoryService.grepRepo(repoPath, 'start', { ref: initial, ignoreCase: true, pageSize: 2, offset: 2 });
+  assert.deepEqual(secondPage.matches.map(match => match.line), [3, 4]);
+  assert.equal(secondPage.nextOffset, null);
+  const capped = await gitMemoryService.grepRepo(repoPath, 'start', { ref: initial, ignoreCase: true, maxMatches: 3 });
+  assert.equal(capped.total, 3);
+  assert.equal(capped.truncated, true);
+
+  console.log('Rejecting bad input');
+  await assert.rejects(() => gitMemoryService.grepRepo(repoPath, 'x', { ref: '--all' }), /Invalid ref/);
+  await assert.rejects(() => gitMemoryService.grepRepo(repoPath, 'x', { paths: ['../outside'] }), /escapes repository/);
+  await assert.rejects(() => gitMemoryService.grepRepo(repoPath, '('), /git grep failed/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Grep checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Grep checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitOperationsService } from '../src/services/git-operations.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { run, createTempRepo, commitFile, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('history-ops');
+  const initial = await commitFile(repoPath, 'app.txt', 'one\ntwo\nthree\n', 'Initial commit');
+
+  await run('git checkout -q -b feature', repoPath);
+  const fix = await commitFile(repoPath, 'fix.txt', 'fixed\n', 'Fix bug');
+  const extra = await commitFile(repoPath, 'extra.txt', 'extra\n', 'Add extra');
+  const clash = await commitFile(repoPath, 'app.txt', 'one\nTWO (feature)\nthree\n', 'Change two on feature');
+  await run('git checkout -q main', repoPath);
+  await commitFile(repoPath, 'app.txt', 'one\nTWO (main)\nthree\n', 'Change two on main');
+
+  const gitMemoryService = new GitMemoryService();
+  const gitOps = new GitOperationsService({ gitMemoryService });
+
+  console.log('Cherry-picking a commit');
+  const mainHead = await run('git rev-parse HEAD', repoPath);
+  const picked = await gitOps.cherryPick(repoPath, [fix]);
+  assertMatchesOutputSchema('cherry_pick', picked);
+  assert.equal(picked.operation, 'cherry-pick');
+  assert.equal(picked.branch, 'main');
+  assert.equal(picked.previousHead, mainHead);
+  assert.deepEqual(picked.commits.map(commit => commit.message), ['Fix bug']);
+  assert.deepEqual(picked.droppedCommits, []);
+  assert.equal(picked.inProgress, false);
+
+  console.log('Stopping on conflicts instead of failing');
+  const conflicted = await gitOps.cherryPick(repoPath, [clash]);
+  assertMatchesOutputSchema('cherry_pick', conflicted);
+  assert.equal(conflicted.inProgress, true);
+  assert.deepEqual(conflicted.conflicts, ['app.txt']);
+  assert.equal(conflicted.head, conflicted.previousHead);
+  await run('git cherry-pick --abort', repoPath);
+
+  console.log('Cherry-picking without committing and with a mainline parent');
+  const staged = await gitOps.cherryPick(repoPath, [extra], { noCommit: true });
+  assert.deepEqual(staged.commits, []);
+  assert.equal(await run('git diff --cached --name-only', repoPath), 'extra.txt');
+  await run('git reset -q --hard', repoPath);
+
+  await run(`git checkout -q -b topic ${initial}`, repoPath);
+  await commitFile(repoPath, 'topic.txt', 'topic\n', 'Topic work');
+  await run(`git checkout -q -b merged ${fix} && git merge -q --no-ff topic -m "Merge topic"`, repoPath);
+  const merge = await run('git rev-parse HEAD', repoPath);
+  await run('git checkout -q main', repoPath);
+  await assert.rejects(() => gitOps.cherryPick(repoPath, [merge]), /Failed to cherry-pick: .*is a merge/);
+  await assert.rejects(() => gitOps.cherryPick(repoPath, [merge], { mainline: 0 }), /Invalid mainline parent/);
+  const mainline = await gitOps.cherryPick(repoPath, [merge], { mainline: 1, noCommit: true });
+  assert.equal(mainline.inProgress, false);
+  await run('git reset -q --hard', repoPath);
+
+  console.log('Reverting a commit');
+  const reverted = await gitOps.revert(repoPath, [picked.head]);
+  assertMatchesOutputSchema('revert', reverted);
+  assert.deepEqual(reverted.commits.map(commit => commit.message), [`Revert "Fix bug"`]);
+  await assert.rejects(() => fs.access(path.join(repoPath, 'fix.txt')));
+
+  console.log('Refusing a hard reset over uncommitted changes');
+  await fs.appendFile(path.join(repoPath, 'app.txt'), 'local edit\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'untracked.txt'), 'keep me\n', 'utf8');
+  await assert.rejects(
+    () => gitOps.reset(repoPath, initial, { mode: 'hard' }),
+    /Refusing to discard uncommitted changes in .*\(app\.txt\); pass force/
+  );
+  assert.match(await fs.readFile(path.join(repoPath, 'app.txt'), 'utf8'), /local edit/);
+
+  console.log('Soft, mixed and forced hard resets');
+  const before = await run('git rev-parse HEAD', repoPath);
+  const soft = await gitOps.reset(repoPath, 'HEAD~1', { mode: 'soft' });
+  assert.equal(soft.mode, 'soft');
+  assert.deepEqual(soft.droppedCommits.map(commit => commit.message), [`Revert "Fix bug"`]);
+  assert.match(await run('git diff --cached --name-only', repoPath), /fix\.txt/);
+
+  const hard = await gitOps.reset(repoPath, initial, { mode: 'hard', force: true });
+  assertMatchesOutputSchema('reset', hard);
+  assert.equal(hard.head, initial);
+  assert.equal(await fs.readFile(path.join(repoPath, 'app.txt'), 'utf8'), 'one\ntwo\nthree\n');
+  assert.equal(await fs.readFile(path.join(repoPath, 'untracked.txt'), 'utf8'), 'keep me\n');
+
+  console.log('Keeping the previous HEADs in the undo journal');
+  const entries = await gitOps.journal.list(repoPath);
+  assert.deepEqual(entries.slice(0, 3).map(entry => [entry.operation, entry.status]), [
+    ['reset', 'completed'],
+    ['reset', 'completed'],
+    ['revert', 'completed']
+  ]);
+  assert.equal(entries[1].before.head, before);
+  assert.equal(entries[0].before.head, soft.head);
+  assert.equal(entries[0].after.head, initial);
+  assert.equal(entries[0].details.mode, 'hard');
+  assert.ok(entries.some(entry => entry.operation === 'cherry-pick' && entry.status === 'conflicted'));
+  assert.ok(entries.some(entry => entry.status === 'failed' && /is a merge/.test(entry.error)));
+  // The anchor ref keeps the dropped commits reachable for git gc
+  assert.equal(await run(`git rev-parse ${entries[1].before.ref}`, repoPath), before);
+
+  console.log('Requiring confirmation for hard resets through the registry');
+  const registry = new ToolRegistry();
+  registry.registerAll(createGitTools({ gitMemoryService, gitMemoryCLI: {}, gitOperations: gitOps }));
+  await assert.rejects(
+    registry.execute('reset', { repoPath, target: 'feature', mode: 'hard' }),
+    /Confirmation required for reset/
+  );
+  const mixed = await registry.execute('reset', { repoPath, target: 'feature' });
+  assert.equal(mixed.mode, 'mixed');
+  assert.equal(mixed.head, await run('git rev-parse feature', repoPath));
+  assert.deepEqual(registry.validateOutput('reset', mixed), []);
+  await assert.rejects(registry.execute('reset', { repoPath, mode: 'keep' }), /must be one of/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('History operation checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('History operation checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('line-history');
+
+  const source = (foo, bar) => `function foo() {\n  return ${foo};\n}\n\nfunction bar() {\n  return ${bar};\n}\n`;
+  await fs.writeFile(path.join(repoPath, 'math.js'), source(1, 2), 'utf8');
+  await run('git add . && git commit -m "Add math"', repoPath);
+  const added = await run('git rev-parse HEAD', repoPath);
+
+  await fs.writeFile(path.join(repoPath, 'math.js'), source(10, 2), 'utf8');
+  await run('git commit -am "Change foo"', repoPath);
+  const changedFoo = await run('git rev-parse HEAD', repoPath);
+
+  await fs.writeFile(path.join(repoPath, 'math.js'), source(10, 20), 'utf8');
+  await run('git commit -am "Change bar"', repoPath);
+  const changedBar = await run('git rev-parse HEAD', repoPath);
+
+  await run('git mv math.js lib.js && git commit -m "Rename math"', repoPath);
+  await fs.writeFile(path.join(repoPath, 'lib.js'), source(100, 20), 'utf8');
+  await run('git commit -am "Change foo again"', repoPath);
+  const changedFooAgain = await run('git rev-parse HEAD', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Tracing a function across a rename');
+  const foo = await gitMemoryService.getLineHistory(repoPath, 'lib.js', { funcname: 'foo' });
+  assertMatchesOutputSchema('get_line_history', foo);
+  assert.deepEqual(foo.range, { funcname: 'foo' });
+  assert.deepEqual(foo.commits.map(commit => commit.hash), [changedFooAgain, changedFoo, added]);
+  assert.deepEqual(foo.commits.map(commit => commit.path), ['lib.js', 'math.js', 'math.js']);
+  assert.equal(foo.commits[2].oldPath, null);
+
+  const [hunk] = foo.commits[0].hunks;
+  assert.equal(hunk.newStart, 1);
+  assert.deepEqual(
+    hunk.lines.filter(line => line.type !== 'context').map(line => [line.type, line.content]),
+    [['deleted', '  return 10;'], ['added', '  return 100;']]
+  );
+  assert.deepEqual(hunk.lines[2], { type: 'added', content: '  return 100;', oldLine: null, newLine: 2 });
+
+  console.log('Tracing a line range');
+  const bar = await gitMemoryService.getLineHistory(repoPath, 'lib.js', { startLine: 6, endLine: 6 });
+  assert.deepEqual(bar.range, { startLine: 6, endLine: 6 });
+  assert.deepEqual(bar.commits.map(commit => commit.hash), [changedBar, added]);
+  assert.equal(bar.commits[0].message, 'Change bar');
+  assert.equal(bar.commits[0].author.email, 'test@example.com');
+
+  console.log('Limiting and starting from an older revision');
+  const limited = await gitMemoryService.getLineHistory(repoPath, 'math.js', { funcname: 'foo', ref: changedBar, limit: 1 });
+  assert.equal(limited.commit, changedBar);
+  assert.deepEqual(limited.commits.map(commit => commit.hash), [changedFoo]);
+  assert.equal(limited.truncated, true);
+  const exact = await gitMemoryService.getLineHistory(repoPath, 'lib.js', { funcname: 'foo', limit: 3 });
+  assert.equal(exact.total, 3);
+  assert.equal(exact.truncated, false, 'a history that fits the limit exactly is complete');
+  assert.equal(foo.truncated, false);
+
+  console.log('Rejecting bad ranges');
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, 'lib.js', {}), /Invalid line range/);
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, 'lib.js', { startLine: 4, endLine: 2 }), /Invalid line range/);
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, 'lib.js', { startLine: 6, endLine: 8 }), /Invalid line range: 6-8; lib.js has 7 lines at HEAD/);
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, 'lib.js', { startLine: 8 }), /Invalid line range: 8-8/);
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, 'math.js', { startLine: 1 }), /File not found at HEAD: math.js/);
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, 'lib.js', { funcname: 'a:b' }), /funcname/);
+  await assert.rejects(() => gitMemoryService.getLineHistory(repoPath, '../lib.js', { startLine: 1 }), /escapes repository/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Line history checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Line history checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { parseConflictMarkers } from '../src/services/merge-conflicts.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+// Everything a preview must leave alone
+async function snapshot(repoPath) {
+  return {
+    head: await run('git rev-parse HEAD', repoPath),
+    branch: await run('git symbolic-ref HEAD', repoPath),
+    status: await run('git status --porcelain=v2 --untracked-files=all', repoPath),
+    index: await run('git ls-files --stage', repoPath),
+    readme: await fs.readFile(path.join(repoPath, 'notes.txt'), 'utf8')
+  };
+}
+
+async function main() {
+  console.log('Parsing conflict markers');
+  assert.deepEqual(parseConflictMarkers('a\n<<<<<<< ours\nx\n||||||| base\nb\n=======\ny\nz\n>>>>>>> theirs\nc\n'), [{
+    startLine: 2,
+    endLine: 9,
+    oursLabel: 'ours',
+    theirsLabel: 'theirs',
+    ours: ['x'],
+    base: ['b'],
+    theirs: ['y', 'z']
+  }]);
+  assert.deepEqual(parseConflictMarkers('no conflicts\n======='), []);
+
+  const { tempRoot, repoPath } = await createTempRepo('merge-preview');
+  await fs.writeFile(path.join(repoPath, 'notes.txt'), 'one\ntwo\nthree\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'config.json'), '{}\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'other.txt'), 'untouched\n', 'utf8');
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+
+  await run('git checkout -q -b feature', repoPath);
+  await fs.writeFile(path.join(repoPath, 'notes.txt'), 'one\nTWO from feature\nthree\n', 'utf8');
+  await run('git rm -q config.json && git commit -qam "Feature edits"', repoPath);
+  await run('git checkout -q -b docs main', repoPath);
+  await fs.writeFile(path.join(repoPath, 'docs.md'), '# Docs\n', 'utf8');
+  await run('git add . && git commit -qm "Add docs"', repoPath);
+
+  await run('git checkout -q main', repoPath);
+  await fs.writeFile(path.join(repoPath, 'notes.txt'), 'one\nTWO from main\nthree\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'config.json'), '{ "debug": true }\n', 'utf8');
+  await run('git commit -qam "Main edits"', repoPath);
+  // Uncommitted work in the checkout must survive the preview
+  await fs.appendFile(path.join(repoPath, 'other.txt'), 'local edit\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'scratch.txt'), 'untracked\n', 'utf8');
+  const before = await snapshot(repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+
+  console.log('Previewing a clean merge');
+  const clean = await gitMemoryService.previewMerge(repoPath, 'docs');
+  assertMatchesOutputSchema('preview_merge', clean);
+  assert.equal(clean.clean, true);
+  assert.equal(clean.target, 'HEAD');
+  assert.deepEqual(clean.conflicts, []);
+  assert.match(await run(`git ls-tree --name-only ${clean.tree}`, repoPath), /docs\.md/);
+
+  console.log('Previewing a conflicting merge');
+  const conflicted = await gitMemoryService.previewMerge(repoPath, 'feature', 'main', { includeHunks: true });
+  assertMatchesOutputSchema('preview_merge', conflicted);
+  assert.equal(conflicted.clean, false);
+  assert.deepEqual(conflicted.conflicts.map(conflict => [conflict.path, conflict.types]), [
+    ['config.json', ['modify/delete']],
+    ['notes.txt', ['contents']]
+  ]);
+
+  const [deleted, content] = conflicted.conflicts;
+  assert.equal(deleted.stages.theirs, null);
+  assert.ok(deleted.stages.ours.object);
+  assert.match(deleted.messages[0], /config\.json deleted in .* and modified in/);
+  assert.deepEqual(deleted.hunks, []);
+
+  assert.deepEqual(content.hunks.map(hunk => [hunk.startLine, hunk.endLine, hunk.ours, hunk.theirs]), [
+    [2, 6, ['TWO from main'], ['TWO from feature']]
+  ]);
+  assert.ok(conflicted.messages.some(message => message.type === 'Auto-merging' && message.paths[0] === 'notes.txt'));
+
+  const withoutHunks = await gitMemoryService.previewMerge(repoPath, 'feature', 'main');
+  assert.equal(withoutHunks.conflicts[1].hunks, undefined);
+
+  console.log('Leaving HEAD, the index and the working tree alone');
+  assert.deepEqual(await snapshot(repoPath), before);
+  assert.equal(await run('git rev-parse -q --verify MERGE_HEAD || true', repoPath), '');
+
+  console.log('Handling unrelated histories and bad refs');
+  await run('git checkout -q --orphan pages && git rm -rqf . && git commit -q --allow-empty -m "Pages root"', repoPath);
+  await run('git checkout -q main', repoPath);
+  await assert.rejects(() => gitMemoryService.previewMerge(repoPath, 'pages', 'main'), /unrelated histories/);
+  const unrelated = await gitMemoryService.previewMerge(repoPath, 'pages', 'main', { allowUnrelatedHistories: true });
+  assert.equal(unrelated.clean, true);
+  await assert.rejects(() => gitMemoryService.previewMerge(repoPath, 'missing-branch'));
+  await assert.rejects(() => gitMemoryService.previewMerge(repoPath, '--all'), /Invalid ref/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Merge preview checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Merge preview checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryCLIService } from '../src/services/git-memory-cli.js';
+import { GitOperationsService } from '../src/services/git-operations.js';
+import { GitProgressParser, parseGitProgressLine } from '../src/services/git-progress.js';
+import { run, createTempDir, initRepo } from './helpers/git-repo.js';
+
+async function main() {
+  console.log('Parsing git progress lines');
+  assert.deepEqual(parseGitProgressLine('remote: Counting objects:  50% (2/4)'), {
+    phase: 'Counting objects',
+    percent: 50,
+    processed: 2,
+    total: 4,
+    message: 'remote: Counting objects:  50% (2/4)'
+  });
+  assert.equal(parseGitProgressLine('Rebasing (3/4)').percent, 75);
+  assert.equal(parseGitProgressLine('From github.com:example/repo'), null);
+
+  const events = [];
+  const parser = new GitProgressParser(event => events.push(event));
+  parser.write('Receiving objects:  10% (1/10)\rReceiving obj');
+  parser.write('ects:  60% (6/10)\rReceiving objects: 100% (10/10), done.\n');
+  parser.write('Resolving deltas:   0% (0/2)\rResolving deltas: 100% (2/2), done.\n');
+  assert.deepEqual(events.map(event => event.progress), [10, 60, 100, 200]);
+
+  const tempRoot = await createTempDir('progress');
+  const originPath = path.join(tempRoot, 'origin');
+
+  await initRepo(originPath);
+  for (let i = 0; i < 5; i++) {
+    await fs.writeFile(path.join(originPath, `file-${i}.txt`), `content ${i}\n`, 'utf8');
+    await run(`git add . && git commit -m "Commit ${i}"`, originPath);
+  }
+
+  const gitOps = new GitOperationsService();
+
+  console.log('Cloning with progress');
+  const cloneEvents = [];
+  const clonePath = path.join(tempRoot, 'clone');
+  await gitOps.cloneRepository(`file://${originPath}`, clonePath, {
+    onProgress: event => cloneEvents.push(event)
+  });
+  assert.ok(cloneEvents.length > 0, 'expected clone progress events');
+  for (let i = 1; i < cloneEvents.length; i++) {
+    assert.ok(cloneEvents[i].progress > cloneEvents[i - 1].progress, 'progress must increase');
+  }
+
+  console.log('Cancelling a clone');
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    gitOps.cloneRepository(`file://${originPath}`, path.join(tempRoot, 'cancelled'), { signal: controller.signal }),
+    /Failed to clone repository/
+  );
+
+  console.log('Passing --progress only to a CLI that offers it');
+  // Stand-in for a Python CLI without --progress: prints the arguments it was given
+  const plainCli = path.join(tempRoot, 'plain-cli.sh');
+  await fs.writeFile(
+    plainCli,
+    '#!/bin/sh\ncase "$*" in *--help*) echo "usage: cli fetch [-h] [--all] [--prune] [--tags] [remote]"; exit 0;; esac\necho "$@"\n',
+    { mode: 0o755 }
+  );
+  const plain = new GitMemoryCLIService({ pythonBin: plainCli, allowedRepos: originPath });
+  assert.equal((await plain.fetch(originPath, { onProgress: () => {} })).stdout, '-m git_memory.cli fetch origin');
+  assert.equal(await plain.supportsOption('fetch', '--prune'), true);
+  assert.equal(await new GitMemoryCLIService({ pythonBin: path.join(tempRoot, 'missing') }).supportsOption('fetch', '--progress'), false);
+
+  // Stand-in for the Python CLI: reports progress, then hangs until killed
+  const fakeCli = path.join(tempRoot, 'fake-cli.sh');
+  await fs.writeFile(
+    fakeCli,
+    '#!/bin/sh\ncase "$*" in *--help*) echo "usage: cli fetch [-h] [--progress] [remote]"; exit 0;; esac\n' +
+    'case "$*" in *--progress*) ;; *) exit 2;; esac\nprintf "Receiving objects:  50%% (1/2)\\r" >&2\nsleep 30\n',
+    { mode: 0o755 }
+  );
+  const cli = new GitMemoryCLIService({ pythonBin: fakeCli, allowedRepos: originPath });
+
+  console.log('Cancelling the CLI');
+  const cliEvents = [];
+  const cliController = new AbortController();
+  const started = Date.now();
+  const pending = cli.fetch(originPath, {
+    signal: cliController.signal,
+    onProgress: event => {
+      cliEvents.push(event);
+      cliController.abort();
+    }
+  });
+  await assert.rejects(pending, /cancelled/);
+  assert.equal(cliEvents.length, 1);
+  assert.equal(cliEvents[0].phase, 'Receiving objects');
+  assert.ok(Date.now() - started < 10000, 'CLI should stop well before the sleep ends');
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Progress checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Progress checks failed:', error);
+  process.exit(1);
+});
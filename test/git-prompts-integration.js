@@ -0,0 +1,100 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+import { startServer, connectClient } from './helpers/mcp-server.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('prompts');
+  await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  await run('git tag v1.0.0', repoPath);
+  await run('git checkout -q -b feature', repoPath);
+  await commitFile(repoPath, 'app.txt', 'one\ntwo\n', 'Add line two');
+  await fs.writeFile(path.join(repoPath, 'staged.txt'), 'staged\n', 'utf8');
+  await run('git add staged.txt', repoPath);
+
+  const { server, baseUrl } = await startServer({ allowedRepos: tempRoot });
+  const client = await connectClient(baseUrl);
+  const text = result => result.messages.map(message => message.content.text || '').join('\n');
+
+  console.log('Listing the prompt templates');
+  const { prompts } = await client.listPrompts();
+  assert.deepEqual(prompts.map(prompt => prompt.name), [
+    'review_branch', 'write_commit_message', 'summarize_changes_since', 'explain_file_history'
+  ]);
+
+  console.log('Rendering prompts from their arguments');
+  const review = await client.getPrompt({ name: 'review_branch', arguments: { repoPath, base: 'main' } });
+  assert.match(text(review), /Add line two/);
+  assert.match(text(review), /\+two/);
+
+  const commitMessage = await client.getPrompt({ name: 'write_commit_message', arguments: { repoPath } });
+  assert.match(text(commitMessage), /staged\.txt/);
+
+  const since = await client.getPrompt({ name: 'summarize_changes_since', arguments: { repoPath, ref: 'v1.0.0' } });
+  assert.match(text(since), /Add line two/);
+  assert.doesNotMatch(text(since), /Initial commit/);
+
+  const history = await client.getPrompt({ name: 'explain_file_history', arguments: { repoPath, filePath: 'app.txt', limit: '1' } });
+  assert.match(text(history), /Add line two/);
+  assert.doesNotMatch(text(history), /Initial commit/);
+  const attached = history.messages.find(message => message.content.type === 'resource');
+  assert.equal(attached.content.resource.text, 'one\ntwo\n');
+
+  console.log('Telling an empty history apart from a failure');
+  const unknown = await client.getPrompt({ name: 'explain_file_history', arguments: { repoPath, filePath: 'missing.txt' } });
+  assert.match(text(unknown), /## Commits touching missing\.txt \(0\)\n\(no commits\)/);
+  assert.equal(unknown.messages.length, 1);
+
+  await run('git commit -q -m "Add staged"', repoPath);
+  await commitFile(repoPath, 'gone.txt', 'gone\n', 'Add gone');
+  await run('git rm -q gone.txt && git commit -q -m "Remove gone"', repoPath);
+  const deleted = await client.getPrompt({ name: 'explain_file_history', arguments: { repoPath, filePath: 'gone.txt' } });
+  assert.match(text(deleted), /Remove gone/);
+  assert.equal(deleted.messages.length, 1, 'a deleted file has no current contents to attach');
+
+  const emptyRepo = path.join(tempRoot, 'empty');
+  await run(`git init -q ${emptyRepo}`, tempRoot);
+  const fresh = await client.getPrompt({ name: 'explain_file_history', arguments: { repoPath: emptyRepo, filePath: 'app.txt' } });
+  assert.match(text(fresh), /\(no commits\)/);
+
+  await assert.rejects(
+    client.getPrompt({ name: 'explain_file_history', arguments: { repoPath, filePath: '../../etc/passwd' } }),
+    /Path traversal attempt detected/
+  );
+  // A blob missing from the object store is a broken repository, not a file without history
+  const appBlob = await run('git rev-parse HEAD:app.txt', repoPath);
+  await fs.rm(path.join(repoPath, '.git', 'objects', appBlob.slice(0, 2), appBlob.slice(2)));
+  await assert.rejects(
+    client.getPrompt({ name: 'explain_file_history', arguments: { repoPath, filePath: 'app.txt' } }),
+    new RegExp(appBlob)
+  );
+
+  await assert.rejects(
+    client.getPrompt({ name: 'summarize_changes_since', arguments: { repoPath } }),
+    /Missing required argument for summarize_changes_since: ref/
+  );
+
+  console.log('Refusing repositories outside the allowlist');
+  for (const name of ['review_branch', 'write_commit_message']) {
+    await assert.rejects(
+      client.getPrompt({ name, arguments: { repoPath: '/etc' } }),
+      /Repository path not permitted: \/etc/
+    );
+  }
+  await assert.rejects(
+    client.getPrompt({ name: 'explain_file_history', arguments: { repoPath: `${repoPath}/../..`, filePath: 'app.txt' } }),
+    new RegExp(`Repository path not permitted: ${path.dirname(tempRoot)}$`)
+  );
+  await assert.rejects(server.gitPrompts.getPrompt('write_commit_message', {}), /Missing required argument/);
+
+  await client.close();
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Prompt checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Prompt checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitOperationsService } from '../src/services/git-operations.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+
+async function subjects(repoPath, range) {
+  return (await run(`git log --format=%s ${range}`, repoPath)).split('\n');
+}
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('rebase-plan');
+  const base = await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+
+  await run('git checkout -q -b feature', repoPath);
+  const addA = await commitFile(repoPath, 'a.txt', 'a\n', 'Add a');
+  const fixA = await commitFile(repoPath, 'a.txt', 'a (fixed)\n', 'Fix a');
+  const addC = await commitFile(repoPath, 'c.txt', 'c\n', 'Add c');
+  const addD = await commitFile(repoPath, 'd.txt', 'd\n', 'Add d');
+  const addE = await commitFile(repoPath, 'e.txt', 'e\n', 'Add e');
+  const addF = await commitFile(repoPath, 'f.txt', 'f\n', 'Add f');
+
+  const gitMemoryService = new GitMemoryService();
+  const gitOps = new GitOperationsService({ gitMemoryService });
+  const registry = new ToolRegistry({ journal: gitOps.journal });
+  registry.registerAll(createGitTools({ gitMemoryService, gitMemoryCLI: {}, gitOperations: gitOps }));
+
+  console.log('Rejecting plans that do not cover the commits being rebased');
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'pick', commit: addA }]),
+    /The plan must list every commit being rebased \(use drop to remove one\); missing/
+  );
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'fixup', commit: fixA }]),
+    /Step 1: fixup needs an earlier commit to fold into/
+  );
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'pick', commit: addA }, { action: 'pick', commit: addA }]),
+    /Step 2: [0-9a-f]+ is listed more than once/
+  );
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'pick', commit: addA, message: 'New' }]),
+    /Step 1: only reword and squash take a message/
+  );
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'reword', commit: addA }]),
+    /Step 1: reword needs a message/
+  );
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, addA, [{ action: 'pick', commit: addA }]),
+    /Step 1: [0-9a-f]+ is not one of the commits being rebased/
+  );
+
+  console.log('Running a plan with every kind of step');
+  const steps = [
+    { action: 'pick', commit: addA },
+    { action: 'fixup', commit: fixA },
+    { action: 'reword', commit: addC, message: 'Add c (reworded)\n\nWith a body.' },
+    { action: 'drop', commit: addD },
+    { action: 'pick', commit: addE },
+    { action: 'squash', commit: addF, message: 'Add e and f' }
+  ];
+  await assert.rejects(
+    registry.execute('rebase_interactive', { repoPath, upstream: base, steps }),
+    /Confirmation required for rebase_interactive: Rewrite the commits after [0-9a-f]+ in .* with a 6-step rebase plan/
+  );
+  const progress = [];
+  const rebased = await registry.execute('rebase_interactive', { repoPath, upstream: base, steps }, {
+    confirm: async () => true,
+    onProgress: event => progress.push(event)
+  });
+  assert.deepEqual(registry.validateOutput('rebase_interactive', rebased), []);
+  assert.equal(rebased.operation, 'rebase');
+  assert.equal(rebased.branch, 'feature');
+  assert.equal(rebased.inProgress, false);
+  assert.equal(rebased.stopMessage, null);
+  assert.deepEqual(rebased.steps.map(step => step.status), Array(6).fill('done'));
+  assert.deepEqual(rebased.commits.map(commit => commit.message), ['Add e and f', 'Add c (reworded)', 'Add a']);
+  assert.equal(await run('git symbolic-ref --short HEAD', repoPath), 'feature');
+  assert.deepEqual(await subjects(repoPath, `${base}..HEAD`), ['Add e and f', 'Add c (reworded)', 'Add a']);
+  assert.equal(await run('git log -1 --format=%b HEAD~1', repoPath), 'With a body.');
+  assert.equal(await fs.readFile(path.join(repoPath, 'a.txt'), 'utf8'), 'a (fixed)\n');
+  await assert.rejects(fs.access(path.join(repoPath, 'd.txt')));
+
+  assert.ok(progress.length > 0, 'each step should report progress');
+  assert.ok(progress.some(event => event.message === `Rebasing (3/6): reword ${addC.substring(0, 7)}`));
+  assert.ok(progress.every((event, index) => index === 0 || event.progress > progress[index - 1].progress));
+  await assert.rejects(fs.access(path.join(repoPath, '.git', 'git-memory', 'rebase')));
+
+  console.log('Stopping on a conflict and finishing the plan after continue');
+  await run(`git checkout -q -b reorder ${base}`, repoPath);
+  const addG = await commitFile(repoPath, 'g.txt', 'g\n', 'Add g');
+  const changeP = await commitFile(repoPath, 'app.txt', 'p\n', 'Change to p');
+  const changeQ = await commitFile(repoPath, 'app.txt', 'q\n', 'Change to q');
+  const stopped = await gitOps.rebaseInteractive(repoPath, base, [
+    { action: 'drop', commit: changeP },
+    { action: 'pick', commit: changeQ },
+    { action: 'reword', commit: addG, message: 'Add g (reworded)' }
+  ]);
+  assert.equal(stopped.inProgress, true);
+  assert.deepEqual(stopped.conflicts, ['app.txt']);
+  assert.match(stopped.stopMessage, /^error: could not apply [0-9a-f]+\.\.\. Change to q/);
+  assert.deepEqual(stopped.steps.map(step => step.status), ['done', 'stopped', 'pending']);
+  assert.equal((await gitOps.journal.list(repoPath))[0].status, 'conflicted');
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'pick', commit: changeQ }]),
+    /A rebase is already in progress/
+  );
+
+  await gitOps.resolveConflict(repoPath, 'app.txt', { content: 'q\n' });
+  const continued = await gitOps.continueOperation(repoPath);
+  assert.equal(continued.inProgress, false);
+  assert.deepEqual(await subjects(repoPath, `${base}..reorder`), ['Add g (reworded)', 'Change to q']);
+  await assert.rejects(fs.access(path.join(repoPath, '.git', 'git-memory', 'rebase')));
+
+  console.log('Refusing exec steps');
+  const [first, second] = (await run(`git rev-list --reverse ${base}..HEAD`, repoPath)).split('\n');
+  await assert.rejects(
+    registry.execute('rebase_interactive', { repoPath, upstream: base, steps: [{ action: 'exec', command: 'touch pwned' }] }, { confirm: async () => true }),
+    /steps\[0\]\.action: must be one of/
+  );
+  await assert.rejects(
+    gitOps.rebaseInteractive(repoPath, base, [{ action: 'pick', commit: first }, { action: 'exec', command: 'touch pwned' }]),
+    /Step 2: invalid action exec/
+  );
+  await assert.rejects(fs.access(path.join(repoPath, 'pwned')));
+
+  console.log('Stopping on a conflict again and aborting');
+  const changeR = await commitFile(repoPath, 'app.txt', 'r\n', 'Change to r');
+  const before = await run('git rev-parse HEAD', repoPath);
+  const failing = await gitOps.rebaseInteractive(repoPath, base, [
+    { action: 'drop', commit: first },
+    { action: 'pick', commit: changeR },
+    { action: 'pick', commit: second }
+  ]);
+  assert.equal(failing.inProgress, true);
+  assert.deepEqual(failing.conflicts, ['app.txt']);
+  assert.deepEqual(failing.steps.map(step => step.status), ['done', 'stopped', 'pending']);
+  assert.equal((await gitOps.abortOperation(repoPath)).operation, 'rebase');
+  assert.equal(await run('git rev-parse HEAD', repoPath), before);
+  assert.equal(await run('git symbolic-ref --short HEAD', repoPath), 'reorder');
+  await assert.rejects(fs.access(path.join(repoPath, '.git', 'git-memory', 'rebase')));
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Interactive rebase checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Interactive rebase checks failed:', error);
+  process.exit(1);
+});
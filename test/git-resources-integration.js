@@ -0,0 +1,57 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitResourcesService } from '../src/services/git-resources.js';
+import { run, createTempRepo } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('resources');
+  await fs.mkdir(path.join(repoPath, 'src'), { recursive: true });
+
+  await fs.writeFile(path.join(repoPath, 'README.md'), '# First\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'src', 'index.js'), 'export default 1;\n', 'utf8');
+  await run('git add .', repoPath);
+  await run('git commit -m "Initial commit"', repoPath);
+
+  await fs.writeFile(path.join(repoPath, 'README.md'), '# Second\n', 'utf8');
+  await run('git commit -am "Update readme"', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+  const resources = new GitResourcesService({ gitMemoryService, allowedRepos: [repoPath] });
+
+  console.log('Listing resources');
+  const { resources: listed } = resources.listResources();
+  assert.equal(listed.length, 2);
+  assert.ok(listed[0].uri.startsWith('git://project/tree/HEAD/'));
+
+  console.log('Reading file at previous revision');
+  const blob = await resources.readResource('git://project/blob/HEAD~1/README.md');
+  assert.equal(blob.contents[0].text, '# First\n');
+  assert.equal(blob.contents[0].mimeType, 'text/markdown');
+
+  console.log('Reading directory tree');
+  const tree = await resources.readResource('git://project/tree/main/src');
+  const treeData = JSON.parse(tree.contents[0].text);
+  assert.deepEqual(treeData.entries.map(entry => entry.path), ['src/index.js']);
+  assert.equal(treeData.entries[0].uri, 'git://project/blob/main/src/index.js');
+
+  console.log('Reading commit');
+  const commit = await resources.readResource('git://project/commit/HEAD');
+  const commitData = JSON.parse(commit.contents[0].text);
+  assert.equal(commitData.message, 'Update readme');
+  assert.deepEqual(commitData.files, [{ status: 'M', path: 'README.md' }]);
+
+  console.log('Rejecting repositories outside the allowlist');
+  await assert.rejects(() => resources.readResource(`git://${encodeURIComponent(tempRoot)}/commit/HEAD`), /not permitted/);
+  await assert.rejects(() => resources.readResource('git://project/blob/HEAD/../secret'), /Path traversal attempt detected: \.\.\/secret/);
+
+  gitMemoryService.cleanup();
+  console.log('Resource checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Resource checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { run, createTempRepo, assertMatchesOutputSchema } from './helpers/git-repo.js';
+
+async function commit(repoPath, message, date) {
+  await fs.appendFile(path.join(repoPath, 'CHANGES.md'), `${message}\n`, 'utf8');
+  await run(`git add . && git commit -m "${message}"`, repoPath, { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+  return run('git rev-parse HEAD', repoPath);
+}
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('tags');
+
+  const gitMemoryService = new GitMemoryService();
+
+  const initial = await commit(repoPath, 'Initial commit', '2024-01-01T10:00:00Z');
+
+  console.log('Describing a repository without tags');
+  const untagged = await gitMemoryService.describeCommit(repoPath);
+  assertMatchesOutputSchema('describe_commit', untagged);
+  assert.equal(untagged.commit, initial);
+  assert.equal(untagged.describe, null);
+  assert.equal(untagged.tag, null);
+  assert.equal(untagged.distance, null);
+  assert.equal(untagged.containedIn, null);
+  assert.equal(untagged.firstTag, null);
+  assert.deepEqual((await gitMemoryService.listTags(repoPath)).tags, []);
+
+  const dateEnv = (date) => ({ GIT_COMMITTER_DATE: date });
+  await run('git tag -a v1.9.0 -m "Release 1.9.0" -m "Highlights"', repoPath, dateEnv('2024-01-02T10:00:00Z'));
+  const fix = await commit(repoPath, 'Fix crash', '2024-01-03T10:00:00Z');
+  await commit(repoPath, 'Add feature', '2024-01-04T10:00:00Z');
+  await run('git tag -a v1.10.0 -m "Release 1.10.0"', repoPath, dateEnv('2024-01-05T10:00:00Z'));
+  await commit(repoPath, 'Polish', '2024-01-06T10:00:00Z');
+  // Lightweight tags take the date of the commit they point at
+  await run('git tag nightly', repoPath);
+  await run('git tag v2.0.0-rc1', repoPath);
+
+  console.log('Listing tags by version and by date');
+  const byVersion = await gitMemoryService.listTags(repoPath, { pattern: 'v*' });
+  assertMatchesOutputSchema('list_tags', byVersion);
+  assert.deepEqual(byVersion.tags.map(tag => tag.name), ['v2.0.0-rc1', 'v1.10.0', 'v1.9.0']);
+  assert.equal(byVersion.total, 3);
+
+  const [, release, first] = byVersion.tags;
+  assert.equal(release.annotated, true);
+  assert.notEqual(release.sha, release.commit);
+  assert.equal(release.commit, await run('git rev-parse v1.10.0^{commit}', repoPath));
+  assert.equal(first.message, 'Release 1.9.0');
+  assert.equal(first.body, 'Highlights');
+  assert.deepEqual(first.tagger, { name: 'Automation Test', email: 'test@example.com' });
+  assert.equal(first.timestamp, Date.parse('2024-01-02T10:00:00Z'));
+
+  const lightweight = byVersion.tags[0];
+  assert.equal(lightweight.annotated, false);
+  assert.equal(lightweight.sha, lightweight.commit);
+  assert.equal(lightweight.tagger, null);
+  assert.equal(lightweight.message, null);
+
+  const byDate = await gitMemoryService.listTags(repoPath, { sort: 'date', order: 'asc', pattern: 'v1.*' });
+  assert.deepEqual(byDate.tags.map(tag => tag.name), ['v1.9.0', 'v1.10.0']);
+  const limited = await gitMemoryService.listTags(repoPath, { limit: 1 });
+  assert.deepEqual(limited.tags.map(tag => tag.name), ['v2.0.0-rc1']);
+
+  console.log('Finding the tags that contain a commit');
+  const containing = await gitMemoryService.listTags(repoPath, { contains: 'HEAD~2', order: 'asc' });
+  assert.equal(containing.contains, fix);
+  assert.deepEqual(containing.tags.map(tag => tag.name), ['nightly', 'v1.10.0', 'v2.0.0-rc1']);
+
+  console.log('Describing a fix relative to its releases');
+  const described = await gitMemoryService.describeCommit(repoPath, fix, { match: 'v*' });
+  assertMatchesOutputSchema('describe_commit', described);
+  assert.equal(described.tag, 'v1.9.0');
+  assert.equal(described.distance, 1);
+  assert.match(described.describe, /^v1\.9\.0-1-g[0-9a-f]{7}$/);
+  assert.match(described.containedIn, /^v1\.10\.0~1$/);
+  assert.equal(described.firstTag.name, 'v1.10.0');
+  assert.equal(described.firstTag.annotated, true);
+
+  const exact = await gitMemoryService.describeCommit(repoPath, 'v1.10.0', { match: 'v1.*' });
+  assert.equal(exact.describe, 'v1.10.0');
+  assert.equal(exact.distance, 0);
+
+  const head = await gitMemoryService.describeCommit(repoPath, 'HEAD', { match: 'v1.*' });
+  assert.equal(head.tag, 'v1.10.0');
+  assert.equal(head.distance, 1);
+  assert.equal(head.containedIn, null);
+  assert.equal(head.firstTag, null);
+
+  console.log('Rejecting unsafe arguments');
+  await assert.rejects(() => gitMemoryService.listTags(repoPath, { pattern: '--points-at=HEAD' }), /Invalid ref/);
+  await assert.rejects(() => gitMemoryService.listTags(repoPath, { sort: 'refname' }), /Invalid sort/);
+  await assert.rejects(() => gitMemoryService.describeCommit(repoPath, 'HEAD', { match: '-x' }), /Invalid ref/);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Tag checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Tag checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitOperationsService } from '../src/services/git-operations.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { UndoJournal } from '../src/services/undo-journal.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('undo');
+  const initial = await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  await run('git checkout -q -b feature', repoPath);
+  const fix = await commitFile(repoPath, 'fix.txt', 'fixed\n', 'Fix bug');
+  await run('git checkout -q main', repoPath);
+
+  const gitMemoryService = new GitMemoryService();
+  const gitOps = new GitOperationsService({ gitMemoryService });
+  const registry = new ToolRegistry({ journal: gitOps.journal });
+  registry.registerAll(createGitTools({ gitMemoryService, gitMemoryCLI: {}, gitOperations: gitOps }));
+  const context = { confirm: async () => true, caller: { transport: 'test', sessionId: 'session-1' } };
+
+  console.log('Journaling a tool call with the refs, stash and caller');
+  await fs.writeFile(path.join(repoPath, 'staged.txt'), 'staged\n', 'utf8');
+  await run('git add staged.txt', repoPath);
+  await fs.writeFile(path.join(repoPath, 'app.txt'), 'one\nunstaged\n', 'utf8');
+  const committed = await registry.execute('create_commit', { repoPath, message: 'Add staged file' }, context);
+
+  const { operations } = await registry.execute('list_operations', { repoPath });
+  assert.equal(operations.length, 1);
+  const [commitEntry] = operations;
+  assert.equal(commitEntry.operation, 'create_commit');
+  assert.equal(commitEntry.tool, 'create_commit');
+  assert.equal(commitEntry.status, 'completed');
+  assert.deepEqual(commitEntry.caller, context.caller);
+  assert.equal(commitEntry.details.message, 'Add staged file');
+  assert.equal(commitEntry.before.head, initial);
+  assert.equal(commitEntry.before.branch, 'refs/heads/main');
+  assert.equal(commitEntry.before.refs['refs/heads/feature'], fix);
+  assert.equal(commitEntry.after.refs['refs/heads/main'], committed.commit.hash);
+  assert.ok(commitEntry.before.stash, 'the staged and unstaged changes should be stashed');
+  assert.equal(await run(`git show ${commitEntry.before.stash}:staged.txt`, repoPath), 'staged');
+  assert.deepEqual(registry.validateOutput('list_operations', { operations, total: 1, timestamp: Date.now() }), []);
+
+  console.log('Undoing it restores the branch, the index and the working tree');
+  await assert.rejects(
+    registry.execute('undo_operation', { repoPath, operationId: commitEntry.id }),
+    /Confirmation required for undo_operation/
+  );
+  const undone = await registry.execute('undo_operation', { repoPath, operationId: commitEntry.id }, context);
+  assert.deepEqual(registry.validateOutput('undo_operation', undone), []);
+  assert.equal(undone.head, initial);
+  assert.equal(undone.branch, 'main');
+  assert.equal(undone.stashApplied, true);
+  assert.deepEqual(undone.restoredRefs, [{ ref: 'refs/heads/main', from: committed.commit.hash, to: initial }]);
+  assert.equal(undone.operation.status, 'undone');
+  assert.equal(undone.operation.undoneBy, undone.journalId);
+  assert.equal(await run('git rev-parse HEAD', repoPath), initial);
+  assert.equal(await run('git diff --cached --name-only', repoPath), 'staged.txt');
+  assert.equal(await run('git diff --name-only', repoPath), 'app.txt');
+
+  await assert.rejects(
+    gitOps.undoOperation(repoPath, commitEntry.id),
+    /Cannot undo operation [^]*already undone/
+  );
+  await assert.rejects(gitOps.undoOperation(repoPath, 'zzz-000000'), /Unknown operation: zzz-000000/);
+
+  console.log('Service calls inside a tool call join its entry');
+  await run('git add -A && git commit -q -m "Work in progress"', repoPath);
+  const base = await run('git rev-parse HEAD', repoPath);
+  const picked = await registry.execute('cherry_pick', { repoPath, commits: [fix] }, context);
+  const afterPick = await gitOps.listOperations(repoPath);
+  const pickEntry = afterPick.operations[0];
+  assert.equal(pickEntry.id, picked.journalId);
+  assert.equal(pickEntry.operation, 'cherry-pick');
+  assert.equal(pickEntry.tool, 'cherry_pick');
+  assert.deepEqual(pickEntry.details.commits, [fix]);
+  assert.equal(pickEntry.before.stash, null);
+  // create_commit, the undo and the cherry-pick: one entry each
+  assert.equal(afterPick.total, 3);
+
+  console.log('Refusing when refs moved or changes would be lost');
+  await commitFile(repoPath, 'later.txt', 'later\n', 'Later work');
+  await assert.rejects(
+    gitOps.undoOperation(repoPath, pickEntry.id),
+    /Cannot undo operation [^]*refs\/heads\/main has moved since/
+  );
+  await run('git reset -q --hard HEAD~1', repoPath);
+  await fs.writeFile(path.join(repoPath, 'fix.txt'), 'edited\n', 'utf8');
+  await assert.rejects(
+    gitOps.undoOperation(repoPath, pickEntry.id),
+    /uncommitted changes \(fix\.txt\) would be lost; commit or stash them, or pass force/
+  );
+  const forced = await gitOps.undoOperation(repoPath, pickEntry.id, { force: true });
+  assert.equal(forced.head, base);
+  await assert.rejects(fs.access(path.join(repoPath, 'fix.txt')));
+
+  console.log('Undoing an undo');
+  const redone = await gitOps.undoOperation(repoPath, forced.journalId, { force: true });
+  assert.equal(await run('git rev-parse HEAD', repoPath), picked.head);
+  assert.equal(redone.head, picked.head);
+  assert.equal(await fs.readFile(path.join(repoPath, 'fix.txt'), 'utf8'), 'edited\n');
+
+  console.log('Deleting refs an operation created');
+  await run('git checkout -q -- fix.txt', repoPath);
+  const created = await gitOps.journal.track(repoPath, { operation: 'branch' }, async (entry) => {
+    await run('git branch topic', repoPath);
+    return entry;
+  });
+  const removed = await gitOps.undoOperation(repoPath, created.id);
+  assert.deepEqual(removed.restoredRefs, [{ ref: 'refs/heads/topic', from: picked.head, to: null }]);
+  await assert.rejects(run('git rev-parse --verify -q refs/heads/topic', repoPath));
+
+  console.log('Journaling failures and skipping paths that are not repositories');
+  await assert.rejects(registry.execute('cherry_pick', { repoPath, commits: [fix] }, context));
+  const [failed] = (await gitOps.listOperations(repoPath)).operations;
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.tool, 'cherry_pick');
+  assert.match(failed.error, /^Failed to cherry-pick: /);
+  const outside = await gitOps.journal.track(tempRoot, { operation: 'noop' }, async (entry) => entry);
+  assert.equal(outside, null);
+
+  console.log('Pruning entries beyond the retention limits with their refs');
+  const { tempRoot: retentionRoot, repoPath: retained } = await createTempRepo('undo-retention');
+  await commitFile(retained, 'app.txt', 'one\n', 'Initial commit');
+  let clock = new Date('2024-01-01T00:00:00Z');
+  const journal = new UndoJournal({ maxEntries: 3, maxAgeDays: 30, now: () => clock });
+  const ids = [];
+  for (const day of [1, 2, 40, 41, 42, 43]) {
+    clock = new Date(Date.UTC(2024, 0, day));
+    await fs.writeFile(path.join(retained, 'app.txt'), `day ${day}\n`, 'utf8');
+    ids.push(await journal.track(retained, { operation: 'touch' }, async (entry) => entry.id));
+  }
+  // Day 40 falls out by count and days 1 and 2 by age as well; each pruning ran after its operation
+  const kept = (await journal.list(retained, { limit: Infinity })).map(entry => entry.id);
+  assert.deepEqual(kept, ids.slice(3).reverse());
+  const journalRefs = await run('git for-each-ref --format="%(refname)" refs/git-memory/', retained);
+  for (const id of ids.slice(0, 3)) {
+    assert.doesNotMatch(journalRefs, new RegExp(id));
+  }
+  assert.match(journalRefs, new RegExp(`refs/git-memory/undo/${ids[5]}`));
+  assert.match(journalRefs, new RegExp(`refs/git-memory/stash/${ids[5]}/before`));
+  const lines = (await fs.readFile(await journal.journalPath(retained), 'utf8')).trim().split('\n');
+  assert.equal(lines.length, 3, 'the journal is compacted to one line per entry');
+  assert.equal(JSON.parse(lines[0]).status, 'completed');
+  await assert.rejects(new GitOperationsService({ journal }).undoOperation(retained, ids[0]), new RegExp(`Unknown operation: ${ids[0]}`));
+
+  clock = new Date(Date.UTC(2024, 3, 1));
+  assert.deepEqual((await journal.prune(retained)).sort(), ids.slice(3).sort());
+  assert.deepEqual(await journal.list(retained), []);
+  assert.equal(await run('git for-each-ref refs/git-memory/', retained), '');
+
+  // Operations that keep failing are pruned as well
+  const failedIds = [];
+  for (const day of [2, 3, 4, 5]) {
+    clock = new Date(Date.UTC(2024, 3, day));
+    await assert.rejects(journal.track(retained, { operation: 'touch' }, async (entry) => {
+      failedIds.push(entry.id);
+      throw new Error('merge conflict');
+    }), /merge conflict/);
+  }
+  const afterFailures = await journal.list(retained, { limit: Infinity });
+  assert.deepEqual(afterFailures.map(entry => entry.id), failedIds.slice(1).reverse());
+  assert.ok(afterFailures.every(entry => entry.status === 'failed'));
+  assert.doesNotMatch(await run('git for-each-ref --format="%(refname)" refs/git-memory/', retained), new RegExp(failedIds[0]));
+  await fs.rm(retentionRoot, { recursive: true, force: true });
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Undo journal checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Undo journal checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * Shared setup for the integration tests: temporary repositories with a
+ * committer identity, a shell runner and an outputSchema check for the
+ * built-in tools.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { exec as execCallback } from 'child_process';
+import { promisify } from 'util';
+import { ToolRegistry } from '../../src/services/tool-registry.js';
+import { createGitTools } from '../../src/services/git-tools.js';
+
+const exec = promisify(execCallback);
+
+export const TEST_IDENTITY = { name: 'Automation Test', email: 'test@example.com' };
+
+/**
+ * Run a shell command in cwd and return its trimmed stdout; env is added to process.env
+ */
+export async function run(cmd, cwd, env = {}) {
+  const { stdout } = await exec(cmd, { cwd, env: { ...process.env, ...env } });
+  return stdout.trim();
+}
+
+/**
+ * A new empty directory under the system temp directory
+ */
+export async function createTempDir(name) {
+  return fs.mkdtemp(path.join(os.tmpdir(), `git-memory-${name}-`));
+}
+
+/**
+ * git init -b main at repoPath (created if missing) with a committer identity
+ */
+export async function initRepo(repoPath, identity = TEST_IDENTITY) {
+  await fs.mkdir(repoPath, { recursive: true });
+  await run('git init -b main', repoPath);
+  await run(`git config user.email "${identity.email}"`, repoPath);
+  await run(`git config user.name "${identity.name}"`, repoPath);
+  return repoPath;
+}
+
+/**
+ * A temp directory holding an initialised repository at <tempRoot>/project
+ */
+export async function createTempRepo(name, identity = TEST_IDENTITY) {
+  const tempRoot = await createTempDir(name);
+  const repoPath = await initRepo(path.join(tempRoot, 'project'), identity);
+  return { tempRoot, repoPath };
+}
+
+/**
+ * Write a file, commit every change and return the new HEAD
+ */
+export async function commitFile(repoPath, file, content, message, env = {}) {
+  await fs.mkdir(path.dirname(path.join(repoPath, file)), { recursive: true });
+  await fs.writeFile(path.join(repoPath, file), content, 'utf8');
+  await run(`git add -A && git commit -q -m "${message}"`, repoPath, env);
+  return run('git rev-parse HEAD', repoPath);
+}
+
+// Definitions only: validateOutput never calls a handler, so no services are needed
+const schemaRegistry = new ToolRegistry().registerAll(createGitTools({}));
+
+/**
+ * Fail unless result matches the outputSchema the tool publishes
+ */
+export function assertMatchesOutputSchema(name, result) {
+  assert.deepEqual(schemaRegistry.validateOutput(name, result), [], `${name} result does not match its outputSchema`);
+}
@@ -0,0 +1,47 @@
+/**
+ * Runs the HTTP server on a free local port and connects MCP clients to it
+ * over Streamable HTTP or the legacy SSE transport.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+
+/**
+ * Start a server that only allows repositories under allowedRepos (read at construction)
+ */
+export async function startServer({ allowedRepos, apiKey = '' } = {}) {
+  process.env.GIT_MEMORY_ALLOWED_REPOS = allowedRepos || '';
+  process.env.GIT_MEMORY_API_KEY = apiKey;
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+  const { HighPerformanceMCPServer } = await import('../../src/server.js');
+  const server = new HighPerformanceMCPServer();
+  await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.httpServer.address().port}` };
+}
+
+/**
+ * An initialised MCP client; transport is 'http' (Streamable HTTP) or 'sse'
+ */
+export async function connectClient(baseUrl, { transport = 'http', capabilities = {}, name = 'integration-test' } = {}) {
+  const client = new Client({ name, version: '1.0.0' }, { capabilities });
+  await client.connect(transport === 'sse'
+    ? new SSEClientTransport(new URL(`${baseUrl}/mcp/sse`))
+    : new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+  return client;
+}
+
+/**
+ * Resolve with the first notification of the schema's method that matches, or fail after timeout ms
+ */
+export function waitForNotification(client, schema, match = () => true, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${schema.shape.method.value} notification within ${timeout} ms`)), timeout);
+    client.setNotificationHandler(schema, (notification) => {
+      if (match(notification)) {
+        clearTimeout(timer);
+        resolve(notification);
+      }
+    });
+  });
+}
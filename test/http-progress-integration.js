@@ -0,0 +1,81 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { WebSocket } from 'ws';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+import { startServer } from './helpers/mcp-server.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('http-progress');
+  await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  await run(`git init -q --bare ${tempRoot}/remote.git && git remote add origin ${tempRoot}/remote.git`, repoPath);
+  const { server, baseUrl } = await startServer({ allowedRepos: tempRoot });
+
+  const ws = new WebSocket(baseUrl.replace('http', 'ws'));
+  const messages = [];
+  ws.on('message', data => messages.push(JSON.parse(data.toString())));
+  await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+
+  // Send a message and wait for the reply of the given type
+  const request = async (message, type) => {
+    const count = messages.length;
+    ws.send(JSON.stringify(message));
+    for (let i = 0; i < 100; i++) {
+      const reply = messages.slice(count).find(received => received.type === type);
+      if (reply) {
+        return reply;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No ${type} reply`);
+  };
+
+  console.log('Sending push progress to WebSocket subscribers of the endpoint');
+  await request({ type: 'subscribe_tool_executions', data: { toolName: '/git/push' } }, 'tool_subscription_confirmed');
+
+  const response = await fetch(`${baseUrl}/git/push`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ repoPath, remote: 'origin', branch: 'main' })
+  });
+  assert.equal(response.status, 200);
+  assert.equal(await run('git rev-parse main', `${tempRoot}/remote.git`), await run('git rev-parse main', repoPath));
+
+  // The events went out on the socket before the HTTP response, so they all precede the pong
+  await request({ type: 'ping' }, 'pong');
+  const progress = messages.filter(message => message.type === 'tool_execution_event');
+  for (const { toolName, data } of progress) {
+    assert.equal(toolName, '/git/push');
+    assert.equal(data.status, 'progress');
+  }
+  const phases = [...new Set(progress.map(({ data }) => data.phase))];
+  assert.equal(phases.at(-1), 'Writing objects');
+  for (const phase of phases) {
+    const last = progress.filter(({ data }) => data.phase === phase).at(-1).data;
+    assert.equal(last.percent, 100, `${phase} finishes`);
+    assert.equal(last.processed, last.total);
+  }
+
+  console.log('Sending nothing once unsubscribed');
+  await request({ type: 'unsubscribe_tool_executions', data: { toolName: '/git/push' } }, 'tool_unsubscription_confirmed');
+  await commitFile(repoPath, 'app.txt', 'two\n', 'Second commit');
+  const count = messages.length;
+  const again = await fetch(`${baseUrl}/git/push`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ repoPath, remote: 'origin', branch: 'main' })
+  });
+  assert.equal(again.status, 200);
+  await request({ type: 'ping' }, 'pong');
+  assert.equal(messages.length, count + 1, 'only the pong arrived');
+
+  ws.close();
+  server.httpServer.close();
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('HTTP progress checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('HTTP progress checks failed:', error);
+  process.exit(1);
+});
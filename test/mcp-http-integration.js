@@ -0,0 +1,73 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { createTempRepo, commitFile } from './helpers/git-repo.js';
+import { startServer, connectClient } from './helpers/mcp-server.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('mcp-http');
+  const head = await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  const { server, baseUrl } = await startServer({ allowedRepos: tempRoot });
+
+  console.log('Streamable HTTP: initialize, tools/list and tools/call');
+  const client = await connectClient(baseUrl);
+  assert.equal(client.getServerVersion().name, 'git-memory-mcp-server-3000');
+  assert.ok(client.getServerCapabilities().tools);
+  assert.equal(server.mcpSessions.size, 1);
+
+  const { tools } = await client.listTools();
+  const branchTool = tools.find(tool => tool.name === 'get_current_branch');
+  assert.ok(branchTool, 'get_current_branch is listed');
+  assert.equal(branchTool.outputSchema.type, 'object');
+
+  const called = await client.callTool({ name: 'get_recent_commits', arguments: { repoPath, limit: 1 } });
+  assert.equal(called.isError, undefined);
+  assert.equal(called.structuredContent.commits[0].hash, head);
+  assert.deepEqual(JSON.parse(called.content[0].text).commits[0].hash, head);
+
+  await assert.rejects(
+    client.callTool({ name: 'get_current_branch', arguments: { repoPath: '/etc' } }),
+    /Repository path not permitted: \/etc/
+  );
+
+  console.log('Rejecting requests without a session');
+  const orphan = await fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+  });
+  assert.equal(orphan.status, 400);
+
+  await client.transport.terminateSession();
+  await client.close();
+  assert.equal(server.mcpSessions.size, 0, 'DELETE /mcp ends the session');
+
+  console.log('Legacy SSE: a session per stream');
+  const sseClient = await connectClient(baseUrl, { transport: 'sse' });
+  assert.equal(server.mcpSessions.size, 1);
+  const [sessionId] = server.mcpSessions.keys();
+  assert.ok((await sseClient.listTools()).tools.some(tool => tool.name === 'get_repo_status'));
+  const branch = await sseClient.callTool({ name: 'get_current_branch', arguments: { repoPath } });
+  assert.equal(branch.structuredContent.current, 'main');
+
+  const unknownSession = await fetch(`${baseUrl}/mcp/messages?sessionId=missing`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+  });
+  assert.equal(unknownSession.status, 400);
+
+  await sseClient.close();
+  for (let i = 0; i < 50 && server.mcpSessions.has(sessionId); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.equal(server.mcpSessions.has(sessionId), false, 'closing the stream ends the session');
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('MCP HTTP transport checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('MCP HTTP transport checks failed:', error);
+  process.exit(1);
+});
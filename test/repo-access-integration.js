@@ -0,0 +1,91 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitResourcesService } from '../src/services/git-resources.js';
+import { GitCompletionsService } from '../src/services/git-completions.js';
+import { GitMemoryCLIService } from '../src/services/git-memory-cli.js';
+import { RepoAccess, parseAllowedRepos } from '../src/services/repo-access.js';
+import { run, createTempDir, initRepo } from './helpers/git-repo.js';
+
+async function createRepo(repoPath) {
+  await initRepo(repoPath);
+  await fs.writeFile(path.join(repoPath, 'README.md'), '# Project\n', 'utf8');
+  await run('git add . && git commit -m "Initial commit"', repoPath);
+}
+
+async function main() {
+  console.log('Parsing the allowlist');
+  assert.deepEqual(parseAllowedRepos('/srv/a;/srv/b'), ['/srv/a', '/srv/b']);
+  assert.deepEqual(parseAllowedRepos(` /srv/a ${path.delimiter}/srv/b/../c`), ['/srv/a', '/srv/c']);
+  assert.deepEqual(parseAllowedRepos(['/srv/a', '']), ['/srv/a']);
+  assert.deepEqual(parseAllowedRepos(undefined), []);
+
+  console.log('Intersecting the allowlist with client roots');
+  const serverOnly = new RepoAccess('/srv/a;/srv/b');
+  assert.equal(serverOnly.isAllowed('/srv/a/sub'), true);
+  assert.equal(serverOnly.isAllowed('/srv/ab'), false);
+  assert.deepEqual(serverOnly.listRepos(), ['/srv/a', '/srv/b']);
+
+  const narrowed = serverOnly.withRoots(['/srv/a', '/srv/b/pkg', '/home/me']);
+  assert.equal(narrowed.isAllowed('/srv/a'), true);
+  assert.equal(narrowed.isAllowed('/srv/b'), false);
+  assert.equal(narrowed.isAllowed('/srv/b/pkg/src'), true);
+  assert.equal(narrowed.isAllowed('/home/me/project'), false);
+  assert.deepEqual(narrowed.listRepos(), ['/srv/a', '/srv/b/pkg']);
+  assert.throws(() => narrowed.assertAllowed('/srv/b'), /Repository path not permitted: \/srv\/b/);
+
+  const rootsOnly = new RepoAccess('').withRoots(['/home/me/project']);
+  assert.equal(rootsOnly.isAllowed('/anywhere'), false);
+  assert.deepEqual(rootsOnly.listRepos(), ['/home/me/project']);
+
+  const noRoots = serverOnly.withRoots([]);
+  assert.equal(noRoots.isAllowed('/srv/a'), false);
+  assert.deepEqual(noRoots.listRepos(), []);
+
+  console.log('Scoping resources and completions to a session');
+  const tempRoot = await createTempDir('access');
+  const alpha = path.join(tempRoot, 'alpha');
+  const beta = path.join(tempRoot, 'beta');
+  await createRepo(alpha);
+  await createRepo(beta);
+
+  const access = new RepoAccess([alpha, beta].join(';'));
+  const session = access.withRoots([alpha]);
+  const gitResources = new GitResourcesService({ gitMemoryService: new GitMemoryService(), access });
+
+  assert.equal(gitResources.listResources().resources.length, 4);
+  const { resources: visible } = gitResources.listResources(session);
+  assert.deepEqual(visible.map(resource => resource.uri), ['git://alpha/tree/HEAD/', 'git://alpha/commit/HEAD']);
+  const blob = await gitResources.readResource('git://alpha/blob/HEAD/README.md', session);
+  assert.equal(blob.contents[0].text, '# Project\n');
+  await assert.rejects(() => gitResources.readResource('git://beta/blob/HEAD/README.md', session));
+  await assert.rejects(
+    () => gitResources.readResource(`git://${encodeURIComponent(beta)}/blob/HEAD/README.md`, session),
+    /not permitted/
+  );
+
+  const completions = new GitCompletionsService({ gitResources, access });
+  const repoCompletion = await completions.complete({
+    ref: { type: 'ref/resource', uri: 'git://{repo}/blob/{ref}/{path}' },
+    argument: { name: 'repo', value: '' }
+  }, session);
+  assert.deepEqual(repoCompletion.completion.values, ['alpha']);
+
+  console.log('Sharing one policy with the CLI service');
+  const cli = new GitMemoryCLIService({ access: session });
+  assert.equal(cli.assertRepoAllowed(alpha), alpha);
+  assert.throws(() => cli.assertRepoAllowed(beta), /not permitted/);
+  // The environment variable used to crash when given as an array; both forms now parse the same
+  assert.equal(new GitMemoryCLIService({ allowedRepos: [alpha] }).assertRepoAllowed(alpha), alpha);
+  assert.equal(new GitMemoryCLIService({ allowedRepos: `${alpha};${beta}` }).assertRepoAllowed(beta), beta);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Repository access checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Repository access checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { RepoWatcher } from '../src/services/repo-watcher.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('watcher');
+  const first = await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+
+  const watcher = new RepoWatcher({ gitMemoryService: new GitMemoryService(), interval: 60000 });
+  const changes = [];
+  watcher.on('change', change => changes.push(change));
+  watcher.watch(repoPath);
+  assert.equal(await watcher.check(repoPath), null, 'the first check only takes a baseline');
+
+  console.log('Ignoring the undo journal refs');
+  await run(`git update-ref refs/git-memory/undo/abc-123456 ${first}`, repoPath);
+  await run(`git update-ref refs/git-memory/stash/abc-123456/before ${first}`, repoPath);
+  assert.equal(await watcher.check(repoPath), null);
+  assert.deepEqual(changes, []);
+
+  console.log('Reporting a moved branch');
+  const second = await commitFile(repoPath, 'app.txt', 'two\n', 'Second commit');
+  const change = await watcher.check(repoPath);
+  assert.equal(change.head, second);
+  assert.equal(change.headChanged, true);
+  assert.deepEqual(change.refs, [{ ref: 'refs/heads/main', from: first, to: second }]);
+  assert.equal(changes.length, 1);
+
+  watcher.unwatch(repoPath);
+  assert.equal(watcher.isWatching(repoPath), false);
+  assert.equal(watcher.timer, null);
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Repository watcher checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Repository watcher checks failed:', error);
+  process.exit(1);
+});
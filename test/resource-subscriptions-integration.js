@@ -0,0 +1,71 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { GitWebhooksService } from '../src/services/git-webhooks.js';
+import { run, createTempRepo, commitFile } from './helpers/git-repo.js';
+import { startServer, connectClient, waitForNotification } from './helpers/mcp-server.js';
+
+async function main() {
+  const { tempRoot, repoPath } = await createTempRepo('resource-subscriptions');
+  await commitFile(repoPath, 'app.txt', 'one\n', 'Initial commit');
+  await run('git remote add origin https://github.com/acme/widgets.git', repoPath);
+
+  // Poll fast enough for the test; the watcher takes its baseline on the first tick
+  process.env.GIT_WATCH_INTERVAL = '100';
+  const { server, baseUrl } = await startServer({ allowedRepos: tempRoot });
+  const client = await connectClient(baseUrl);
+  assert.equal(client.getServerCapabilities().resources.subscribe, true);
+
+  const uri = server.gitResources.buildUri(repoPath, 'tree', 'main', '', server.repoAccess);
+  const updated = notification => notification.params.uri === uri;
+
+  console.log('Notifying a subscriber when polling sees the branch move');
+  await client.subscribeResource({ uri });
+  assert.equal(server.repoWatcher.isWatching(repoPath), true);
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const moved = waitForNotification(client, ResourceUpdatedNotificationSchema, updated);
+  await commitFile(repoPath, 'app.txt', 'two\n', 'Second commit');
+  assert.equal((await moved).params.uri, uri);
+
+  console.log('Forwarding a webhook push to local clones of the pushed repository');
+  const webhooks = new GitWebhooksService(server);
+  const pushed = waitForNotification(client, ResourceUpdatedNotificationSchema, updated);
+  await webhooks.handleWebhookEvent('push', {
+    source: 'github',
+    payload: {
+      ref: 'refs/heads/main',
+      repository: { full_name: 'acme/widgets' },
+      commits: [{ id: 'abc123', message: 'Remote change', author: { name: 'Dev' } }],
+      pusher: { name: 'dev' }
+    }
+  });
+  assert.equal((await pushed).params.uri, uri);
+  assert.deepEqual(await server.repoWatcher.findReposByRemote('acme/other'), []);
+
+  console.log('Going quiet after unsubscribing');
+  await client.unsubscribeResource({ uri });
+  assert.equal(server.resourceSubscriptions.size, 0);
+  assert.equal(server.repoWatcher.isWatching(repoPath), false);
+  await commitFile(repoPath, 'app.txt', 'three\n', 'Third commit');
+  await assert.rejects(
+    waitForNotification(client, ResourceUpdatedNotificationSchema, updated, 500),
+    /No notifications\/resources\/updated notification within 500 ms/
+  );
+
+  console.log('Refusing subscriptions outside the allowlist');
+  await assert.rejects(
+    client.subscribeResource({ uri: uri.replace(/^git:\/\/[^/]+/, 'git://%2Fetc') }),
+    /Repository path not permitted: \/etc/
+  );
+
+  await client.close();
+  server.repoWatcher.stop();
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Resource subscription checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Resource subscription checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Runs every test/*-integration.js script in its own process, one after the
+ * other, and exits non-zero when any of them fails or times out.
+ *
+ *   node test/run-integration-tests.js [name-filter]
+ *
+ * git-cli-integration.js drives the external Python git_memory.cli, which is
+ * not part of this repository; it only runs with GIT_MEMORY_CLI_TESTS=1, once
+ * that module is importable (e.g. through PYTHONPATH).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TIMEOUT = parseInt(process.env.INTEGRATION_TEST_TIMEOUT) || 120000;
+const NEEDS_PYTHON_CLI = new Set(['git-cli-integration.js']);
+
+function runScript(file) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    const timer = setTimeout(() => {
+      console.error(`${file} timed out after ${TIMEOUT} ms`);
+      child.kill('SIGKILL');
+    }, TIMEOUT);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve(code === 0);
+    });
+  });
+}
+
+async function main() {
+  const filter = process.argv[2] || '';
+  const files = (await fs.readdir(__dirname))
+    .filter(file => file.endsWith('-integration.js') && file.includes(filter))
+    .sort();
+
+  const failed = [];
+  for (const file of files) {
+    if (NEEDS_PYTHON_CLI.has(file) && process.env.GIT_MEMORY_CLI_TESTS !== '1') {
+      console.log(`\n--- ${file}: skipped (set GIT_MEMORY_CLI_TESTS=1 to run it)`);
+      continue;
+    }
+    console.log(`\n--- ${file}`);
+    if (!(await runScript(file))) {
+      failed.push(file);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`\n${failed.length} of ${files.length} integration test scripts failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+  console.log('\nAll integration test scripts passed.');
+}
+
+main().catch((error) => {
+  console.error('Integration test runner failed:', error);
+  process.exit(1);
+});
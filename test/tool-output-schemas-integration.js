@@ -0,0 +1,100 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { GitMemoryService } from '../src/services/git-memory.js';
+import { GitMemoryCLIService } from '../src/services/git-memory-cli.js';
+import { ToolRegistry } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+import { run, createTempDir, initRepo } from './helpers/git-repo.js';
+
+async function main() {
+  const tempRoot = await createTempDir('schemas');
+  const originPath = path.join(tempRoot, 'origin');
+  const repoPath = path.join(tempRoot, 'project');
+
+  await initRepo(originPath);
+  await fs.writeFile(path.join(originPath, 'README.md'), '# Project\n', 'utf8');
+  await fs.writeFile(path.join(originPath, 'old-name.txt'), 'rename me\n', 'utf8');
+  await run('git add . && git commit -m "Initial commit"', originPath);
+
+  await run(`git clone "${originPath}" "${repoPath}"`, tempRoot);
+  await run('git config user.email "test@example.com"', repoPath);
+  await run('git config user.name "Automation Test"', repoPath);
+  await fs.appendFile(path.join(repoPath, 'README.md'), 'More\n', 'utf8');
+  await run('git commit -am "Update readme"', repoPath);
+
+  // Leave every kind of status entry behind so the schema sees populated arrays
+  await run('git mv old-name.txt new-name.txt', repoPath);
+  await fs.writeFile(path.join(repoPath, 'staged.txt'), 'staged\n', 'utf8');
+  await run('git add staged.txt', repoPath);
+  await fs.appendFile(path.join(repoPath, 'README.md'), 'Unstaged\n', 'utf8');
+  await fs.writeFile(path.join(repoPath, 'untracked.txt'), 'untracked\n', 'utf8');
+
+  // Stand-in for the Python CLI: prints JSON for status, plain text otherwise
+  const fakeCli = path.join(tempRoot, 'fake-cli.sh');
+  await fs.writeFile(
+    fakeCli,
+    '#!/bin/sh\nif [ "$3" = "status" ]; then echo \'{"branch": "main", "dirty": true}\'; else echo "done"; fi\n',
+    { mode: 0o755 }
+  );
+
+  const registry = new ToolRegistry();
+  registry.registerAll(createGitTools({
+    gitMemoryService: new GitMemoryService(),
+    gitMemoryCLI: new GitMemoryCLIService({
+      pythonBin: fakeCli,
+      allowedRepos: tempRoot,
+      metrics: { recordToolDuration() {}, incrementToolErrors() {} }
+    })
+  }));
+
+  // Tools with a test of their own check their results there (see assertMatchesOutputSchema)
+  const calls = {
+    get_current_branch: { repoPath },
+    get_recent_commits: { repoPath },
+    get_repo_status: { repoPath },
+    list_branches: { repoPath },
+    search_commits: { repoPath, query: 'readme' },
+    get_file_history: { repoPath, filePath: 'README.md' },
+    git_status_cli: { repoPath },
+    git_fetch_cli: { repoPath },
+    git_rebase_cli: { repoPath, upstream: 'origin/main' }
+  };
+
+  for (const tool of registry.list()) {
+    assert.ok(tool.outputSchema, `${tool.name} should publish an outputSchema`);
+    assert.equal(tool.outputSchema.type, 'object', `${tool.name} outputSchema must describe an object`);
+  }
+
+  for (const [name, args] of Object.entries(calls)) {
+    console.log(`Checking ${name} against its outputSchema`);
+    const result = await registry.execute(name, args, { confirm: async () => true });
+    assert.deepEqual(registry.validateOutput(name, result), [], `${name} result does not match its outputSchema`);
+  }
+
+  const status = await registry.execute('get_repo_status', { repoPath });
+  assert.deepEqual(status.renamed, [{ from: 'old-name.txt', to: 'new-name.txt' }]);
+  const branches = await registry.execute('list_branches', { repoPath });
+  assert.ok(branches.remote.length > 0);
+
+  console.log('Checking that schema violations are reported');
+  assert.deepEqual(
+    registry.validateOutput('get_recent_commits', { commits: [{ hash: 'abc' }], total: 1, timestamp: Date.now() }),
+    [
+      'result.commits[0].shortHash: is required',
+      'result.commits[0].message: is required',
+      'result.commits[0].author: is required',
+      'result.commits[0].date: is required',
+      'result.commits[0].timestamp: is required'
+    ]
+  );
+
+  await fs.rm(tempRoot, { recursive: true, force: true });
+  console.log('Tool output schema checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Tool output schema checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ToolRegistry, validateSchema } from '../src/services/tool-registry.js';
+import { createGitTools } from '../src/services/git-tools.js';
+
+async function main() {
+  const calls = [];
+  const gitMemoryService = {
+    getRecentCommits: async (repoPath, limit) => {
+      calls.push({ repoPath, limit });
+      return { commits: [] };
+    }
+  };
+
+  const registry = new ToolRegistry();
+  registry.registerAll(createGitTools({ gitMemoryService, gitMemoryCLI: {} }));
+
+  console.log('Listing built-in tools');
+  const listed = registry.list();
+  assert.ok(listed.some(tool => tool.name === 'git_fetch_cli'));
+  for (const tool of listed) {
+    assert.equal(tool.handler, undefined);
+    assert.equal(tool.inputSchema.type, 'object');
+    assert.equal(typeof tool.annotations.readOnlyHint, 'boolean');
+  }
+
+  console.log('Validating arguments');
+  await registry.execute('get_recent_commits', { repoPath: '/tmp/repo' });
+  assert.deepEqual(calls, [{ repoPath: '/tmp/repo', limit: 10 }]);
+  await assert.rejects(registry.execute('get_recent_commits', {}), /Invalid arguments for get_recent_commits: arguments.repoPath: is required/);
+  await assert.rejects(registry.execute('get_recent_commits', { repoPath: '/tmp/repo', limit: 'ten' }), /arguments.limit: expected number/);
+  await assert.rejects(registry.execute('no_such_tool', {}), /Unknown tool: no_such_tool/);
+  assert.throws(() => registry.register({ ...registry.get('get_recent_commits') }), /already registered/);
+
+  assert.deepEqual(validateSchema({ mode: 'x' }, {
+    type: 'object',
+    properties: { mode: { type: 'string', enum: ['soft', 'hard'] } },
+    additionalProperties: false
+  }), ['arguments.mode: must be one of "soft", "hard"']);
+
+  console.log('Loading tool modules from a directory');
+  const toolsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-memory-tools-'));
+  await fs.writeFile(path.join(toolsDir, 'echo.js'), [
+    'export default ({ prefix }) => [{',
+    "  name: 'echo',",
+    "  description: 'Echo a message',",
+    "  inputSchema: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },",
+    '  handler: async ({ message }) => ({ echoed: `${prefix}${message}` })',
+    '}];'
+  ].join('\n'), 'utf8');
+  await fs.writeFile(path.join(toolsDir, 'broken.mjs'), 'export default { name: "broken" };\n', 'utf8');
+  await fs.writeFile(path.join(toolsDir, 'notes.txt'), 'not a module\n', 'utf8');
+
+  const loaded = await registry.loadFromDirectory(toolsDir, { prefix: '> ' });
+  assert.deepEqual(loaded, ['echo']);
+  assert.equal(registry.has('broken'), false);
+  assert.deepEqual(await registry.execute('echo', { message: 'hi' }), { echoed: '> hi' });
+
+  await fs.rm(toolsDir, { recursive: true, force: true });
+  console.log('Tool registry checks completed successfully.');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Tool registry checks failed:', error);
+  process.exit(1);
+});